@@ -0,0 +1,44 @@
+import { AppError } from './errors.js';
+
+// Admin routes (webhook subscriptions, API keys, ...) require the ADMIN_TOKEN
+// secret as a bearer token. Without the secret they are disabled.
+
+export function isAdminEnabled(env) {
+  return Boolean(env.ADMIN_TOKEN);
+}
+
+export async function isAdminRequest(request, env) {
+  if (!env.ADMIN_TOKEN) return false;
+
+  const header = request.headers.get('Authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  return timingSafeEqual(token, env.ADMIN_TOKEN);
+}
+
+// Throws FORBIDDEN while the admin API is disabled and UNAUTHORIZED for a
+// missing or wrong token
+export async function requireAdmin(request, env) {
+  if (!isAdminEnabled(env)) {
+    throw new AppError('FORBIDDEN', 'Admin API is disabled, set the ADMIN_TOKEN secret');
+  }
+  if (!await isAdminRequest(request, env)) {
+    throw new AppError('UNAUTHORIZED', 'Invalid admin token');
+  }
+}
+
+// Compares digests so the time taken does not reveal how much of the token matched
+async function timingSafeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const [digestA, digestB] = await Promise.all([
+    crypto.subtle.digest('SHA-256', encoder.encode(a)),
+    crypto.subtle.digest('SHA-256', encoder.encode(b)),
+  ]);
+  const bytesA = new Uint8Array(digestA);
+  const bytesB = new Uint8Array(digestB);
+
+  let difference = 0;
+  for (let i = 0; i < bytesA.length; i++) {
+    difference |= bytesA[i] ^ bytesB[i];
+  }
+  return difference === 0;
+}
@@ -0,0 +1,75 @@
+import { decodePNG, encodeAPNG, isPNG } from './imaging/png.js';
+import { encodeGIF } from './imaging/gif.js';
+import { cover, fillRect, drawText, fitText, measureText, textHeight } from './imaging/raster.js';
+
+// Assembles stored generations into an animated GIF or APNG with a caption
+// band on every frame: local time, temperature and conditions of its slot.
+
+export const ANIMATION_FORMATS = {
+  gif: { mimeType: 'image/gif', extension: 'gif' },
+  apng: { mimeType: 'image/apng', extension: 'png' },
+};
+
+const DEFAULT_WIDTH = 512;
+const MAX_WIDTH = 768;
+const CAPTION_BACKGROUND = [0, 0, 0, 160];
+const CAPTION_COLOR = [255, 255, 255, 255];
+
+export async function buildAnimation(generations, { format = 'gif', frameDelay = 1000, width = DEFAULT_WIDTH } = {}) {
+  const output = ANIMATION_FORMATS[format];
+  if (!output) {
+    throw new Error(`Unknown animation format '${format}'. Available: ${Object.keys(ANIMATION_FORMATS).join(', ')}`);
+  }
+
+  const images = await Promise.all(generations.map(({ image, record }) => {
+    if (!isPNG(image.body)) {
+      throw new Error(`Frame ${record.id} is ${image.contentType}, only PNG frames can be animated`);
+    }
+    return decodePNG(image.body);
+  }));
+
+  // Every frame takes the first frame's aspect ratio
+  const frameWidth = clamp(Math.round(width) || DEFAULT_WIDTH, 64, MAX_WIDTH);
+  const frameHeight = Math.round(frameWidth * images[0].height / images[0].width);
+
+  const frames = images.map((image, index) => {
+    const frame = cover(image, frameWidth, frameHeight);
+    drawCaption(frame, formatCaption(generations[index].record));
+    return frame;
+  });
+
+  const delayMs = clamp(Number(frameDelay) || 1000, 100, 10000);
+  const bytes = format === 'gif'
+    ? encodeGIF(frames, { delayMs })
+    : await encodeAPNG(frames, { delayMs });
+
+  return { bytes, mimeType: output.mimeType, extension: output.extension };
+}
+
+export function formatCaption({ weatherData, frame }) {
+  const entry = weatherData?.forecast?.[frame?.slot ?? 0];
+  if (!entry) return '';
+
+  const time = entry.lighting?.localTime || entry.datetime;
+  return `${time}  ${entry.temperature}°C  ${entry.description}`;
+}
+
+function drawCaption(image, caption) {
+  if (!caption) return;
+
+  // Scale the 5x7 font with the frame so captions stay legible
+  const scale = Math.max(1, Math.floor(image.width / 256));
+  const padding = 4 * scale;
+  const bandHeight = textHeight(scale) + padding * 2;
+  const text = fitText(caption, image.width - padding * 2, scale);
+
+  fillRect(image, 0, image.height - bandHeight, image.width, bandHeight, CAPTION_BACKGROUND);
+  drawText(image, text, Math.floor((image.width - measureText(text, scale)) / 2), image.height - bandHeight + padding, {
+    color: CAPTION_COLOR,
+    scale,
+  });
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
@@ -0,0 +1,101 @@
+import { getStore, createId } from './storage.js';
+import { AppError } from './errors.js';
+import { sha256Hex } from './cache.js';
+
+// API keys for partner access. A key is shown once when it is issued; only
+// its SHA-256 hash is stored, with an index from hash to key record so a
+// request is authenticated with a single lookup.
+//
+// Keys are sent as `Authorization: Bearer awf_...`. With REQUIRE_API_KEY set
+// to "true" the endpoints that spend upstream quota refuse anonymous calls;
+// otherwise a key is optional and only identifies the caller for rate limits
+// and usage accounting. Endpoints meant for <img> tags and dashboards, which
+// cannot send headers, also take the key as a `key` query parameter.
+
+const STORE_BINDING = 'API_KEYS';
+
+const KEY_PREFIX = 'awf_';
+
+export async function issueApiKey(env, { name } = {}) {
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    throw new AppError('INVALID_INPUT', 'name must be a non-empty string of at most 100 characters');
+  }
+
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  const key = KEY_PREFIX + Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  const hash = await sha256Hex(key);
+
+  const record = {
+    id: createId(),
+    name: name.trim(),
+    // Enough of the key to recognise it in a list
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    hash,
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+  };
+
+  const store = getStore(env, STORE_BINDING);
+  await store.putJSON(`keys/${record.id}.json`, record);
+  await store.putJSON(`hashes/${hash}.json`, { id: record.id });
+
+  return { ...redactApiKey(record), key };
+}
+
+export async function listApiKeys(env) {
+  const store = getStore(env, STORE_BINDING);
+  const keys = await store.list('keys/');
+  const records = await Promise.all(keys.map(key => store.getJSON(key)));
+  return records.filter(Boolean).map(redactApiKey);
+}
+
+export async function loadApiKey(env, id) {
+  if (!/^[0-9a-f]{16}$/.test(id || '')) return null;
+  return getStore(env, STORE_BINDING).getJSON(`keys/${id}.json`);
+}
+
+// Revoked keys stay listed with `revokedAt` so their usage can still be named
+export async function revokeApiKey(env, id) {
+  const record = await loadApiKey(env, id);
+  if (!record) return null;
+
+  const store = getStore(env, STORE_BINDING);
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    await store.putJSON(`keys/${id}.json`, record);
+    await store.delete(`hashes/${record.hash}.json`);
+  }
+
+  return redactApiKey(record);
+}
+
+// Resolves to the key record of the request's bearer token, or with
+// `fromQuery` of its `key` query parameter when there is no header; null
+// without a token, UNAUTHORIZED for a token that is not a valid key
+export async function authenticateApiKey(request, env, { fromQuery = false } = {}) {
+  const header = request.headers.get('Authorization') || '';
+  const param = fromQuery ? new URL(request.url).searchParams.get('key') : null;
+  if (!header && param === null) return null;
+
+  const token = header ? (header.startsWith('Bearer ') ? header.slice(7).trim() : '') : param.trim();
+  if (!token.startsWith(KEY_PREFIX)) {
+    throw new AppError('UNAUTHORIZED', 'Invalid API key');
+  }
+
+  const store = getStore(env, STORE_BINDING);
+  const index = await store.getJSON(`hashes/${await sha256Hex(token)}.json`);
+  const record = index && await store.getJSON(`keys/${index.id}.json`);
+  if (!record || record.revokedAt) {
+    throw new AppError('UNAUTHORIZED', 'Invalid API key');
+  }
+
+  return redactApiKey(record);
+}
+
+export function isApiKeyRequired(env) {
+  return env.REQUIRE_API_KEY === true || env.REQUIRE_API_KEY === 'true';
+}
+
+function redactApiKey({ hash, ...record }) {
+  return record;
+}
@@ -0,0 +1,139 @@
+// Sun and moon calculations for lighting the scene at the forecast time.
+//
+// Results are within a few minutes for sunrise/sunset and a fraction of a degree
+// for solar elevation, which is plenty for choosing between noon and golden hour.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const J2000 = 2451545.0;
+const UNIX_EPOCH_JD = 2440587.5;
+const SYNODIC_MONTH = 29.530588853;
+// A reference new moon: 2000-01-06 18:14 UTC
+const KNOWN_NEW_MOON_MS = Date.UTC(2000, 0, 6, 18, 14);
+
+const rad = degrees => degrees * Math.PI / 180;
+const deg = radians => radians * 180 / Math.PI;
+const normalize = degrees => ((degrees % 360) + 360) % 360;
+
+// `datetime` is a forecast timestamp in UTC ("YYYY-MM-DD HH:MM:SS"),
+// `timezone` the location's UTC offset in seconds (OpenWeatherMap city.timezone)
+export function computeLighting(datetime, { lat, lon }, timezone = 0) {
+  const timestamp = parseUTC(datetime);
+  const { elevation, azimuth } = getSolarPosition(timestamp, lat, lon);
+  const sun = getSunTimes(timestamp, lat, lon, timezone);
+
+  return {
+    localTime: formatLocal(timestamp, timezone, true),
+    sunrise: sun.sunrise === null ? null : formatLocal(sun.sunrise, timezone),
+    sunset: sun.sunset === null ? null : formatLocal(sun.sunset, timezone),
+    polar: sun.polar,
+    solarElevation: Math.round(elevation * 10) / 10,
+    solarAzimuth: Math.round(azimuth),
+    period: classifyDaylight(elevation, azimuth),
+    isDaylight: elevation > -0.833,
+    moon: getMoonPhase(timestamp),
+  };
+}
+
+export function getSolarPosition(timestamp, lat, lon) {
+  const n = timestamp / DAY_MS + UNIX_EPOCH_JD - J2000;
+
+  // Ecliptic coordinates of the sun
+  const meanLongitude = normalize(280.460 + 0.9856474 * n);
+  const meanAnomaly = rad(normalize(357.528 + 0.9856003 * n));
+  const eclipticLongitude = rad(meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly));
+  const obliquity = rad(23.439 - 0.0000004 * n);
+
+  const rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLongitude), Math.cos(eclipticLongitude));
+  const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+
+  const siderealTime = normalize((18.697374558 + 24.06570982441908 * n) * 15 + lon);
+  const hourAngle = rad(siderealTime) - rightAscension;
+
+  const latitude = rad(lat);
+  const elevation = Math.asin(
+    Math.sin(latitude) * Math.sin(declination) + Math.cos(latitude) * Math.cos(declination) * Math.cos(hourAngle)
+  );
+  const azimuth = Math.atan2(
+    -Math.sin(hourAngle),
+    Math.tan(declination) * Math.cos(latitude) - Math.sin(latitude) * Math.cos(hourAngle)
+  );
+
+  return { elevation: deg(elevation), azimuth: normalize(deg(azimuth)) };
+}
+
+// Sunrise and sunset for the local calendar day containing `timestamp`
+export function getSunTimes(timestamp, lat, lon, timezone = 0) {
+  const localMidnight = Math.floor((timestamp + timezone * 1000) / DAY_MS) * DAY_MS - timezone * 1000;
+  const localNoon = localMidnight + DAY_MS / 2;
+
+  const n = Math.round(localNoon / DAY_MS + UNIX_EPOCH_JD - J2000 + lon / 360);
+  const meanSolarTime = n + 0.0009 - lon / 360;
+  const meanAnomaly = rad(normalize(357.5291 + 0.98560028 * meanSolarTime));
+  const center = 1.9148 * Math.sin(meanAnomaly) + 0.0200 * Math.sin(2 * meanAnomaly) + 0.0003 * Math.sin(3 * meanAnomaly);
+  const eclipticLongitude = rad(normalize(deg(meanAnomaly) + center + 180 + 102.9372));
+  const transit = J2000 + meanSolarTime + 0.0053 * Math.sin(meanAnomaly) - 0.0069 * Math.sin(2 * eclipticLongitude);
+
+  const declination = Math.asin(Math.sin(eclipticLongitude) * Math.sin(rad(23.44)));
+  const latitude = rad(lat);
+  const cosHourAngle = (Math.sin(rad(-0.833)) - Math.sin(latitude) * Math.sin(declination))
+    / (Math.cos(latitude) * Math.cos(declination));
+
+  if (cosHourAngle > 1) return { sunrise: null, sunset: null, polar: 'polar night' };
+  if (cosHourAngle < -1) return { sunrise: null, sunset: null, polar: 'midnight sun' };
+
+  const hourAngle = deg(Math.acos(cosHourAngle));
+  const toTimestamp = julianDay => (julianDay - UNIX_EPOCH_JD) * DAY_MS;
+
+  return {
+    sunrise: toTimestamp(transit - hourAngle / 360),
+    sunset: toTimestamp(transit + hourAngle / 360),
+    polar: null,
+  };
+}
+
+export function getMoonPhase(timestamp) {
+  const age = ((((timestamp - KNOWN_NEW_MOON_MS) / DAY_MS) % SYNODIC_MONTH) + SYNODIC_MONTH) % SYNODIC_MONTH;
+  const illumination = (1 - Math.cos(2 * Math.PI * age / SYNODIC_MONTH)) / 2;
+
+  const names = [
+    'new moon',
+    'waxing crescent',
+    'first quarter',
+    'waxing gibbous',
+    'full moon',
+    'waning gibbous',
+    'last quarter',
+    'waning crescent',
+  ];
+  const index = Math.round(age / SYNODIC_MONTH * 8) % 8;
+
+  return {
+    phase: names[index],
+    age: Math.round(age * 10) / 10,
+    illumination: Math.round(illumination * 100) / 100,
+  };
+}
+
+function classifyDaylight(elevation, azimuth) {
+  if (elevation < -12) return 'night';
+  if (elevation < -6) return 'twilight';
+  if (elevation < -0.833) return 'blue hour';
+  if (elevation < 6) return 'golden hour';
+  if (elevation >= 45) return 'midday';
+  // Before the sun crosses the meridian it is in the eastern half of the sky
+  return azimuth < 180 ? 'morning' : 'afternoon';
+}
+
+// "YYYY-MM-DD HH:MM" at the location, for places whose coordinates are unknown
+export function formatLocalTime(datetime, timezone = 0) {
+  return formatLocal(parseUTC(datetime), timezone, true);
+}
+
+function parseUTC(datetime) {
+  return Date.parse(`${String(datetime).replace(' ', 'T')}Z`);
+}
+
+function formatLocal(timestamp, timezone, withDate = false) {
+  const local = new Date(timestamp + timezone * 1000).toISOString();
+  return withDate ? local.replace('T', ' ').slice(0, 16) : local.slice(11, 16);
+}
@@ -0,0 +1,50 @@
+import { AppError } from './errors.js';
+import { getStylePreset } from './styles.js';
+import { validateLocation } from './validation.js';
+
+// Batch generation for side-by-side comparisons ("Paris vs. Oslo vs. Cairo
+// today"): every location of a batch is rendered in every one of its styles.
+//
+// Items run a few at a time to stay within Workers AI limits, and one failed
+// item does not stop the others.
+
+export const MAX_BATCH_ITEMS = 8;
+
+export const BATCH_CONCURRENCY = 2;
+
+// The { location, style } items of a batch request, in request order
+export function buildBatchItems({ locations, styles }, env) {
+  if (!Array.isArray(locations) || !locations.length) {
+    throw new AppError('INVALID_INPUT', 'locations must be a non-empty array');
+  }
+  if (styles !== undefined && (!Array.isArray(styles) || !styles.length)) {
+    throw new AppError('INVALID_INPUT', 'styles must be a non-empty array');
+  }
+
+  const uniqueLocations = [...new Set(locations.map((location, index) => validateLocation(location, `locations[${index}]`)))];
+  const uniqueStyles = [...new Set((styles || [undefined]).map(style => getStylePreset(style, env).name))];
+
+  const count = uniqueLocations.length * uniqueStyles.length;
+  if (count > MAX_BATCH_ITEMS) {
+    throw new AppError('INVALID_INPUT', `A batch has at most ${MAX_BATCH_ITEMS} items (locations × styles), this one has ${count}`);
+  }
+
+  return uniqueLocations.flatMap(location => uniqueStyles.map(style => ({ location, style })));
+}
+
+// Calls `worker` on every item with at most `limit` calls running at once;
+// the results keep the order of `items`
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+}
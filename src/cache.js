@@ -0,0 +1,132 @@
+import { getStore, createId } from './storage.js';
+
+// Caches upstream results so repeated requests for the same place don't hit
+// OpenWeatherMap and Gemini again. Entries live in the CACHE binding (KV or R2,
+// in-memory when unbound) and expire after a per-source TTL in seconds.
+
+const STORE_BINDING = 'CACHE';
+
+const FORECAST_SLOT_MS = 3 * 60 * 60 * 1000;
+const OBSERVATION_SLOT_MS = 10 * 60 * 1000;
+// How often a miss waiting on another request's lock looks for the value
+const LOCK_POLL_MS = 1000;
+
+export const CACHE_TTL = {
+  // Place names practically never move
+  geocode: 7 * 24 * 60 * 60,
+  // Forecasts are published in 3-hour steps
+  forecast: 3 * 60 * 60,
+  // Observations and alerts are refreshed every 10 minutes
+  current: 10 * 60,
+  alerts: 10 * 60,
+  prompt: 24 * 60 * 60,
+  // A generated landscape stands for the forecast slot it was made in
+  landscape: 3 * 60 * 60,
+};
+
+// `lock` (seconds) is for loads that cost money: the first miss claims the
+// key and concurrent misses wait for its value instead of loading it again.
+// The lock is an ordinary store entry, so with KV's eventual consistency it
+// narrows the window for duplicate loads rather than closing it.
+export async function cached(env, key, ttl, load, { bypass = false, lock, sleep = wait } = {}) {
+  if (bypass) {
+    return { value: await load(), status: 'BYPASS' };
+  }
+
+  const store = getStore(env, STORE_BINDING);
+
+  const entry = await store.getJSON(key);
+  if (entry) {
+    return { value: entry.value, status: 'HIT' };
+  }
+
+  if (!lock) {
+    return { value: await loadEntry(store, key, ttl, load), status: 'MISS' };
+  }
+
+  const lockKey = `lock:${key}`;
+  const token = createId();
+  const deadline = Date.now() + lock * 1000;
+  for (;;) {
+    // A lock that outlives `lock` belongs to a request that died
+    if (!(await store.getJSON(lockKey)) || Date.now() >= deadline) {
+      await store.putJSON(lockKey, { token }, { ttl: lock });
+      // Of several requests claiming the key at once, the last write wins
+      if ((await store.getJSON(lockKey))?.token === token) break;
+    }
+
+    await sleep(LOCK_POLL_MS);
+    const loaded = await store.getJSON(key);
+    if (loaded) {
+      return { value: loaded.value, status: 'HIT' };
+    }
+  }
+
+  try {
+    return { value: await loadEntry(store, key, ttl, load), status: 'MISS' };
+  } finally {
+    if ((await store.getJSON(lockKey))?.token === token) {
+      await store.delete(lockKey);
+    }
+  }
+}
+
+async function loadEntry(store, key, ttl, load) {
+  const value = await load();
+  await store.putJSON(key, { value, cachedAt: new Date().toISOString() }, { ttl });
+  return value;
+}
+
+export function geocodeCacheKey(provider, location) {
+  return `geocode:${provider}:${location.trim().toLowerCase().replace(/\s+/g, ' ')}`;
+}
+
+// Candidate lists for /api/geocode, which shares the geocoding TTL
+export function searchCacheKey(provider, query, limit) {
+  return `search:${provider}:${limit}:${query.trim().toLowerCase().replace(/\s+/g, ' ')}`;
+}
+
+export function forecastCacheKey(provider, lat, lon, now = Date.now()) {
+  // Keyed by the current 3-hour forecast slot so a new slot always refetches.
+  // "forecast2": the value became { timezone, entries } instead of an array
+  const slot = Math.floor(now / FORECAST_SLOT_MS);
+  return `forecast2:${provider}:${Number(lat).toFixed(2)},${Number(lon).toFixed(2)}:${slot}`;
+}
+
+// Current weather and alerts, keyed by the current 10-minute slot
+export function observationCacheKey(kind, source, lat, lon, now = Date.now()) {
+  const slot = Math.floor(now / OBSERVATION_SLOT_MS);
+  return `${kind}:${source}:${Number(lat).toFixed(2)},${Number(lon).toFixed(2)}:${slot}`;
+}
+
+export function landscapeCacheKey(provider, location, options, now = Date.now()) {
+  const slot = Math.floor(now / FORECAST_SLOT_MS);
+  const variant = Object.entries(options).map(([name, value]) => `${name}=${value}`).join('&');
+  return `landscape:${provider}:${location.trim().toLowerCase().replace(/\s+/g, ' ')}:${variant}:${slot}`;
+}
+
+// Seconds left in the current 3-hour forecast slot
+export function secondsUntilNextSlot(now = Date.now()) {
+  return Math.ceil((FORECAST_SLOT_MS - (now % FORECAST_SLOT_MS)) / 1000);
+}
+
+export async function promptCacheKey(text) {
+  return `prompt:${await sha256Hex(text)}`;
+}
+
+export async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export function cacheHeaders(cacheStatus) {
+  const headers = {};
+  for (const [source, status] of Object.entries(cacheStatus)) {
+    headers[`X-Cache-${source[0].toUpperCase()}${source.slice(1)}`] = status;
+  }
+  return headers;
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,47 @@
+// Locations pre-generated by the cron trigger, so their landscape is ready
+// before anyone asks for it.
+//
+// DAILY_LOCATIONS is either a JSON array or a list separated by semicolons or
+// new lines ("Paris, FR; London, GB"), since commas already appear inside
+// location names. A malformed JSON array is logged and counts as no
+// locations. DAILY_STYLE and DAILY_OVERLAY pick how they are rendered.
+
+export function getDailyLocations(env) {
+  const value = env.DAILY_LOCATIONS;
+  if (!value) return [];
+
+  const locations = Array.isArray(value)
+    ? value
+    : value.trim().startsWith('[') ? parseLocationArray(value) : value.split(/[;\n]/);
+
+  return [...new Set(locations.map(location => String(location).trim()).filter(Boolean))];
+}
+
+export function getDailyOptions(env) {
+  return {
+    style: env.DAILY_STYLE || undefined,
+    overlay: env.DAILY_OVERLAY || 'band',
+  };
+}
+
+function parseLocationArray(value) {
+  try {
+    const locations = JSON.parse(value);
+    if (Array.isArray(locations)) return locations;
+  } catch {
+    // Reported below
+  }
+
+  console.error('DAILY_LOCATIONS is not a valid JSON array, no daily landscapes are made');
+  return [];
+}
+
+// "São Paulo, BR" -> "sao-paulo-br"
+export function locationSlug(location) {
+  return String(location)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
@@ -0,0 +1,53 @@
+// Error model shared by the API handlers. Failures that reach a client carry
+// a stable machine-readable `code` next to the human-readable message:
+//   { "error": "Location not found", "code": "LOCATION_NOT_FOUND" }
+//
+// Each code maps to one HTTP status. Anything that is not an AppError becomes
+// INTERNAL_ERROR; stack traces stay in the logs.
+
+export const ERROR_STATUS = {
+  INVALID_INPUT: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  LOCATION_NOT_FOUND: 404,
+  NOT_ACCEPTABLE: 406,
+  PAYLOAD_TOO_LARGE: 413,
+  UNSUPPORTED_MEDIA_TYPE: 415,
+  SAFETY_BLOCKED: 422,
+  PROMPT_REJECTED: 422,
+  RATE_LIMITED: 429,
+  QUOTA_EXCEEDED: 429,
+  INTERNAL_ERROR: 500,
+  UPSTREAM_ERROR: 502,
+  UPSTREAM_TIMEOUT: 504,
+};
+
+export class AppError extends Error {
+  // `retryAfter` is in seconds; `details` are extra fields for the response body
+  constructor(code, message, { cause, retryAfter, details } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'AppError';
+    this.code = ERROR_STATUS[code] ? code : 'INTERNAL_ERROR';
+    this.status = ERROR_STATUS[this.code];
+    this.retryAfter = retryAfter;
+    this.details = details;
+  }
+}
+
+export function toAppError(error) {
+  if (error instanceof AppError) return error;
+  return new AppError('INTERNAL_ERROR', error?.message || 'Internal error', { cause: error });
+}
+
+export function errorResponse(error, headers = {}) {
+  const appError = toAppError(error);
+  const extraHeaders = {};
+  if (appError.retryAfter) extraHeaders['Retry-After'] = String(Math.ceil(appError.retryAfter));
+  if (appError.code === 'UNAUTHORIZED') extraHeaders['WWW-Authenticate'] = 'Bearer';
+
+  return new Response(JSON.stringify({ error: appError.message, code: appError.code, ...appError.details }), {
+    status: appError.status,
+    headers: { 'Content-Type': 'application/json', ...extraHeaders, ...headers },
+  });
+}
@@ -0,0 +1,52 @@
+// Five days of 3-hour forecast entries in the normalized forecast format,
+// used by the fixture weather provider when no WEATHER_FIXTURE is configured.
+// Whole days are shifted so the first day is today when served, and the
+// slots before the current 3-hour slot are left out.
+// A WEATHER_FIXTURE document can also hold a `current` entry, served as
+// observed now, and `alerts` ({ event, sender, description, tags, hours }).
+
+export default {
+  location: { name: 'Paris', country: 'FR', lat: 48.8589, lon: 2.32, timezone: 7200 },
+  forecast: [
+    { datetime: '2024-06-15 00:00:00', temperature: 13, humidity: 70, pressure: 1016, description: 'clear sky', main: 'Clear', icon: '01n', windSpeed: 2.1, windDirection: 240, clouds: 0 },
+    { datetime: '2024-06-15 03:00:00', temperature: 11, humidity: 70, pressure: 1016, description: 'clear sky', main: 'Clear', icon: '01n', windSpeed: 2.1, windDirection: 240, clouds: 0 },
+    { datetime: '2024-06-15 06:00:00', temperature: 13, humidity: 55, pressure: 1016, description: 'clear sky', main: 'Clear', icon: '01d', windSpeed: 2.1, windDirection: 240, clouds: 0 },
+    { datetime: '2024-06-15 09:00:00', temperature: 17, humidity: 55, pressure: 1016, description: 'clear sky', main: 'Clear', icon: '01d', windSpeed: 2.1, windDirection: 240, clouds: 0 },
+    { datetime: '2024-06-15 12:00:00', temperature: 21, humidity: 55, pressure: 1016, description: 'scattered clouds', main: 'Clouds', icon: '03d', windSpeed: 2.1, windDirection: 240, clouds: 40 },
+    { datetime: '2024-06-15 15:00:00', temperature: 23, humidity: 55, pressure: 1016, description: 'scattered clouds', main: 'Clouds', icon: '03d', windSpeed: 3.5, windDirection: 240, clouds: 40 },
+    { datetime: '2024-06-15 18:00:00', temperature: 21, humidity: 55, pressure: 1016, description: 'scattered clouds', main: 'Clouds', icon: '03d', windSpeed: 2.1, windDirection: 240, clouds: 40 },
+    { datetime: '2024-06-15 21:00:00', temperature: 17, humidity: 70, pressure: 1016, description: 'scattered clouds', main: 'Clouds', icon: '03n', windSpeed: 2.1, windDirection: 240, clouds: 40 },
+    { datetime: '2024-06-16 00:00:00', temperature: 14, humidity: 95, pressure: 1016, description: 'mist', main: 'Mist', icon: '50n', windSpeed: 3.0, windDirection: 250, clouds: 40 },
+    { datetime: '2024-06-16 03:00:00', temperature: 12, humidity: 95, pressure: 1016, description: 'mist', main: 'Mist', icon: '50n', windSpeed: 3.0, windDirection: 250, clouds: 40 },
+    { datetime: '2024-06-16 06:00:00', temperature: 14, humidity: 55, pressure: 1016, description: 'clear sky', main: 'Clear', icon: '01d', windSpeed: 3.0, windDirection: 250, clouds: 0 },
+    { datetime: '2024-06-16 09:00:00', temperature: 18, humidity: 55, pressure: 1016, description: 'clear sky', main: 'Clear', icon: '01d', windSpeed: 3.0, windDirection: 250, clouds: 0 },
+    { datetime: '2024-06-16 12:00:00', temperature: 22, humidity: 55, pressure: 1016, description: 'clear sky', main: 'Clear', icon: '01d', windSpeed: 3.0, windDirection: 250, clouds: 0 },
+    { datetime: '2024-06-16 15:00:00', temperature: 24, humidity: 55, pressure: 1016, description: 'clear sky', main: 'Clear', icon: '01d', windSpeed: 4.4, windDirection: 250, clouds: 0 },
+    { datetime: '2024-06-16 18:00:00', temperature: 22, humidity: 55, pressure: 1016, description: 'clear sky', main: 'Clear', icon: '01d', windSpeed: 3.0, windDirection: 250, clouds: 0 },
+    { datetime: '2024-06-16 21:00:00', temperature: 18, humidity: 70, pressure: 1016, description: 'clear sky', main: 'Clear', icon: '01n', windSpeed: 3.0, windDirection: 250, clouds: 0 },
+    { datetime: '2024-06-17 00:00:00', temperature: 11, humidity: 70, pressure: 1007, description: 'clear sky', main: 'Clear', icon: '01n', windSpeed: 3.9, windDirection: 200, clouds: 0 },
+    { datetime: '2024-06-17 03:00:00', temperature: 9, humidity: 70, pressure: 1007, description: 'clear sky', main: 'Clear', icon: '01n', windSpeed: 3.9, windDirection: 200, clouds: 0 },
+    { datetime: '2024-06-17 06:00:00', temperature: 11, humidity: 55, pressure: 1007, description: 'clear sky', main: 'Clear', icon: '01d', windSpeed: 3.9, windDirection: 200, clouds: 0 },
+    { datetime: '2024-06-17 09:00:00', temperature: 15, humidity: 80, pressure: 1007, description: 'light rain', main: 'Rain', icon: '10d', windSpeed: 3.9, windDirection: 200, clouds: 90 },
+    { datetime: '2024-06-17 12:00:00', temperature: 19, humidity: 80, pressure: 1007, description: 'light rain', main: 'Rain', icon: '10d', windSpeed: 3.9, windDirection: 200, clouds: 90 },
+    { datetime: '2024-06-17 15:00:00', temperature: 21, humidity: 80, pressure: 1007, description: 'light rain', main: 'Rain', icon: '10d', windSpeed: 5.3, windDirection: 200, clouds: 90 },
+    { datetime: '2024-06-17 18:00:00', temperature: 19, humidity: 80, pressure: 1007, description: 'light rain', main: 'Rain', icon: '10d', windSpeed: 3.9, windDirection: 200, clouds: 90 },
+    { datetime: '2024-06-17 21:00:00', temperature: 15, humidity: 70, pressure: 1007, description: 'clear sky', main: 'Clear', icon: '01n', windSpeed: 3.9, windDirection: 200, clouds: 0 },
+    { datetime: '2024-06-18 00:00:00', temperature: 10, humidity: 70, pressure: 1007, description: 'overcast clouds', main: 'Clouds', icon: '04n', windSpeed: 4.8, windDirection: 190, clouds: 95 },
+    { datetime: '2024-06-18 03:00:00', temperature: 8, humidity: 70, pressure: 1007, description: 'overcast clouds', main: 'Clouds', icon: '04n', windSpeed: 4.8, windDirection: 190, clouds: 95 },
+    { datetime: '2024-06-18 06:00:00', temperature: 10, humidity: 55, pressure: 1007, description: 'overcast clouds', main: 'Clouds', icon: '04d', windSpeed: 4.8, windDirection: 190, clouds: 95 },
+    { datetime: '2024-06-18 09:00:00', temperature: 14, humidity: 55, pressure: 1007, description: 'overcast clouds', main: 'Clouds', icon: '04d', windSpeed: 4.8, windDirection: 190, clouds: 95 },
+    { datetime: '2024-06-18 12:00:00', temperature: 18, humidity: 80, pressure: 1007, description: 'thunderstorm with rain', main: 'Thunderstorm', icon: '11d', windSpeed: 4.8, windDirection: 190, clouds: 100 },
+    { datetime: '2024-06-18 15:00:00', temperature: 20, humidity: 80, pressure: 1007, description: 'thunderstorm with rain', main: 'Thunderstorm', icon: '11d', windSpeed: 6.2, windDirection: 190, clouds: 100 },
+    { datetime: '2024-06-18 18:00:00', temperature: 18, humidity: 55, pressure: 1007, description: 'overcast clouds', main: 'Clouds', icon: '04d', windSpeed: 4.8, windDirection: 190, clouds: 95 },
+    { datetime: '2024-06-18 21:00:00', temperature: 14, humidity: 70, pressure: 1007, description: 'overcast clouds', main: 'Clouds', icon: '04n', windSpeed: 4.8, windDirection: 190, clouds: 95 },
+    { datetime: '2024-06-19 00:00:00', temperature: 13, humidity: 70, pressure: 1016, description: 'few clouds', main: 'Clouds', icon: '02n', windSpeed: 5.7, windDirection: 280, clouds: 20 },
+    { datetime: '2024-06-19 03:00:00', temperature: 11, humidity: 70, pressure: 1016, description: 'few clouds', main: 'Clouds', icon: '02n', windSpeed: 5.7, windDirection: 280, clouds: 20 },
+    { datetime: '2024-06-19 06:00:00', temperature: 13, humidity: 55, pressure: 1016, description: 'few clouds', main: 'Clouds', icon: '02d', windSpeed: 5.7, windDirection: 280, clouds: 20 },
+    { datetime: '2024-06-19 09:00:00', temperature: 17, humidity: 55, pressure: 1016, description: 'few clouds', main: 'Clouds', icon: '02d', windSpeed: 5.7, windDirection: 280, clouds: 20 },
+    { datetime: '2024-06-19 12:00:00', temperature: 21, humidity: 55, pressure: 1016, description: 'few clouds', main: 'Clouds', icon: '02d', windSpeed: 5.7, windDirection: 280, clouds: 20 },
+    { datetime: '2024-06-19 15:00:00', temperature: 23, humidity: 55, pressure: 1016, description: 'few clouds', main: 'Clouds', icon: '02d', windSpeed: 7.1, windDirection: 280, clouds: 20 },
+    { datetime: '2024-06-19 18:00:00', temperature: 21, humidity: 55, pressure: 1016, description: 'few clouds', main: 'Clouds', icon: '02d', windSpeed: 5.7, windDirection: 280, clouds: 20 },
+    { datetime: '2024-06-19 21:00:00', temperature: 17, humidity: 70, pressure: 1016, description: 'few clouds', main: 'Clouds', icon: '02n', windSpeed: 5.7, windDirection: 280, clouds: 20 }
+  ]
+};
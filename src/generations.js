@@ -0,0 +1,127 @@
+import { getStore, createId } from './storage.js';
+
+// Every generated landscape is persisted as two entries in the image store:
+// the raw image bytes and a JSON record describing how it was made.
+
+const STORE_BINDING = 'IMAGE_STORE';
+
+// `frame` is set for timeline frames: { slot, seed, timeline } where slot
+// indexes weatherData.forecast and timeline is the id of the timeline.
+// `overlay` is the caption layout stamped on the image. `seed` and `model`
+// are what the image was made with, so it can be rendered again;
+// `regeneratedFrom` is the generation it was rendered again from. `size` is
+// the requested output size, { name, width, height, fit }.
+export async function saveGeneration(env, { bytes, mimeType, model, seed, prompt, weatherData, style, overlay = 'none', size, frame, regeneratedFrom }) {
+  const store = getStore(env, STORE_BINDING);
+  const id = createId();
+
+  const record = {
+    id,
+    mimeType,
+    model,
+    seed,
+    prompt,
+    weatherData,
+    style,
+    overlay,
+    size,
+    frame,
+    regeneratedFrom,
+    createdAt: new Date().toISOString(),
+  };
+
+  await store.put(`images/${id}`, bytes, { contentType: mimeType });
+  await store.putJSON(`generations/${id}.json`, record);
+
+  return record;
+}
+
+// `id` is picked up front when the frames have to name their timeline
+export async function saveTimeline(env, { id = createId(), frameIds, composition, weatherData, style, seed }) {
+  const record = {
+    id,
+    frameIds,
+    composition,
+    weatherData,
+    style,
+    seed,
+    createdAt: new Date().toISOString(),
+  };
+
+  await getStore(env, STORE_BINDING).putJSON(`timelines/${record.id}.json`, record);
+
+  return record;
+}
+
+export async function loadTimeline(env, id) {
+  if (!isGenerationId(id)) return null;
+  return getStore(env, STORE_BINDING).getJSON(`timelines/${id}.json`);
+}
+
+export async function loadGeneration(env, id) {
+  if (!isGenerationId(id)) return null;
+  return getStore(env, STORE_BINDING).getJSON(`generations/${id}.json`);
+}
+
+// Removes the image, its thumbnails and its record; share links to it stop working
+export async function deleteGeneration(env, id) {
+  if (!isGenerationId(id)) return;
+  const store = getStore(env, STORE_BINDING);
+  await store.delete(`images/${id}`);
+  for (const key of await store.list(`thumbnails/${id}-`)) {
+    await store.delete(key);
+  }
+  await store.delete(`generations/${id}.json`);
+}
+
+export async function loadImage(env, id) {
+  if (!isGenerationId(id)) return null;
+  return getStore(env, STORE_BINDING).get(`images/${id}`);
+}
+
+// Thumbnails are made on first request and kept next to the image
+export async function loadThumbnail(env, id, width) {
+  if (!isGenerationId(id)) return null;
+  return getStore(env, STORE_BINDING).get(`thumbnails/${id}-${width}`);
+}
+
+export async function saveThumbnail(env, id, width, { body, contentType }) {
+  await getStore(env, STORE_BINDING).put(`thumbnails/${id}-${width}`, body, { contentType });
+}
+
+// The latest scheduled landscape of a location, keyed by its slug
+export async function saveDailyPointer(env, slug, pointer) {
+  const record = { slug, ...pointer, updatedAt: new Date().toISOString() };
+  await getStore(env, STORE_BINDING).putJSON(`daily/${slug}.json`, record);
+  return record;
+}
+
+export async function loadDailyPointer(env, slug) {
+  if (!/^[a-z0-9-]+$/.test(slug || '')) return null;
+  return getStore(env, STORE_BINDING).getJSON(`daily/${slug}.json`);
+}
+
+export async function listDailyPointers(env) {
+  const store = getStore(env, STORE_BINDING);
+  const keys = await store.list('daily/');
+  const pointers = await Promise.all(keys.map(key => store.getJSON(key)));
+  return pointers.filter(Boolean).sort((a, b) => a.location.localeCompare(b.location));
+}
+
+// What keeps a generation's image in use apart from its owner's history:
+// 'timeline' when a stored timeline shows it as a frame, 'daily' when it is a
+// location's latest daily landscape, else null
+export async function findImageReference(env, generation) {
+  const timelineId = generation.frame?.timeline;
+  if (timelineId && (await loadTimeline(env, timelineId))?.frameIds.includes(generation.id)) {
+    return 'timeline';
+  }
+  if ((await listDailyPointers(env)).some(pointer => pointer.generationId === generation.id)) {
+    return 'daily';
+  }
+  return null;
+}
+
+export function isGenerationId(id) {
+  return /^[0-9a-f]{16}$/.test(id || '');
+}
@@ -0,0 +1,106 @@
+import { AppError } from './errors.js';
+
+// Guardrails around the prompt pipeline. Text that is pasted into the
+// instructions for a prompt writer (place names, condition descriptions) may
+// only contain the characters a place or a weather description needs and must
+// not read like an instruction to the model. The prompt that comes back is
+// checked against a blocklist and length limits before it reaches the image
+// model.
+//
+// Rejections are PROMPT_REJECTED errors with a `reason` (and the `field` or
+// blocked `term`) in their details. PROMPT_BLOCKLIST adds terms to the
+// blocklist, separated by commas.
+
+export const MIN_PROMPT_LENGTH = 20;
+export const MAX_PROMPT_LENGTH = 2000;
+
+// Letters and digits of any script plus the punctuation of names such as
+// "Saint-Étienne", "Xi'an" or "sand/dust whirls"
+const ALLOWED_CHARACTERS = /^[\p{L}\p{M}\p{N} ,.'’()&/:%-]*$/u;
+
+const INJECTION_PATTERNS = [
+  /\b(ignore|disregard|forget|override)\b.{0,40}\b(instructions?|prompts?|rules|above|previous|prior)\b/i,
+  /\b(system|developer|hidden)\s+(prompt|message|instructions?)\b/i,
+  /\bnew\s+(instructions?|task|rules)\b/i,
+  /\byou\s+are\s+(now|no\s+longer|an?)\b/i,
+  /\b(act|pretend|roleplay)\s+as\b/i,
+  /\b(respond|reply|answer|output)\s+(only|with)\b/i,
+  /(^|[\s,.])(system|assistant|user)\s*:/i,
+];
+
+// Matched as whole words, in the singular or plural
+const BLOCKLIST = [
+  'nude', 'nudity', 'naked', 'nsfw', 'porn', 'pornographic', 'erotic', 'sexual', 'sexy', 'lingerie',
+  'gore', 'gory', 'bloodshed', 'mutilated', 'mutilation', 'decapitated', 'dismembered', 'corpse',
+  'massacre', 'torture', 'tortured', 'suicide', 'self-harm', 'swastika', 'terrorist',
+];
+
+// Removes invisible formatting characters (zero-width spaces, bidi
+// overrides), turns control characters such as newlines into spaces and
+// collapses whitespace, so the text is safe to log and to paste into a
+// prompt. Formatting characters are dropped rather than replaced so they
+// cannot split a word to hide it from the injection patterns.
+export function cleanText(value) {
+  return String(value)
+    .normalize('NFKC')
+    .replace(/\p{Cf}+/gu, '')
+    .replace(/\p{Cc}+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Cleaned `value`, or PROMPT_REJECTED when it has characters or phrases that
+// have no place in a place name or weather description
+export function checkPromptText(value, field) {
+  const text = cleanText(value);
+
+  if (!ALLOWED_CHARACTERS.test(text)) {
+    throw rejected(`${field} contains characters that are not allowed`, { reason: 'characters', field });
+  }
+  if (INJECTION_PATTERNS.some(pattern => pattern.test(text))) {
+    throw rejected(`${field} looks like an instruction to the model`, { reason: 'injection', field });
+  }
+
+  return text;
+}
+
+// Checks a prompt written by a prompt writer before it is sent to the image model
+export function checkImagePrompt(prompt, env = {}) {
+  const text = cleanText(prompt);
+
+  if (text.length < MIN_PROMPT_LENGTH) {
+    throw rejected(`The prompt is shorter than ${MIN_PROMPT_LENGTH} characters`, { reason: 'too_short' });
+  }
+  if (text.length > MAX_PROMPT_LENGTH) {
+    throw rejected(`The prompt is longer than ${MAX_PROMPT_LENGTH} characters`, { reason: 'too_long' });
+  }
+
+  const term = getBlocklist(env).find(blocked => blockedTermPattern(blocked).test(text));
+  if (term) {
+    throw rejected(`The prompt contains the blocked term '${term}'`, { reason: 'blocklist', term });
+  }
+
+  // A model that followed injected instructions tends to echo them
+  if (INJECTION_PATTERNS.some(pattern => pattern.test(text))) {
+    throw rejected('The prompt contains instructions to a model', { reason: 'injection' });
+  }
+
+  return text;
+}
+
+export function getBlocklist(env = {}) {
+  const extra = String(env.PROMPT_BLOCKLIST || '')
+    .split(',')
+    .map(term => term.trim().toLowerCase())
+    .filter(Boolean);
+  return [...BLOCKLIST, ...extra];
+}
+
+function blockedTermPattern(term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^\\p{L}])${escaped}(s|es)?($|[^\\p{L}])`, 'iu');
+}
+
+function rejected(message, details) {
+  return new AppError('PROMPT_REJECTED', message, { details });
+}
@@ -0,0 +1,176 @@
+import { getStore } from './storage.js';
+import { AppError } from './errors.js';
+
+// Personal generation history. Each entry is its own document under the
+// owner's prefix, with what the gallery needs to show and filter it without
+// loading the generation: location, style, prompt and the forecast entry the
+// image was made for. Keys start with the inverted creation time, so listing
+// the prefix gives the newest first, and concurrent requests never write the
+// same document.
+//
+// The owner is the caller's API key, or else the browser id the page sends as
+// X-Client-Id; requests with neither are not recorded.
+
+const STORE_BINDING = 'IMAGE_STORE';
+
+export const MAX_HISTORY_ENTRIES = 200;
+
+export const DEFAULT_HISTORY_LIMIT = 50;
+
+// Larger than any timestamp in milliseconds, so sort keys all have 16 digits
+const SORT_KEY_BASE = 1e16;
+
+export function historyOwner(client) {
+  if (client?.key) return `key-${client.key}`;
+  if (client?.browser) return `browser-${client.browser}`;
+  return null;
+}
+
+export async function addHistoryEntries(env, owner, generations) {
+  if (!owner || !generations.length) return;
+
+  const store = getStore(env, STORE_BINDING);
+  for (const entry of generations.map(toHistoryEntry)) {
+    await store.putJSON(entryKey(owner, entry), entry);
+  }
+
+  // Only the latest MAX_HISTORY_ENTRIES are kept
+  const keys = await listEntryKeys(store, owner);
+  for (const key of keys.slice(MAX_HISTORY_ENTRIES)) {
+    await store.delete(key);
+  }
+}
+
+// Entries matching every given filter: `location` (part of the name),
+// `condition` (forecast `main`, e.g. Rain), `minTemp`/`maxTemp` in °C and
+// `from`/`to` as YYYY-MM-DD creation dates
+export async function listHistory(env, owner, { location, condition, minTemp, maxTemp, from, to, limit = DEFAULT_HISTORY_LIMIT } = {}) {
+  const entries = await loadEntries(getStore(env, STORE_BINDING), owner);
+  const place = location?.toLowerCase();
+
+  const matches = entries.filter(entry =>
+    (!place || entry.location.toLowerCase().includes(place))
+    && (!condition || entry.weather.main?.toLowerCase() === condition.toLowerCase())
+    && (minTemp === undefined || entry.weather.temperature >= minTemp)
+    && (maxTemp === undefined || entry.weather.temperature <= maxTemp)
+    && (!from || entry.createdAt.slice(0, 10) >= from)
+    && (!to || entry.createdAt.slice(0, 10) <= to)
+  );
+
+  return { entries: matches.slice(0, limit), total: matches.length };
+}
+
+export async function findHistoryEntry(env, owner, id) {
+  const store = getStore(env, STORE_BINDING);
+  const key = await findEntryKey(store, owner, id);
+  return key ? store.getJSON(key) : null;
+}
+
+// Resolves to the removed entry, or null when the owner has no such entry
+export async function removeHistoryEntry(env, owner, id) {
+  const store = getStore(env, STORE_BINDING);
+  const key = await findEntryKey(store, owner, id);
+  const entry = key && await store.getJSON(key);
+  if (!entry) return null;
+
+  await store.delete(key);
+  return entry;
+}
+
+export function parseHistoryFilters(params) {
+  const filters = {};
+
+  for (const name of ['location', 'condition']) {
+    const value = params.get(name)?.trim();
+    if (value) filters[name] = value;
+  }
+
+  for (const name of ['minTemp', 'maxTemp']) {
+    if (!params.get(name)) continue;
+    const value = Number(params.get(name));
+    if (!Number.isFinite(value)) {
+      throw new AppError('INVALID_INPUT', `${name} must be a number`);
+    }
+    filters[name] = value;
+  }
+
+  for (const name of ['from', 'to']) {
+    const value = params.get(name);
+    if (!value) continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+      throw new AppError('INVALID_INPUT', `${name} must be a date like "2024-06-15"`);
+    }
+    filters[name] = value;
+  }
+
+  if (params.get('limit')) {
+    const limit = Number(params.get('limit'));
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_HISTORY_ENTRIES) {
+      throw new AppError('INVALID_INPUT', `limit must be a whole number between 1 and ${MAX_HISTORY_ENTRIES}`);
+    }
+    filters.limit = limit;
+  }
+
+  return filters;
+}
+
+// The forecast entry is the frame's slot for timeline frames, else the first one
+function toHistoryEntry(generation) {
+  const { weatherData } = generation;
+  const entry = weatherData.forecast[generation.frame?.slot ?? 0];
+
+  return {
+    id: generation.id,
+    createdAt: generation.createdAt,
+    location: weatherData.location,
+    coordinates: weatherData.coordinates,
+    style: generation.style,
+    prompt: generation.prompt,
+    weather: {
+      datetime: entry.datetime,
+      localTime: entry.lighting?.localTime,
+      main: entry.main,
+      description: entry.description,
+      temperature: entry.temperature,
+      humidity: entry.humidity,
+      windSpeed: entry.windSpeed,
+      clouds: entry.clouds,
+    },
+    imageUrl: `/i/${generation.id}`,
+  };
+}
+
+async function loadEntries(store, owner) {
+  const keys = (await listEntryKeys(store, owner)).slice(0, MAX_HISTORY_ENTRIES);
+  const entries = await Promise.all(keys.map(key => store.getJSON(key)));
+  return entries.filter(Boolean);
+}
+
+// Newest first
+async function listEntryKeys(store, owner) {
+  await migrateIndex(store, owner);
+  return (await store.list(`history/${owner}/`)).sort();
+}
+
+async function findEntryKey(store, owner, id) {
+  if (!/^[0-9a-f]{16}$/.test(id || '')) return null;
+  return (await listEntryKeys(store, owner)).find(key => key.endsWith(`-${id}.json`)) || null;
+}
+
+function entryKey(owner, entry) {
+  const sortKey = String(SORT_KEY_BASE - Date.parse(entry.createdAt)).padStart(16, '0');
+  return `history/${owner}/${sortKey}-${entry.id}.json`;
+}
+
+// Histories used to be one index document per owner; its entries are moved
+// to their own documents the first time the history is read or changed
+async function migrateIndex(store, owner) {
+  const indexKey = `history/${owner}.json`;
+  const index = await store.getJSON(indexKey);
+  if (!index) return;
+
+  for (const entry of index.entries || []) {
+    await store.putJSON(entryKey(owner, entry), entry);
+  }
+  await store.delete(indexKey);
+}
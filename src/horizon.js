@@ -0,0 +1,161 @@
+import { AppError } from './errors.js';
+
+// Forecast horizons decide which part of the 5-day forecast an image shows:
+//   now               the next 24 hours (times `days`)
+//   tonight           the coming night, 20:00 to 06:00 local time
+//   tomorrow          the next local day
+//   weekend           the coming Saturday and Sunday, or what is left of them
+//   "2024-06-15"      that local day
+//   "2024-06-15T18:00" 24 hours (times `days`) from the slot nearest that local time
+//
+// Images show the first selected slot, so whole days start at their first slot
+// from noon on. Their daily summaries still cover every slot of the day:
+// the lowest and highest temperature, the dominant condition and the
+// precipitation total.
+
+export const HORIZONS = ['now', 'tonight', 'tomorrow', 'weekend'];
+
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const SLOTS_PER_DAY = 8;
+const NIGHT_START_HOUR = 20;
+const NIGHT_END_HOUR = 6;
+const DAY_VIEW_HOUR = 12;
+
+// When a day has as many slots of two conditions, the more severe one wins
+const SEVERITY = [
+  'Tornado', 'Squall', 'Thunderstorm', 'Snow', 'Rain', 'Drizzle', 'Sand', 'Dust',
+  'Ash', 'Smoke', 'Fog', 'Mist', 'Haze', 'Clouds', 'Clear',
+];
+
+export function parseHorizon(value, field = 'horizon') {
+  if (value === undefined || value === null || value === '') return 'now';
+  if (HORIZONS.includes(value)) return value;
+
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2})?$/.test(value) && !Number.isNaN(parseLocal(value))) {
+    return value;
+  }
+  throw new AppError('INVALID_INPUT', `${field} must be one of ${HORIZONS.join(', ')}, a date like "2024-06-15" or a local time like "2024-06-15T18:00"`);
+}
+
+// The entries of `entries` (the full forecast, oldest first) that the horizon
+// covers, or INVALID_INPUT when the forecast does not reach that far
+export function selectHorizon(entries, horizon, timezone = 0, { days = 1, now = Date.now() } = {}) {
+  const count = SLOTS_PER_DAY * Math.min(Math.max(Number(days) || 1, 1), 5);
+  if (!entries.length || horizon === 'now') {
+    return entries.slice(0, count);
+  }
+
+  if (horizon === 'tonight') {
+    const today = localDate(now, timezone);
+    const start = localHour(now, timezone) < NIGHT_END_HOUR
+      ? now - 3 * HOUR_MS
+      : toUTC(`${today}T${pad(NIGHT_START_HOUR)}:00`, timezone);
+    const end = toUTC(`${localHour(now, timezone) < NIGHT_END_HOUR ? today : addDays(today, 1)}T${pad(NIGHT_END_HOUR)}:00`, timezone);
+    return inForecast(entries.filter(entry => timestampOf(entry) >= start && timestampOf(entry) < end), 'tonight', entries, timezone);
+  }
+
+  if (horizon.includes('T')) {
+    const target = toUTC(horizon, timezone);
+    const last = timestampOf(entries[entries.length - 1]);
+    if (target < timestampOf(entries[0]) - 3 * HOUR_MS || target > last + 3 * HOUR_MS) {
+      return inForecast([], horizon, entries, timezone);
+    }
+    const distances = entries.map(entry => Math.abs(timestampOf(entry) - target));
+    const nearest = distances.indexOf(Math.min(...distances));
+    return entries.slice(nearest, nearest + count);
+  }
+
+  const dates = horizonDates(horizon, localDate(now, timezone));
+  const selected = inForecast(entries.filter(entry => dates.includes(localDate(timestampOf(entry), timezone))), horizon, entries, timezone);
+
+  // Start at the first day's first slot from noon on, or its last slot when
+  // the forecast ends earlier that day
+  const firstDay = selected.filter(entry => localDate(timestampOf(entry), timezone) === localDate(timestampOf(selected[0]), timezone));
+  const viewIndex = firstDay.findIndex(entry => localHour(timestampOf(entry), timezone) >= DAY_VIEW_HOUR);
+  return selected.slice(viewIndex === -1 ? firstDay.length - 1 : viewIndex);
+}
+
+// One summary per local day the selected entries touch, computed from every
+// entry of that day in the full forecast
+export function summarizeDays(entries, selected, timezone = 0) {
+  const dates = [...new Set(selected.map(entry => localDate(timestampOf(entry), timezone)))];
+
+  return dates.map(date => {
+    const day = entries.filter(entry => localDate(timestampOf(entry), timezone) === date);
+    const temperatures = day.map(entry => entry.temperature);
+    const main = dominant(day.map(entry => entry.main), (a, b) => SEVERITY.indexOf(a) - SEVERITY.indexOf(b));
+    const amounts = day.map(entry => entry.precipitation).filter(amount => typeof amount === 'number');
+
+    return {
+      date,
+      minTemp: Math.min(...temperatures),
+      maxTemp: Math.max(...temperatures),
+      main,
+      description: dominant(day.filter(entry => entry.main === main).map(entry => entry.description)),
+      precipitation: amounts.length ? Math.round(amounts.reduce((sum, amount) => sum + amount, 0) * 10) / 10 : undefined,
+    };
+  });
+}
+
+// "2024-06-15: 12°C to 23°C, mostly scattered clouds, 1.2 mm precipitation"
+export function formatDaySummary(day) {
+  const precipitation = day.precipitation === undefined ? '' : `, ${day.precipitation} mm precipitation`;
+  return `${day.date}: ${day.minTemp}°C to ${day.maxTemp}°C, mostly ${day.description}${precipitation}`;
+}
+
+function horizonDates(horizon, today) {
+  if (horizon === 'tomorrow') return [addDays(today, 1)];
+  if (horizon !== 'weekend') return [horizon];
+
+  const weekday = new Date(`${today}T00:00:00Z`).getUTCDay();
+  if (weekday === 6) return [today, addDays(today, 1)];
+  if (weekday === 0) return [today];
+  return [addDays(today, 6 - weekday), addDays(today, 7 - weekday)];
+}
+
+function inForecast(selected, horizon, entries, timezone) {
+  if (!selected.length) {
+    const last = localDate(timestampOf(entries[entries.length - 1]), timezone);
+    throw new AppError('INVALID_INPUT', `The forecast has no entries for '${horizon}', it ends on ${last}`);
+  }
+  return selected;
+}
+
+// The most frequent value; ties go to the value `compare` sorts first
+function dominant(values, compare = () => 0) {
+  const counts = new Map();
+  for (const value of values) {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || compare(a[0], b[0]))[0][0];
+}
+
+function timestampOf(entry) {
+  return Date.parse(`${entry.datetime.replace(' ', 'T')}Z`);
+}
+
+// Milliseconds of a local "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM", read as UTC
+function parseLocal(value) {
+  return Date.parse(value.length === 10 ? `${value}T00:00:00Z` : `${value}:00Z`);
+}
+
+function toUTC(local, timezone) {
+  return parseLocal(local) - timezone * 1000;
+}
+
+function localDate(timestamp, timezone) {
+  return new Date(timestamp + timezone * 1000).toISOString().slice(0, 10);
+}
+
+function localHour(timestamp, timezone) {
+  return new Date(timestamp + timezone * 1000).getUTCHours();
+}
+
+function addDays(date, count) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + count * DAY_MS).toISOString().slice(0, 10);
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
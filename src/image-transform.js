@@ -0,0 +1,70 @@
+import { decodePNG, encodePNG, isPNG } from './imaging/png.js';
+import { resize, cover, contain } from './imaging/raster.js';
+
+// Resizes and converts stored images for the public image API and fits
+// generated images to their output size. The Images binding (IMAGES) handles
+// every format; without it only PNG can be resized, in plain JavaScript.
+
+export const OUTPUT_FORMATS = {
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+};
+
+export const MIN_WIDTH = 64;
+export const MAX_WIDTH = 2048;
+
+// Resolves to { body, contentType }, or null when the conversion is not
+// possible in this deployment
+export async function transformImage(image, { width, format } = {}, env) {
+  const contentType = format ? OUTPUT_FORMATS[format] : image.contentType;
+  if (!width && contentType === image.contentType) {
+    return image;
+  }
+
+  if (env.IMAGES) {
+    const transformed = await env.IMAGES
+      .input(new Response(image.body).body)
+      .transform(width ? { width } : {})
+      .output({ format: contentType });
+    const response = transformed.response();
+    return { body: new Uint8Array(await response.arrayBuffer()), contentType };
+  }
+
+  if (contentType === 'image/png' && isPNG(image.body)) {
+    const decoded = await decodePNG(image.body);
+    const resized = width ? resize(decoded, width, decoded.height * width / decoded.width) : decoded;
+    return { body: await encodePNG(resized), contentType };
+  }
+
+  return null;
+}
+
+// Widths of the thumbnails served as /i/:id?w=...
+export const THUMBNAIL_WIDTHS = [256, 512];
+
+// Brings a generated image to exactly width x height: `crop` scales it to
+// cover and cuts the overflow, `pad` scales it to fit and fills the rest.
+// Resolves to { bytes, mimeType, fitted }; `fitted` is false when the image
+// could not be changed in this deployment and keeps its own size.
+export async function fitImage(bytes, mimeType, { width, height, fit = 'crop' }, env) {
+  if (isPNG(bytes)) {
+    const image = await decodePNG(bytes);
+    if (image.width === width && image.height === height) {
+      return { bytes, mimeType, fitted: true };
+    }
+    const fitted = fit === 'pad' ? contain(image, width, height) : cover(image, width, height);
+    return { bytes: await encodePNG(fitted), mimeType: 'image/png', fitted: true };
+  }
+
+  if (env.IMAGES) {
+    const transformed = await env.IMAGES
+      .input(new Response(bytes).body)
+      .transform({ width, height, fit: fit === 'pad' ? 'pad' : 'cover' })
+      .output({ format: mimeType });
+    const response = transformed.response();
+    return { bytes: new Uint8Array(await response.arrayBuffer()), mimeType, fitted: true };
+  }
+
+  return { bytes, mimeType, fitted: false };
+}
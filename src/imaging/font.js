@@ -0,0 +1,35 @@
+// 5x7 bitmap font for captions drawn onto images.
+//
+// Each glyph is 7 rows, top to bottom, written as one base-32 digit per row;
+// the digit's 5 bits are the row's pixels from left to right.
+
+export const GLYPH_WIDTH = 5;
+export const GLYPH_HEIGHT = 7;
+
+const GLYPHS = {
+  ' ': '0000000', 'A': 'ehhvhhh', 'B': 'uhhuhhu', 'C': 'ehggghe', 'D': 'sihhhis', 'E': 'vgguggv',
+  'F': 'vgguggg', 'G': 'ehgnhhf', 'H': 'hhhvhhh', 'I': 'e44444e', 'J': '72222ic', 'K': 'hikokih',
+  'L': 'ggggggv', 'M': 'hrllhhh', 'N': 'hhpljhh', 'O': 'ehhhhhe', 'P': 'uhhuggg', 'Q': 'ehhhlid',
+  'R': 'uhhukih', 'S': 'fgge11u', 'T': 'v444444', 'U': 'hhhhhhe', 'V': 'hhhhha4', 'W': 'hhhllla',
+  'X': 'hha4ahh', 'Y': 'hha4444', 'Z': 'v1248gv', 'a': '00e1fhf', 'b': 'ggmphhu', 'c': '00egghe',
+  'd': '11djhhf', 'e': '00ehvge', 'f': '698s888', 'g': '0fhhf1e', 'h': 'ggmphhh', 'i': '40c444e',
+  'j': '20622ic', 'k': 'ggikoki', 'l': 'c44444e', 'm': '00qllhh', 'n': '00mphhh', 'o': '00ehhhe',
+  'p': '00uhugg', 'q': '00djf11', 'r': '00mpggg', 's': '00ege1u', 't': '88s8896', 'u': '00hhhjd',
+  'v': '00hhha4', 'w': '00hhlla', 'x': '00ha4ah', 'y': '00hhf1e', 'z': '00v248v', '0': 'ehjlphe',
+  '1': '4c4444e', '2': 'eh1248v', '3': 'v2421he', '4': '26aiv22', '5': 'vgu11he', '6': '68guhhe',
+  '7': 'v124888', '8': 'ehhehhe', '9': 'ehhf12c', '.': '00000cc', ',': '0000c48', ':': '0cc0cc0',
+  ';': '0cc0c48', '-': '000v000', '+': '044v440', '/': '01248g0', '%': 'op248j3', '(': '2488842',
+  ')': '8422248', "'": 'c480000', '"': 'aa00000', '!': '4444404', '?': 'eh12404', '&': 'cik8lid',
+  '#': 'aavavaa', '_': '000000v', '=': '00v0v00', '<': '248g842', '>': '8421248', '|': '4444444',
+  '*': '04lel40', '@': 'eh1dlle', '°': 'ciic000', '[': 'e88888e', ']': 'e22222e',
+};
+
+export function getGlyph(char) {
+  const rows = GLYPHS[char] ?? GLYPHS[stripAccents(char)] ?? GLYPHS['?'];
+  return Array.from(rows, digit => parseInt(digit, 32));
+}
+
+// Captions include place names, so "Zürich" is drawn as "Zurich"
+function stripAccents(char) {
+  return char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
@@ -0,0 +1,255 @@
+// Animated GIF encoding in plain JavaScript.
+//
+// Each frame is reduced to at most 256 colors with median cut and stored
+// with its own local color table, so sunrise and night frames don't have to
+// share a palette.
+
+const MIN_CODE_SIZE = 8;
+const MAX_CODES = 4096;
+
+export function encodeGIF(frames, { delayMs = 1000, loops = 0 } = {}) {
+  const { width, height } = frames[0];
+  const bytes = new ByteWriter();
+
+  bytes.writeString('GIF89a');
+  bytes.writeUint16(width);
+  bytes.writeUint16(height);
+  bytes.writeBytes([0x00, 0, 0]); // no global color table
+
+  // NETSCAPE2.0 application extension: loop count, 0 loops forever
+  bytes.writeBytes([0x21, 0xff, 11]);
+  bytes.writeString('NETSCAPE2.0');
+  bytes.writeBytes([3, 1]);
+  bytes.writeUint16(loops);
+  bytes.writeByte(0);
+
+  const delay = Math.round(delayMs / 10);
+
+  for (const frame of frames) {
+    const { palette, indices } = quantize(frame);
+
+    // Graphic control extension: frame delay in hundredths of a second
+    bytes.writeBytes([0x21, 0xf9, 4, 0x04]);
+    bytes.writeUint16(delay);
+    bytes.writeBytes([0, 0]);
+
+    // Image descriptor followed by a full 256-entry local color table
+    bytes.writeByte(0x2c);
+    bytes.writeUint16(0);
+    bytes.writeUint16(0);
+    bytes.writeUint16(width);
+    bytes.writeUint16(height);
+    bytes.writeByte(0x87);
+    for (let i = 0; i < 256; i++) {
+      bytes.writeBytes(palette[i] || [0, 0, 0]);
+    }
+
+    bytes.writeByte(MIN_CODE_SIZE);
+    const compressed = lzw(indices);
+    for (let offset = 0; offset < compressed.length; offset += 255) {
+      const block = compressed.subarray(offset, offset + 255);
+      bytes.writeByte(block.length);
+      bytes.writeBytes(block);
+    }
+    bytes.writeByte(0);
+  }
+
+  bytes.writeByte(0x3b);
+  return bytes.toUint8Array();
+}
+
+// Median cut over a 5-bit-per-channel histogram
+function quantize({ width, height, data }) {
+  const pixelCount = width * height;
+  const histogram = new Uint32Array(32768);
+  const keys = new Uint16Array(pixelCount);
+
+  for (let i = 0; i < pixelCount; i++) {
+    const key = ((data[i * 4] >> 3) << 10) | ((data[i * 4 + 1] >> 3) << 5) | (data[i * 4 + 2] >> 3);
+    keys[i] = key;
+    histogram[key]++;
+  }
+
+  const colors = [];
+  for (let key = 0; key < histogram.length; key++) {
+    if (histogram[key]) colors.push(key);
+  }
+
+  let boxes = [colors];
+  while (boxes.length < 256) {
+    const index = findWidestBox(boxes);
+    if (index === -1) break;
+
+    const [low, high] = splitBox(boxes[index], histogram);
+    boxes.splice(index, 1, low, high);
+  }
+
+  const lookup = new Uint8Array(32768);
+  const palette = boxes.map((box, paletteIndex) => {
+    let total = 0;
+    const sums = [0, 0, 0];
+    for (const key of box) {
+      const count = histogram[key];
+      total += count;
+      sums[0] += channel(key, 0) * count;
+      sums[1] += channel(key, 1) * count;
+      sums[2] += channel(key, 2) * count;
+      lookup[key] = paletteIndex;
+    }
+    // Scale the 5-bit averages back to 8 bits
+    return sums.map(sum => Math.round((sum / total) * 255 / 31));
+  });
+
+  const indices = new Uint8Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    indices[i] = lookup[keys[i]];
+  }
+
+  return { palette, indices };
+}
+
+function channel(key, index) {
+  return (key >> (10 - index * 5)) & 31;
+}
+
+function boxRange(box) {
+  const min = [31, 31, 31];
+  const max = [0, 0, 0];
+  for (const key of box) {
+    for (let c = 0; c < 3; c++) {
+      const value = channel(key, c);
+      if (value < min[c]) min[c] = value;
+      if (value > max[c]) max[c] = value;
+    }
+  }
+  return max.map((value, c) => value - min[c]);
+}
+
+function findWidestBox(boxes) {
+  let widest = -1;
+  let widestRange = 0;
+  boxes.forEach((box, index) => {
+    if (box.length < 2) return;
+    const range = Math.max(...boxRange(box));
+    if (range > widestRange) {
+      widest = index;
+      widestRange = range;
+    }
+  });
+  return widest;
+}
+
+// Splits along the widest channel at the pixel-weighted median
+function splitBox(box, histogram) {
+  const ranges = boxRange(box);
+  const axis = ranges.indexOf(Math.max(...ranges));
+  box.sort((a, b) => channel(a, axis) - channel(b, axis));
+
+  const total = box.reduce((sum, key) => sum + histogram[key], 0);
+  let running = 0;
+  let cut = 1;
+  for (let i = 0; i < box.length - 1; i++) {
+    running += histogram[box[i]];
+    if (running >= total / 2) {
+      cut = i + 1;
+      break;
+    }
+  }
+
+  return [box.slice(0, cut), box.slice(cut)];
+}
+
+function lzw(indices) {
+  const clearCode = 1 << MIN_CODE_SIZE;
+  const endCode = clearCode + 1;
+  const output = new ByteWriter();
+  let buffer = 0;
+  let bufferBits = 0;
+  let codeSize = MIN_CODE_SIZE + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+
+  const emit = code => {
+    buffer |= code << bufferBits;
+    bufferBits += codeSize;
+    while (bufferBits >= 8) {
+      output.writeByte(buffer & 0xff);
+      buffer >>>= 8;
+      bufferBits -= 8;
+    }
+  };
+
+  emit(clearCode);
+  if (!indices.length) {
+    emit(endCode);
+  }
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const key = (prefix << 8) | indices[i];
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode === MAX_CODES) {
+      emit(clearCode);
+      table = new Map();
+      codeSize = MIN_CODE_SIZE + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = indices[i];
+  }
+
+  if (indices.length) {
+    emit(prefix);
+    emit(endCode);
+  }
+  if (bufferBits > 0) {
+    output.writeByte(buffer & 0xff);
+  }
+
+  return output.toUint8Array();
+}
+
+class ByteWriter {
+  constructor() {
+    this.bytes = new Uint8Array(4096);
+    this.length = 0;
+  }
+
+  ensure(extra) {
+    if (this.length + extra <= this.bytes.length) return;
+    const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + extra));
+    grown.set(this.bytes.subarray(0, this.length));
+    this.bytes = grown;
+  }
+
+  writeByte(value) {
+    this.ensure(1);
+    this.bytes[this.length++] = value;
+  }
+
+  writeBytes(values) {
+    this.ensure(values.length);
+    this.bytes.set(values, this.length);
+    this.length += values.length;
+  }
+
+  writeUint16(value) {
+    this.writeBytes([value & 0xff, (value >> 8) & 0xff]);
+  }
+
+  writeString(text) {
+    this.writeBytes(Array.from(text, char => char.charCodeAt(0)));
+  }
+
+  toUint8Array() {
+    return this.bytes.slice(0, this.length);
+  }
+}
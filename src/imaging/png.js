@@ -0,0 +1,309 @@
+// PNG and APNG encoding/decoding in plain JavaScript.
+//
+// Images are { width, height, data } with `data` holding RGBA bytes, the same
+// layout as ImageData. Compression uses the runtime's Compression Streams, so
+// this works inside the Worker without native dependencies.
+
+const SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+export function isPNG(bytes) {
+  return SIGNATURE.every((value, index) => bytes[index] === value);
+}
+
+export async function decodePNG(bytes) {
+  if (!isPNG(bytes)) {
+    throw new Error('Not a PNG image');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const dataChunks = [];
+
+  let offset = 8;
+  while (offset < bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const chunk = bytes.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === 'IHDR') {
+      const headerView = new DataView(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+      header = {
+        width: headerView.getUint32(0),
+        height: headerView.getUint32(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12],
+      };
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'tRNS') {
+      transparency = chunk;
+    } else if (type === 'IDAT') {
+      dataChunks.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header) {
+    throw new Error('PNG is missing its IHDR chunk');
+  }
+  if (header.interlace) {
+    throw new Error('Interlaced PNGs are not supported');
+  }
+  if (header.bitDepth !== 8 && header.bitDepth !== 16) {
+    throw new Error(`PNG bit depth ${header.bitDepth} is not supported`);
+  }
+
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[header.colorType];
+  if (!channels) {
+    throw new Error(`PNG color type ${header.colorType} is not supported`);
+  }
+
+  const bytesPerPixel = channels * header.bitDepth / 8;
+  const stride = header.width * bytesPerPixel;
+  const raw = await inflate(concat(dataChunks));
+  const pixels = unfilter(raw, header.height, stride, bytesPerPixel);
+
+  const { width, height } = header;
+  const data = new Uint8ClampedArray(width * height * 4);
+  // 16-bit samples keep their most significant byte
+  const step = header.bitDepth / 8;
+
+  for (let i = 0, p = 0; i < width * height; i++, p += bytesPerPixel) {
+    const out = i * 4;
+    switch (header.colorType) {
+      case 0:
+        data[out] = data[out + 1] = data[out + 2] = pixels[p];
+        data[out + 3] = 255;
+        break;
+      case 2:
+        data[out] = pixels[p];
+        data[out + 1] = pixels[p + step];
+        data[out + 2] = pixels[p + 2 * step];
+        data[out + 3] = 255;
+        break;
+      case 3: {
+        const index = pixels[p];
+        data[out] = palette[index * 3];
+        data[out + 1] = palette[index * 3 + 1];
+        data[out + 2] = palette[index * 3 + 2];
+        data[out + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+        break;
+      }
+      case 4:
+        data[out] = data[out + 1] = data[out + 2] = pixels[p];
+        data[out + 3] = pixels[p + step];
+        break;
+      case 6:
+        data[out] = pixels[p];
+        data[out + 1] = pixels[p + step];
+        data[out + 2] = pixels[p + 2 * step];
+        data[out + 3] = pixels[p + 3 * step];
+        break;
+    }
+  }
+
+  return { width, height, data };
+}
+
+export async function encodePNG(image) {
+  const { colorType, imageData } = await encodeImageData(image);
+
+  return concat([
+    new Uint8Array(SIGNATURE),
+    chunk('IHDR', headerBytes(image.width, image.height, colorType)),
+    chunk('IDAT', imageData),
+    chunk('IEND', new Uint8Array(0)),
+  ]);
+}
+
+// Animated PNG; every frame must have the same size as the first
+export async function encodeAPNG(frames, { delayMs = 1000, loops = 0 } = {}) {
+  const { width, height } = frames[0];
+  const encoded = await Promise.all(frames.map(frame => encodeImageData(frame, true)));
+  const parts = [
+    new Uint8Array(SIGNATURE),
+    chunk('IHDR', headerBytes(width, height, 6)),
+    chunk('acTL', uint32s(frames.length, loops)),
+  ];
+
+  let sequence = 0;
+  encoded.forEach(({ imageData }, index) => {
+    const control = new Uint8Array(26);
+    const view = new DataView(control.buffer);
+    view.setUint32(0, sequence++);
+    view.setUint32(4, width);
+    view.setUint32(8, height);
+    view.setUint32(12, 0);
+    view.setUint32(16, 0);
+    view.setUint16(20, Math.min(delayMs, 65535));
+    view.setUint16(22, 1000);
+    control[24] = 0; // dispose: none
+    control[25] = 0; // blend: source
+    parts.push(chunk('fcTL', control));
+
+    if (index === 0) {
+      parts.push(chunk('IDAT', imageData));
+    } else {
+      parts.push(chunk('fdAT', concat([uint32s(sequence++), imageData])));
+    }
+  });
+
+  parts.push(chunk('IEND', new Uint8Array(0)));
+  return concat(parts);
+}
+
+async function encodeImageData({ width, height, data }, forceAlpha = false) {
+  // Drop the alpha channel when the image is fully opaque, it saves a quarter
+  let opaque = !forceAlpha;
+  for (let i = 3; opaque && i < data.length; i += 4) {
+    if (data[i] !== 255) opaque = false;
+  }
+
+  const bytesPerPixel = opaque ? 3 : 4;
+  const stride = width * bytesPerPixel;
+  const filtered = new Uint8Array((stride + 1) * height);
+  let previous = new Uint8Array(stride);
+  let current = new Uint8Array(stride);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const source = (y * width + x) * 4;
+      const target = x * bytesPerPixel;
+      current[target] = data[source];
+      current[target + 1] = data[source + 1];
+      current[target + 2] = data[source + 2];
+      if (!opaque) current[target + 3] = data[source + 3];
+    }
+
+    // Paeth filter on every row: a good fit for photographs
+    const rowStart = y * (stride + 1);
+    filtered[rowStart] = 4;
+    for (let i = 0; i < stride; i++) {
+      const left = i >= bytesPerPixel ? current[i - bytesPerPixel] : 0;
+      const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+      filtered[rowStart + 1 + i] = current[i] - paeth(left, previous[i], upLeft);
+    }
+
+    [previous, current] = [current, previous];
+  }
+
+  return { colorType: opaque ? 2 : 6, imageData: await deflate(filtered) };
+}
+
+function unfilter(raw, height, stride, bytesPerPixel) {
+  const pixels = new Uint8Array(height * stride);
+
+  for (let y = 0; y < height; y++) {
+    const filterType = raw[y * (stride + 1)];
+    const source = y * (stride + 1) + 1;
+    const target = y * stride;
+    const above = target - stride;
+
+    for (let i = 0; i < stride; i++) {
+      const value = raw[source + i];
+      const left = i >= bytesPerPixel ? pixels[target + i - bytesPerPixel] : 0;
+      const up = y > 0 ? pixels[above + i] : 0;
+      const upLeft = y > 0 && i >= bytesPerPixel ? pixels[above + i - bytesPerPixel] : 0;
+
+      switch (filterType) {
+        case 0: pixels[target + i] = value; break;
+        case 1: pixels[target + i] = value + left; break;
+        case 2: pixels[target + i] = value + up; break;
+        case 3: pixels[target + i] = value + ((left + up) >> 1); break;
+        case 4: pixels[target + i] = value + paeth(left, up, upLeft); break;
+        default: throw new Error(`Unknown PNG filter type ${filterType}`);
+      }
+    }
+  }
+
+  return pixels;
+}
+
+function paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const distanceLeft = Math.abs(estimate - left);
+  const distanceUp = Math.abs(estimate - up);
+  const distanceUpLeft = Math.abs(estimate - upLeft);
+  if (distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft) return left;
+  if (distanceUp <= distanceUpLeft) return up;
+  return upLeft;
+}
+
+function headerBytes(width, height, colorType) {
+  const header = new Uint8Array(13);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  header[8] = 8; // bit depth
+  header[9] = colorType;
+  return header;
+}
+
+function chunk(type, data) {
+  const bytes = new Uint8Array(12 + data.length);
+  const view = new DataView(bytes.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) bytes[4 + i] = type.charCodeAt(i);
+  bytes.set(data, 8);
+  view.setUint32(8 + data.length, crc32(bytes.subarray(4, 8 + data.length)));
+  return bytes;
+}
+
+function uint32s(...values) {
+  const bytes = new Uint8Array(values.length * 4);
+  const view = new DataView(bytes.buffer);
+  values.forEach((value, index) => view.setUint32(index * 4, value));
+  return bytes;
+}
+
+let crcTable = null;
+
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+export function concat(arrays) {
+  const result = new Uint8Array(arrays.reduce((sum, array) => sum + array.length, 0));
+  let offset = 0;
+  for (const array of arrays) {
+    result.set(array, offset);
+    offset += array.length;
+  }
+  return result;
+}
+
+async function inflate(bytes) {
+  return pipeThrough(bytes, new DecompressionStream('deflate'));
+}
+
+async function deflate(bytes) {
+  return pipeThrough(bytes, new CompressionStream('deflate'));
+}
+
+async function pipeThrough(bytes, transform) {
+  const writer = transform.writable.getWriter();
+  // Errors surface when reading, don't report them twice
+  writer.write(bytes).catch(() => {});
+  writer.close().catch(() => {});
+  return new Uint8Array(await new Response(transform.readable).arrayBuffer());
+}
@@ -0,0 +1,216 @@
+import { GLYPH_WIDTH, GLYPH_HEIGHT, getGlyph } from './font.js';
+
+// Pixel operations on RGBA images ({ width, height, data }). Colors are
+// [r, g, b, a] arrays with components in 0-255.
+
+export function createImage(width, height, color = [0, 0, 0, 255]) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data.set(color, i);
+  }
+  return { width, height, data };
+}
+
+export function resize(image, width, height) {
+  width = Math.max(1, Math.round(width));
+  height = Math.max(1, Math.round(height));
+
+  return width < image.width || height < image.height
+    ? downscale(image, width, height)
+    : upscale(image, width, height);
+}
+
+// Scale to cover width x height, then cut the overflow from the center
+export function cover(image, width, height) {
+  const scale = Math.max(width / image.width, height / image.height);
+  const scaled = resize(image, image.width * scale, image.height * scale);
+  return crop(
+    scaled,
+    Math.floor((scaled.width - width) / 2),
+    Math.floor((scaled.height - height) / 2),
+    width,
+    height
+  );
+}
+
+// Scale to fit inside width x height and fill the rest with `color`
+export function contain(image, width, height, color = [0, 0, 0, 255]) {
+  const scale = Math.min(width / image.width, height / image.height);
+  const scaled = resize(image, image.width * scale, image.height * scale);
+  const canvas = createImage(width, height, color);
+  drawImage(canvas, scaled, Math.floor((width - scaled.width) / 2), Math.floor((height - scaled.height) / 2));
+  return canvas;
+}
+
+export function crop(image, x, y, width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let row = 0; row < height; row++) {
+    const start = ((y + row) * image.width + x) * 4;
+    data.set(image.data.subarray(start, start + width * 4), row * width * 4);
+  }
+  return { width, height, data };
+}
+
+export function drawImage(target, source, x, y) {
+  for (let row = 0; row < source.height; row++) {
+    const targetY = y + row;
+    if (targetY < 0 || targetY >= target.height) continue;
+
+    for (let column = 0; column < source.width; column++) {
+      const targetX = x + column;
+      if (targetX < 0 || targetX >= target.width) continue;
+
+      const from = (row * source.width + column) * 4;
+      blendPixel(target, targetX, targetY, source.data.subarray(from, from + 4));
+    }
+  }
+}
+
+export function fillRect(image, x, y, width, height, color) {
+  const left = Math.max(0, Math.round(x));
+  const top = Math.max(0, Math.round(y));
+  const right = Math.min(image.width, Math.round(x + width));
+  const bottom = Math.min(image.height, Math.round(y + height));
+
+  for (let row = top; row < bottom; row++) {
+    for (let column = left; column < right; column++) {
+      blendPixel(image, column, row, color);
+    }
+  }
+}
+
+export function fillCircle(image, centerX, centerY, radius, color) {
+  for (let row = Math.floor(centerY - radius); row <= Math.ceil(centerY + radius); row++) {
+    for (let column = Math.floor(centerX - radius); column <= Math.ceil(centerX + radius); column++) {
+      if (column < 0 || row < 0 || column >= image.width || row >= image.height) continue;
+      if ((column - centerX) ** 2 + (row - centerY) ** 2 <= radius ** 2) {
+        blendPixel(image, column, row, color);
+      }
+    }
+  }
+}
+
+export function measureText(text, scale = 1) {
+  return text.length ? (text.length * (GLYPH_WIDTH + 1) - 1) * scale : 0;
+}
+
+export function textHeight(scale = 1) {
+  return GLYPH_HEIGHT * scale;
+}
+
+export function drawText(image, text, x, y, { color = [255, 255, 255, 255], scale = 1 } = {}) {
+  let cursor = Math.round(x);
+
+  for (const char of text) {
+    const rows = getGlyph(char);
+    rows.forEach((bits, row) => {
+      for (let column = 0; column < GLYPH_WIDTH; column++) {
+        if (bits & (1 << (GLYPH_WIDTH - 1 - column))) {
+          fillRect(image, cursor + column * scale, y + row * scale, scale, scale, color);
+        }
+      }
+    });
+    cursor += (GLYPH_WIDTH + 1) * scale;
+  }
+
+  return cursor;
+}
+
+// Shortens `text` with an ellipsis of dots until it fits in maxWidth pixels
+export function fitText(text, maxWidth, scale = 1) {
+  if (measureText(text, scale) <= maxWidth) return text;
+
+  let shortened = text;
+  while (shortened.length > 1 && measureText(`${shortened}...`, scale) > maxWidth) {
+    shortened = shortened.slice(0, -1);
+  }
+  return `${shortened.trimEnd()}...`;
+}
+
+function blendPixel(image, x, y, [r, g, b, a = 255]) {
+  const index = (y * image.width + x) * 4;
+  const data = image.data;
+
+  if (a === 255) {
+    data[index] = r;
+    data[index + 1] = g;
+    data[index + 2] = b;
+    data[index + 3] = 255;
+    return;
+  }
+
+  const alpha = a / 255;
+  const inverse = 1 - alpha;
+  data[index] = r * alpha + data[index] * inverse;
+  data[index + 1] = g * alpha + data[index + 1] * inverse;
+  data[index + 2] = b * alpha + data[index + 2] * inverse;
+  data[index + 3] = Math.max(data[index + 3], a);
+}
+
+// Box filter: every output pixel averages the source pixels it covers
+function downscale(image, width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  const scaleX = image.width / width;
+  const scaleY = image.height / height;
+
+  for (let y = 0; y < height; y++) {
+    const top = Math.floor(y * scaleY);
+    const bottom = Math.max(top + 1, Math.floor((y + 1) * scaleY));
+
+    for (let x = 0; x < width; x++) {
+      const left = Math.floor(x * scaleX);
+      const right = Math.max(left + 1, Math.floor((x + 1) * scaleX));
+      const sums = [0, 0, 0, 0];
+
+      for (let sourceY = top; sourceY < bottom; sourceY++) {
+        for (let sourceX = left; sourceX < right; sourceX++) {
+          const index = (sourceY * image.width + sourceX) * 4;
+          sums[0] += image.data[index];
+          sums[1] += image.data[index + 1];
+          sums[2] += image.data[index + 2];
+          sums[3] += image.data[index + 3];
+        }
+      }
+
+      const count = (bottom - top) * (right - left);
+      const target = (y * width + x) * 4;
+      data[target] = sums[0] / count;
+      data[target + 1] = sums[1] / count;
+      data[target + 2] = sums[2] / count;
+      data[target + 3] = sums[3] / count;
+    }
+  }
+
+  return { width, height, data };
+}
+
+function upscale(image, width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  const scaleX = image.width / width;
+  const scaleY = image.height / height;
+
+  for (let y = 0; y < height; y++) {
+    const sourceY = Math.max(0, (y + 0.5) * scaleY - 0.5);
+    const y0 = Math.floor(sourceY);
+    const y1 = Math.min(image.height - 1, y0 + 1);
+    const fy = sourceY - y0;
+
+    for (let x = 0; x < width; x++) {
+      const sourceX = Math.max(0, (x + 0.5) * scaleX - 0.5);
+      const x0 = Math.floor(sourceX);
+      const x1 = Math.min(image.width - 1, x0 + 1);
+      const fx = sourceX - x0;
+      const target = (y * width + x) * 4;
+
+      for (let channel = 0; channel < 4; channel++) {
+        const topValue = image.data[(y0 * image.width + x0) * 4 + channel] * (1 - fx)
+          + image.data[(y0 * image.width + x1) * 4 + channel] * fx;
+        const bottomValue = image.data[(y1 * image.width + x0) * 4 + channel] * (1 - fx)
+          + image.data[(y1 * image.width + x1) * 4 + channel] * fx;
+        data[target + channel] = topValue * (1 - fy) + bottomValue * fy;
+      }
+    }
+  }
+
+  return { width, height, data };
+}
@@ -0,0 +1,124 @@
+import { getStore, createId } from './storage.js';
+import { AppError, toAppError } from './errors.js';
+
+// Generation jobs: POST /api/jobs answers at once and the work continues in
+// the background, recording each stage in the JOBS store so the page can
+// follow along by polling or over Server-Sent Events.
+//
+// A job moves through JOB_STAGES in order; `status` is queued, running, done
+// or failed and each stage keeps its own status and timings. A failed job has
+// the message in `error`, the error code in `code` and any further fields of
+// the error (such as the `reason` of a rejected prompt) in `details`.
+//
+// A job made with an API key (`owner`, the key id) is only shown to callers
+// with that key; other jobs to anyone who knows the id.
+
+// JOBS when bound, else the image bucket, which is strongly consistent too
+const STORE_BINDING = 'JOBS';
+const FALLBACK_BINDING = 'IMAGE_STORE';
+
+// Finished jobs are only kept long enough to be picked up
+const JOB_TTL = 24 * 60 * 60;
+
+// A job runs in waitUntil(), which the runtime may cut short. One that has
+// not moved for longer than any stage can take (an image model gets 60 s and
+// a preset falls back through at most four) is reported as failed.
+const STALE_AFTER_MS = 5 * 60 * 1000;
+
+export const JOB_STAGES = ['geocoding', 'forecast', 'prompt', 'image'];
+
+export async function createJob(env, input, { owner = null } = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: createId(),
+    status: 'queued',
+    stage: null,
+    stages: JOB_STAGES.map(name => ({ name, status: 'pending', startedAt: null, finishedAt: null, durationMs: null })),
+    input,
+    owner,
+    result: null,
+    error: null,
+    code: null,
+    details: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await saveJob(env, job);
+  return job;
+}
+
+export async function loadJob(env, id) {
+  if (!/^[0-9a-f]{16}$/.test(id || '')) return null;
+  const job = await jobStore(env).getJSON(`jobs/${id}.json`);
+
+  if (job && !isFinished(job) && Date.now() - Date.parse(job.updatedAt) > STALE_AFTER_MS) {
+    await createJobTracker(env, job).fail(new AppError('INTERNAL_ERROR', 'The job was interrupted before it finished, start a new one'));
+  }
+  return job;
+}
+
+export function canReadJob(job, client) {
+  return !job.owner || job.owner === client.key;
+}
+
+export function isFinished(job) {
+  return job.status === 'done' || job.status === 'failed';
+}
+
+// Records progress on `job`, saving after every transition
+export function createJobTracker(env, job) {
+  const finishStage = (status, at) => {
+    const current = job.stages.find(stage => stage.name === job.stage);
+    if (!current || current.status !== 'running') return;
+
+    current.status = status;
+    current.finishedAt = at.toISOString();
+    current.durationMs = at - new Date(current.startedAt);
+  };
+
+  return {
+    // Finishes the running stage and starts `name`
+    async stage(name) {
+      const now = new Date();
+      finishStage('done', now);
+
+      const next = job.stages.find(stage => stage.name === name);
+      next.status = 'running';
+      next.startedAt = now.toISOString();
+
+      job.status = 'running';
+      job.stage = name;
+      await saveJob(env, job);
+    },
+
+    async complete(result) {
+      finishStage('done', new Date());
+
+      job.status = 'done';
+      job.stage = null;
+      job.result = result;
+      await saveJob(env, job);
+    },
+
+    async fail(error) {
+      finishStage('failed', new Date());
+
+      const appError = toAppError(error);
+      job.status = 'failed';
+      job.error = appError.message;
+      job.code = appError.code;
+      job.details = appError.details || null;
+      await saveJob(env, job);
+    },
+  };
+}
+
+async function saveJob(env, job) {
+  job.updatedAt = new Date().toISOString();
+  await jobStore(env).putJSON(`jobs/${job.id}.json`, job, { ttl: JOB_TTL });
+}
+
+function jobStore(env) {
+  return getStore(env, env.JOBS ? STORE_BINDING : FALLBACK_BINDING);
+}
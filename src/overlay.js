@@ -0,0 +1,237 @@
+import { decodePNG, encodePNG, isPNG } from './imaging/png.js';
+import { fillRect, fillCircle, drawText, fitText, measureText, textHeight } from './imaging/raster.js';
+
+// Stamps the weather the image was generated from onto the image itself, so
+// a saved or shared file still says where and when it is.
+//
+// Layouts:
+//   corner  - badge in the top-left corner with icon, location and summary
+//   band    - full-width band along the bottom edge
+//   minimal - icon, location and temperature in the bottom-right corner
+//   none    - image left untouched
+
+export const OVERLAY_LAYOUTS = ['corner', 'band', 'minimal', 'none'];
+
+const WHITE = [255, 255, 255, 255];
+const SHADOW = [0, 0, 0, 200];
+const PANEL = [0, 0, 0, 150];
+const SUN = [255, 200, 60, 255];
+const MOON = [230, 230, 210, 255];
+const CLOUD = [225, 230, 235, 255];
+const DARK_CLOUD = [150, 155, 165, 255];
+const RAIN = [110, 170, 255, 255];
+const BOLT = [255, 220, 40, 255];
+
+// `entry` is the forecast entry the image shows; it defaults to the first one
+export async function applyOverlay(bytes, { layout = 'none', weatherData, entry } = {}) {
+  if (layout === 'none' || !weatherData?.forecast?.length) {
+    return { bytes, applied: false };
+  }
+  if (!OVERLAY_LAYOUTS.includes(layout)) {
+    throw new Error(`Unknown overlay layout '${layout}'. Available: ${OVERLAY_LAYOUTS.join(', ')}`);
+  }
+  // JPEG and WebP output would need a full codec, leave those images as they are
+  if (!isPNG(bytes)) {
+    return { bytes, applied: false };
+  }
+
+  const image = await decodePNG(bytes);
+  const details = describeOverlay(weatherData, entry || weatherData.forecast[0]);
+
+  if (layout === 'corner') drawCorner(image, details);
+  if (layout === 'band') drawBand(image, details);
+  if (layout === 'minimal') drawMinimal(image, details);
+
+  return { bytes: await encodePNG(image), applied: true };
+}
+
+export function describeOverlay(weatherData, entry) {
+  const localTime = entry.lighting?.localTime || entry.datetime.slice(0, 16);
+  const day = localTime.slice(0, 10);
+
+  // High and low over the entries of the same local day
+  const sameDay = weatherData.forecast.filter(other => (other.lighting?.localTime || other.datetime).startsWith(day));
+  const temperatures = (sameDay.length ? sameDay : [entry]).map(other => other.temperature);
+
+  return {
+    location: weatherData.location || 'Unknown Location',
+    time: localTime,
+    temperature: `${entry.temperature}°C`,
+    conditions: `${entry.temperature}°C ${entry.description}`,
+    range: `H ${Math.max(...temperatures)}° L ${Math.min(...temperatures)}°`,
+    atmosphere: `RH ${entry.humidity}%  ${Math.round(entry.windSpeed * 10) / 10} m/s`,
+    icon: iconFor(entry),
+  };
+}
+
+function drawCorner(image, details) {
+  const scale = textScale(image);
+  const padding = 4 * scale;
+  const lineHeight = textHeight(scale) + 3 * scale;
+  const iconSize = lineHeight * 2;
+  const maxWidth = Math.floor(image.width / 2);
+
+  const lines = [
+    details.location,
+    details.time,
+    details.conditions,
+    details.range,
+  ].map(line => fitText(line, maxWidth - iconSize - padding * 3, scale));
+
+  const width = iconSize + padding * 3 + Math.max(...lines.map(line => measureText(line, scale)));
+  const height = Math.max(iconSize, lines.length * lineHeight - 3 * scale) + padding * 2;
+  const margin = padding;
+
+  fillRect(image, margin, margin, width, height, PANEL);
+  drawWeatherIcon(image, margin + padding, margin + padding, iconSize, details.icon);
+
+  lines.forEach((line, index) => {
+    drawText(image, line, margin + iconSize + padding * 2, margin + padding + index * lineHeight, { color: WHITE, scale });
+  });
+}
+
+function drawBand(image, details) {
+  const scale = textScale(image);
+  const padding = 4 * scale;
+  const lineHeight = textHeight(scale) + 3 * scale;
+  const iconSize = lineHeight * 2;
+  const height = Math.max(iconSize, lineHeight * 3 - 3 * scale) + padding * 2;
+  const top = image.height - height;
+
+  fillRect(image, 0, top, image.width, height, PANEL);
+  drawWeatherIcon(image, padding, top + padding, iconSize, details.icon);
+
+  // Location and conditions on the left, temperatures and air on the right
+  const textLeft = iconSize + padding * 2;
+  const textWidth = image.width - textLeft - padding;
+  const right = [details.range, details.atmosphere].map(line => fitText(line, Math.floor(textWidth / 2), scale));
+  const rightWidth = Math.max(...right.map(line => measureText(line, scale)));
+  const leftWidth = textWidth - rightWidth - padding * 3;
+
+  const left = [details.location, details.time, details.conditions].map(line => fitText(line, leftWidth, scale));
+  left.forEach((line, index) => {
+    drawText(image, line, textLeft, top + padding + index * lineHeight, { color: WHITE, scale });
+  });
+  right.forEach((line, index) => {
+    drawText(image, line, image.width - padding - measureText(line, scale), top + padding + index * lineHeight, { color: WHITE, scale });
+  });
+}
+
+function drawMinimal(image, details) {
+  const scale = textScale(image);
+  const padding = 4 * scale;
+  const text = fitText(`${details.location} ${details.temperature}`, Math.floor(image.width / 2), scale);
+  const iconSize = textHeight(scale) + 4 * scale;
+  const width = measureText(text, scale);
+  const top = image.height - padding - iconSize;
+  const textTop = top + Math.floor((iconSize - textHeight(scale)) / 2);
+  const left = image.width - padding - width;
+
+  drawWeatherIcon(image, left - padding - iconSize, top, iconSize, details.icon);
+  // Without a panel the text needs a drop shadow to read on bright skies
+  drawText(image, text, left + Math.max(1, scale / 2), textTop + Math.max(1, scale / 2), { color: SHADOW, scale });
+  drawText(image, text, left, textTop, { color: WHITE, scale });
+}
+
+function textScale(image) {
+  return Math.max(1, Math.floor(Math.min(image.width, image.height) / 256));
+}
+
+function iconFor(entry) {
+  const night = entry.lighting ? !entry.lighting.isDaylight : String(entry.icon || '').endsWith('n');
+  const conditions = {
+    Thunderstorm: 'storm',
+    Drizzle: 'rain',
+    Rain: 'rain',
+    Snow: 'snow',
+    Clear: night ? 'moon' : 'sun',
+  };
+
+  if (conditions[entry.main]) return conditions[entry.main];
+  if (['Mist', 'Fog', 'Haze', 'Smoke', 'Dust', 'Sand'].includes(entry.main)) return 'fog';
+  if (entry.clouds < 60) return night ? 'moon-cloud' : 'sun-cloud';
+  return 'cloud';
+}
+
+// Icons are drawn from circles and rectangles inside a size x size square
+function drawWeatherIcon(image, x, y, size, icon) {
+  const unit = size / 16;
+
+  const cloud = (color, top = 5) => {
+    fillCircle(image, x + 5.5 * unit, y + (top + 4) * unit, 3 * unit, color);
+    fillCircle(image, x + 9 * unit, y + (top + 2.5) * unit, 4 * unit, color);
+    fillCircle(image, x + 12 * unit, y + (top + 4.5) * unit, 2.5 * unit, color);
+    fillRect(image, x + 5.5 * unit, y + (top + 4) * unit, 6.5 * unit, 3 * unit, color);
+  };
+  const sun = (centerX, centerY, radius) => {
+    fillCircle(image, x + centerX * unit, y + centerY * unit, radius * unit, SUN);
+    for (let ray = 0; ray < 8; ray++) {
+      const angle = ray * Math.PI / 4;
+      fillCircle(
+        image,
+        x + (centerX + Math.cos(angle) * radius * 1.6) * unit,
+        y + (centerY + Math.sin(angle) * radius * 1.6) * unit,
+        Math.max(1, radius * 0.25 * unit),
+        SUN
+      );
+    }
+  };
+  const moon = (centerX, centerY, radius) => {
+    // Crescent: the disc minus a second disc offset toward the upper right
+    const outer = radius * unit;
+    const inner = radius * 0.85 * unit;
+    const cx = x + centerX * unit;
+    const cy = y + centerY * unit;
+    const ix = cx + radius * 0.6 * unit;
+    const iy = cy - radius * 0.4 * unit;
+    for (let row = Math.floor(cy - outer); row <= Math.ceil(cy + outer); row++) {
+      for (let column = Math.floor(cx - outer); column <= Math.ceil(cx + outer); column++) {
+        if ((column - cx) ** 2 + (row - cy) ** 2 > outer ** 2) continue;
+        if ((column - ix) ** 2 + (row - iy) ** 2 <= inner ** 2) continue;
+        fillRect(image, column, row, 1, 1, MOON);
+      }
+    }
+  };
+
+  switch (icon) {
+    case 'sun':
+      sun(8, 8, 4.5);
+      break;
+    case 'moon':
+      moon(8, 8, 6);
+      break;
+    case 'sun-cloud':
+      sun(5.5, 5.5, 3);
+      cloud(CLOUD);
+      break;
+    case 'moon-cloud':
+      moon(5.5, 5.5, 4);
+      cloud(CLOUD);
+      break;
+    case 'cloud':
+      cloud(CLOUD, 3);
+      break;
+    case 'rain':
+      cloud(DARK_CLOUD, 1);
+      for (let drop = 0; drop < 3; drop++) {
+        fillRect(image, x + (5 + drop * 3) * unit, y + (10 + (drop % 2)) * unit, Math.max(1, unit), 3 * unit, RAIN);
+      }
+      break;
+    case 'snow':
+      cloud(DARK_CLOUD, 1);
+      for (let flake = 0; flake < 3; flake++) {
+        fillCircle(image, x + (5.5 + flake * 3) * unit, y + (11.5 + (flake % 2) * 1.5) * unit, Math.max(1, unit), WHITE);
+      }
+      break;
+    case 'storm':
+      cloud(DARK_CLOUD, 1);
+      fillRect(image, x + 8 * unit, y + 9 * unit, 2 * unit, 3 * unit, BOLT);
+      fillRect(image, x + 7 * unit, y + 11.5 * unit, 2 * unit, 3.5 * unit, BOLT);
+      break;
+    case 'fog':
+      for (let line = 0; line < 4; line++) {
+        fillRect(image, x + (2 + (line % 2) * 2) * unit, y + (3 + line * 3) * unit, 10 * unit, 1.5 * unit, CLOUD);
+      }
+      break;
+  }
+}
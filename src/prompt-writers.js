@@ -0,0 +1,197 @@
+import { describeScene } from './scene.js';
+import { AppError } from './errors.js';
+import { fetchUpstream, withTimeout, classifyAIError } from './upstream.js';
+import { addUsage } from './usage.js';
+
+// Prompt writers turn a weather forecast into an image generation prompt.
+//
+// Each writer exposes write({ location, weatherSummary, weatherData, scene }, env, { usage })
+// and resolves to the prompt text; `scene` comes from buildSceneModel() and
+// the tokens a model used are added to `usage.promptTokens`. Gemini is the
+// default; Workers AI and the template writer take over when it is unavailable.
+//
+// With { location, composition: true } a writer instead describes only the
+// permanent parts of a view, shared by every frame of a timeline.
+
+const DEFAULT_WRITER = 'gemini';
+
+const WORKERS_AI_TEXT_MODEL = '@cf/meta/llama-3.1-8b-instruct';
+
+export function buildPromptInstructions(location, weatherSummary, scene) {
+  const requirements = describeScene(scene.primary).map(phrase => `- ${phrase}`).join('\n');
+
+  return `Transform this weather forecast into a realistic landscape photography prompt. Create a photorealistic scene that accurately depicts the current weather conditions and environment.
+
+Weather Data for ${location}:
+${weatherSummary}
+
+The scene must clearly show these conditions:
+${requirements}
+
+Create a detailed photography prompt for a realistic landscape scene. Consider:
+- Realistic outdoor landscapes matching the location's geography
+- Accurate weather conditions (clouds, precipitation, visibility)
+- Natural lighting conditions based on temperature and time of day
+- Seasonal elements appropriate to the weather patterns
+- Environmental details like vegetation, terrain, and atmosphere
+- Professional photography composition and lighting
+- Photorealistic style with natural colors and lighting
+
+Generate a photography prompt (under 200 words) describing a realistic landscape scene that authentically represents these weather conditions. Focus on natural environments, realistic lighting, and accurate weather portrayal suitable for landscape photography.`;
+}
+
+export function buildCompositionInstructions(location) {
+  return `Describe one fixed landscape photography composition near ${location} for a series of photos taken from exactly the same spot over several days.
+
+Describe only the permanent elements: terrain, landmarks, vegetation, water, foreground and background layers, camera position and lens.
+
+Do not mention weather, sky, clouds, light, time of day or season, these change between photos. Answer with the description only, in under 80 words.`;
+}
+
+function instructionsFor({ location, weatherSummary, scene, composition }) {
+  return composition
+    ? buildCompositionInstructions(location)
+    : buildPromptInstructions(location, weatherSummary, scene);
+}
+
+export const geminiWriter = {
+  name: 'gemini',
+
+  async write(input, env, { usage } = {}) {
+    if (!env.GEMINI_API_KEY) {
+      throw new AppError('UPSTREAM_ERROR', 'GEMINI_API_KEY is not configured');
+    }
+
+    const response = await fetchUpstream('gemini', 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': env.GEMINI_API_KEY,
+      },
+      body: JSON.stringify({
+        contents: [{
+          parts: [{
+            text: instructionsFor(input)
+          }]
+        }],
+        generationConfig: {
+          maxOutputTokens: 300,
+          temperature: 0.7
+        }
+      }),
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new AppError('UPSTREAM_ERROR', `Gemini API error: ${data.error?.message || `status ${response.status}`}`);
+    }
+
+    // A blocked prompt comes back as 200 with promptFeedback and no candidates;
+    // a blocked answer has a candidate that finished for safety reasons
+    addUsage(usage, 'promptTokens', data.usageMetadata?.totalTokenCount);
+
+    const blockReason = data.promptFeedback?.blockReason;
+    if (blockReason) {
+      throw new AppError('SAFETY_BLOCKED', `Gemini blocked the request (${blockReason})`);
+    }
+
+    const candidate = data.candidates?.[0];
+    if (['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII'].includes(candidate?.finishReason)) {
+      throw new AppError('SAFETY_BLOCKED', `Gemini stopped the answer (${candidate.finishReason})`);
+    }
+
+    const text = candidate?.content?.parts?.map(part => part.text || '').join('').trim();
+    if (!text) {
+      throw new AppError('UPSTREAM_ERROR', 'Gemini returned no prompt');
+    }
+
+    return text;
+  },
+};
+
+export const workersAiWriter = {
+  name: 'workers-ai',
+
+  async write(input, env, { usage } = {}) {
+    const response = await withTimeout('workers-ai-text', env.AI.run(WORKERS_AI_TEXT_MODEL, {
+      messages: [
+        {
+          role: 'system',
+          content: 'You write prompts for a photorealistic landscape image generator. Reply with the prompt only.',
+        },
+        { role: 'user', content: instructionsFor(input) },
+      ],
+      max_tokens: 300,
+      temperature: 0.7,
+    })).catch(error => {
+      throw classifyAIError(error);
+    });
+
+    addUsage(usage, 'promptTokens', response?.usage?.total_tokens);
+
+    const text = response?.response?.trim();
+    if (!text) {
+      throw new AppError('UPSTREAM_ERROR', 'Workers AI returned an empty prompt');
+    }
+
+    return text;
+  },
+};
+
+export const templateWriter = {
+  name: 'template',
+
+  // No model involved: the same forecast always produces the same prompt
+  async write({ location, weatherData, scene, composition }) {
+    if (composition) {
+      return `fixed wide-angle viewpoint over the landscape near ${location}, natural terrain and vegetation typical of the region, identical framing in every shot, professional landscape photography, high detail`;
+    }
+
+    // Daily summaries cover whole days, not just the selected slots
+    const daily = weatherData.daily || [];
+    const temperatures = daily.length
+      ? daily.flatMap(day => [day.minTemp, day.maxTemp])
+      : weatherData.forecast.map(f => f.temperature);
+    const minTemp = Math.min(...temperatures);
+    const maxTemp = Math.max(...temperatures);
+    const precipitation = daily.reduce((sum, day) => sum + (day.precipitation || 0), 0);
+
+    return [
+      `Photorealistic landscape photograph near ${location}`,
+      ...describeScene(scene.primary),
+      `temperatures between ${minTemp}°C and ${maxTemp}°C`,
+      ...(precipitation > 0 ? [`${Math.round(precipitation * 10) / 10} mm of precipitation expected`] : []),
+      'natural vegetation and terrain typical of the region, natural colors, soft realistic lighting',
+      'wide-angle composition, professional landscape photography, high detail',
+    ].join(', ') + '.';
+  },
+};
+
+const writers = {
+  [geminiWriter.name]: geminiWriter,
+  [workersAiWriter.name]: workersAiWriter,
+  [templateWriter.name]: templateWriter,
+};
+
+const FALLBACK_ORDER = [geminiWriter.name, workersAiWriter.name, templateWriter.name];
+
+// An explicitly requested writer is used on its own so results can be compared.
+// Otherwise the configured writer is tried first, followed by the fallbacks.
+export function getPromptWriters(name, env) {
+  if (name) {
+    const writer = writers[name];
+    if (!writer) {
+      throw new AppError('INVALID_INPUT', `Unknown prompt writer '${name}'. Available: ${Object.keys(writers).join(', ')}`);
+    }
+    return [writer];
+  }
+
+  const preferred = writers[env.PROMPT_WRITER] ? env.PROMPT_WRITER : DEFAULT_WRITER;
+  return [preferred, ...FALLBACK_ORDER.filter(writerName => writerName !== preferred)]
+    .map(writerName => writers[writerName]);
+}
+
+export function listPromptWriters() {
+  return Object.keys(writers);
+}
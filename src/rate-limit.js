@@ -0,0 +1,115 @@
+import { getStore } from './storage.js';
+import { AppError } from './errors.js';
+
+// Throttling for the endpoints that spend upstream quota, and a looser one
+// for those that only read stored results. Every client gets a token bucket
+// per route group and a daily number of image generations, counted per API
+// key for authenticated callers and per IP otherwise.
+//
+// Counters live in a counter store: any object with getJSON(key) and
+// putJSON(key, value, { ttl }). By default that is the RATE_LIMITS binding (KV
+// or R2, in-memory when unbound). KV and R2 are eventually consistent, so
+// across isolates the limits are approximate rather than exact.
+//
+// RATE_LIMIT_WEATHER, RATE_LIMIT_GENERATE and RATE_LIMIT_READ override the
+// buckets as "<requests>/<second|minute|hour|day>" or "off";
+// DAILY_GENERATION_QUOTA sets the quota, 0 disables it.
+
+const STORE_BINDING = 'RATE_LIMITS';
+
+export const RATE_LIMITS = {
+  weather: { requests: 30, seconds: 60 },
+  generate: { requests: 5, seconds: 60 },
+  // Job progress polled once a second still fits
+  read: { requests: 120, seconds: 60 },
+};
+
+const DEFAULT_DAILY_QUOTA = 50;
+
+const PERIODS = { second: 1, minute: 60, hour: 3600, day: 86400 };
+
+// `ip` from Cloudflare's CF-Connecting-IP; `key` is the id of the caller's
+// authenticated API key, if any. `browser` is the random id the page keeps
+// in local storage and sends as X-Client-Id; anyone can send any value, so it
+// only groups a browser's history and never counts for limits.
+export function identifyClient(request, apiKey = null) {
+  const browser = request.headers.get('X-Client-Id') || '';
+  return {
+    ip: request.headers.get('CF-Connecting-IP') || 'unknown',
+    key: apiKey?.id || null,
+    browser: /^[0-9a-f]{32}$/.test(browser) ? browser : null,
+  };
+}
+
+// Takes a token from the client's bucket for `group`, or throws
+// RATE_LIMITED with the seconds until one is available again
+export async function enforceRateLimit(env, group, client, { store = getStore(env, STORE_BINDING), now = Date.now() } = {}) {
+  const limit = getRateLimit(group, env);
+  if (!limit) return;
+
+  const rate = limit.requests / limit.seconds;
+  const key = `bucket/${group}/${clientId(client)}`;
+  const state = await store.getJSON(key);
+  const elapsed = state ? Math.max(0, now - state.updatedAt) / 1000 : 0;
+  const tokens = state ? Math.min(limit.requests, state.tokens + elapsed * rate) : limit.requests;
+
+  if (tokens < 1) {
+    throw new AppError('RATE_LIMITED', `Too many requests, the limit is ${limit.requests} per ${limit.seconds} seconds`, {
+      retryAfter: (1 - tokens) / rate,
+    });
+  }
+
+  // An untouched bucket is full again after `seconds`, so the entry can expire
+  await store.putJSON(key, { tokens: tokens - 1, updatedAt: now }, { ttl: limit.seconds });
+}
+
+// Counts `count` image generations against the client's daily quota, or
+// throws QUOTA_EXCEEDED
+export async function chargeGenerations(env, client, count = 1, { store = getStore(env, STORE_BINDING), now = Date.now() } = {}) {
+  const quota = getDailyQuota(env);
+  if (!quota) return;
+
+  const day = new Date(now).toISOString().slice(0, 10);
+  const key = `quota/${day}/${clientId(client)}`;
+  const used = (await store.getJSON(key))?.count || 0;
+
+  if (used + count > quota) {
+    const midnight = Date.parse(`${day}T00:00:00Z`) + 86400 * 1000;
+    throw new AppError('QUOTA_EXCEEDED', `Daily generation quota of ${quota} images reached`, {
+      retryAfter: (midnight - now) / 1000,
+      details: { quota, used },
+    });
+  }
+
+  await store.putJSON(key, { count: used + count }, { ttl: 2 * 86400 });
+}
+
+// Gives back generations that were charged but not rendered
+export async function refundGenerations(env, client, count = 1, { store = getStore(env, STORE_BINDING), now = Date.now() } = {}) {
+  if (!getDailyQuota(env)) return;
+
+  const key = `quota/${new Date(now).toISOString().slice(0, 10)}/${clientId(client)}`;
+  const used = (await store.getJSON(key))?.count || 0;
+  await store.putJSON(key, { count: Math.max(0, used - count) }, { ttl: 2 * 86400 });
+}
+
+export function getRateLimit(group, env) {
+  const setting = env[`RATE_LIMIT_${group.toUpperCase()}`];
+  if (!setting) return RATE_LIMITS[group];
+  if (setting === 'off') return null;
+
+  const match = String(setting).trim().match(/^(\d+)\s*\/\s*(second|minute|hour|day)$/);
+  if (!match || Number(match[1]) < 1) {
+    throw new Error(`RATE_LIMIT_${group.toUpperCase()} must look like "30/minute" or be "off"`);
+  }
+  return { requests: Number(match[1]), seconds: PERIODS[match[2]] };
+}
+
+function clientId(client) {
+  return client.key ? `key:${client.key}` : `ip:${client.ip}`;
+}
+
+function getDailyQuota(env) {
+  if (env.DAILY_GENERATION_QUOTA === undefined || env.DAILY_GENERATION_QUOTA === '') return DEFAULT_DAILY_QUOTA;
+  return Math.max(0, Math.floor(Number(env.DAILY_GENERATION_QUOTA)) || 0);
+}
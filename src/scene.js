@@ -0,0 +1,239 @@
+import { computeLighting, formatLocalTime } from './astronomy.js';
+import { alertsAt, dominantAlertKind } from './weather-alerts.js';
+
+// Rule-based translation of forecast entries into a structured scene model.
+//
+// The model pins down what has to be visible in the image (sky cover,
+// precipitation, fog, wind, season, lighting) so the prompt does not depend on a
+// language model noticing "light rain" in a list of numbers. Weather alerts in
+// effect at an entry's time push its scene toward the danger they warn of.
+//
+// Lighting and season depend on where the place is. Without coordinates they
+// are left out (`period` and `season` are null) rather than guessed.
+
+export function buildSceneModel(weatherData) {
+  const entries = weatherData.forecast.map(entry =>
+    buildScene(entry, weatherData.coordinates, weatherData.timezone, weatherData.alerts)
+  );
+
+  return {
+    // The image depicts the first forecast slot, like the page title does
+    primary: entries[0],
+    entries,
+  };
+}
+
+export function buildScene(entry, coordinates = {}, timezone = 0, alerts = []) {
+  const sky = describeSkyCover(entry.clouds);
+  const located = typeof coordinates?.lat === 'number' && typeof coordinates?.lon === 'number';
+  const lighting = located
+    ? computeLighting(entry.datetime, coordinates, timezone || 0)
+    : { localTime: formatLocalTime(entry.datetime, timezone || 0), period: null };
+
+  return {
+    datetime: entry.datetime,
+    sky,
+    precipitation: describePrecipitation(entry),
+    fog: describeFog(entry),
+    wind: describeWind(entry.windSpeed, entry.windDirection),
+    temperature: describeTemperature(entry.temperature),
+    season: located ? describeSeason(entry.datetime, coordinates.lat) : null,
+    lighting: { ...lighting, phrase: located ? describeLighting(lighting, sky) : '' },
+    alert: describeAlert(alertsAt(alerts, entry.datetime)),
+  };
+}
+
+// Phrases for the image prompt, most important first
+export function describeScene(scene) {
+  // Time of day comes first, image models otherwise default to daylight
+  const phrases = scene.lighting.phrase ? [scene.lighting.phrase] : [];
+
+  // A severe weather warning outweighs everything but the time of day
+  if (scene.alert.kind !== 'none') {
+    phrases.push(scene.alert.phrase);
+  }
+
+  if (scene.precipitation.type !== 'none') {
+    phrases.push(scene.precipitation.phrase);
+  }
+  phrases.push(scene.sky.phrase);
+  if (scene.fog.density !== 'none') {
+    phrases.push(scene.fog.phrase);
+  }
+  phrases.push(scene.wind.phrase);
+  if (scene.season) {
+    phrases.push(scene.season.phrase);
+  }
+  phrases.push(scene.temperature.phrase);
+
+  return phrases;
+}
+
+const ALERT_PHRASES = {
+  storm: 'severe storm building, towering dark thunderclouds, lightning on the horizon, trees bent by violent gusts',
+  flood: 'flooding, rivers bursting their banks, standing water over fields and roads',
+  heat: 'extreme heat wave, parched cracked ground, wilting vegetation and shimmering air',
+  snow: 'heavy blizzard, deep drifting snow and poor visibility',
+  wind: 'damaging gale, trees bending hard, debris blown across the landscape',
+  cold: 'severe cold, everything glazed in thick frost and ice',
+  fire: 'wildfire smoke hanging in the air, orange-tinted hazy sky',
+  fog: 'dense fog swallowing the landscape',
+};
+
+function describeAlert(alerts) {
+  const kind = dominantAlertKind(alerts);
+  if (!kind) {
+    return { kind: 'none', events: [], phrase: '' };
+  }
+  return { kind, events: alerts.map(alert => alert.event), phrase: ALERT_PHRASES[kind] };
+}
+
+function describeLighting(lighting, sky) {
+  const overcast = sky.clouds >= 70;
+  const sunSide = lighting.solarAzimuth < 180 ? 'east' : 'west';
+  const dawn = sunSide === 'east';
+
+  switch (lighting.period) {
+    case 'night':
+      if (overcast) return 'night scene, dark cloudy sky, faint ambient light';
+      if (lighting.moon.illumination >= 0.5) {
+        return `night scene lit by a bright ${lighting.moon.phase}, moonlit landscape with stars`;
+      }
+      return 'dark night scene under a starry sky';
+    case 'twilight':
+      return `deep blue twilight ${dawn ? 'before dawn' : 'after dusk'}, ${dawn ? 'last' : 'first'} stars visible`;
+    case 'blue hour':
+      return `blue hour ${dawn ? 'before sunrise' : 'after sunset'}, cool soft light with the sun just below the horizon`;
+    case 'golden hour':
+      return overcast
+        ? `dim low light at ${dawn ? 'sunrise' : 'sunset'} under heavy clouds`
+        : `golden hour, warm low sun in the ${sunSide} casting long shadows`;
+    case 'midday':
+      return overcast ? 'flat bright midday light diffused by clouds' : 'high midday sun with short shadows';
+    default:
+      return overcast
+        ? `diffuse ${lighting.period} daylight under clouds`
+        : `${lighting.period} sunlight from the ${sunSide}`;
+  }
+}
+
+function describeSkyCover(clouds = 0) {
+  if (clouds >= 90) return { cover: 'overcast', clouds, phrase: 'completely overcast grey sky' };
+  if (clouds >= 70) return { cover: 'mostly cloudy', clouds, phrase: 'mostly cloudy sky with only small breaks' };
+  if (clouds >= 40) return { cover: 'partly cloudy', clouds, phrase: 'partly cloudy sky with large drifting clouds' };
+  if (clouds >= 10) return { cover: 'few clouds', clouds, phrase: 'mostly clear sky with a few scattered clouds' };
+  return { cover: 'clear', clouds, phrase: 'clear cloudless sky' };
+}
+
+function describePrecipitation({ main = '', description = '' }) {
+  const text = description.toLowerCase();
+
+  let type = 'none';
+  if (main === 'Thunderstorm') type = 'thunderstorm';
+  else if (main === 'Snow' && /sleet|rain and snow/.test(text)) type = 'sleet';
+  else if (main === 'Snow') type = 'snow';
+  else if (main === 'Drizzle') type = 'drizzle';
+  else if (main === 'Rain' && text.includes('freezing')) type = 'freezing rain';
+  else if (main === 'Rain') type = 'rain';
+
+  if (type === 'none') {
+    return { type, intensity: 'none', phrase: '' };
+  }
+
+  let intensity = 'moderate';
+  if (/light|drizzle|slight/.test(text) || type === 'drizzle') intensity = 'light';
+  if (/heavy|extreme|violent|very|ragged/.test(text)) intensity = 'heavy';
+
+  const phrases = {
+    thunderstorm: `${intensity} thunderstorm with dark storm clouds, lightning and pouring rain`,
+    sleet: `${intensity} sleet, slushy wet ground`,
+    snow: `${intensity} snowfall, snow settling on the ground and trees`,
+    drizzle: 'fine drizzle, damp glistening surfaces',
+    'freezing rain': `${intensity} freezing rain, ice glazing branches and roads`,
+    rain: `${intensity} rain falling, wet reflective surfaces and puddles`,
+  };
+
+  return { type, intensity, phrase: phrases[type] };
+}
+
+function describeFog({ main = '', humidity = 0 }) {
+  let density = 'none';
+  if (main === 'Fog' || humidity >= 97) density = 'fog';
+  else if (main === 'Mist' || humidity >= 90) density = 'mist';
+  else if (main === 'Haze' || main === 'Smoke' || main === 'Dust' || humidity >= 82) density = 'haze';
+
+  const phrases = {
+    none: '',
+    haze: 'soft haze reducing distant contrast',
+    mist: 'light mist hanging low over the landscape',
+    fog: 'thick fog limiting visibility',
+  };
+
+  return { density, humidity, phrase: phrases[density] };
+}
+
+// Beaufort scale, speeds in m/s
+const WIND_SCALE = [
+  { max: 0.5, strength: 'calm', effect: 'perfectly still air, mirror-like water' },
+  { max: 3.4, strength: 'light breeze', effect: 'leaves rustling gently' },
+  { max: 8.0, strength: 'moderate breeze', effect: 'grass and small branches moving' },
+  { max: 13.9, strength: 'strong breeze', effect: 'large branches swaying, whitecaps on water' },
+  { max: 20.8, strength: 'gale', effect: 'trees bending and leaves torn loose' },
+  { max: Infinity, strength: 'storm', effect: 'violent wind, flying debris and heavily bent trees' },
+];
+
+const COMPASS = ['north', 'north-east', 'east', 'south-east', 'south', 'south-west', 'west', 'north-west'];
+
+function describeWind(speed = 0, degrees) {
+  const { strength, effect } = WIND_SCALE.find(level => speed < level.max);
+  // Meteorological direction: where the wind blows from
+  const direction = typeof degrees === 'number' ? COMPASS[Math.round(degrees / 45) % 8] : null;
+
+  const phrase = strength === 'calm' || !direction
+    ? effect
+    : `${strength} from the ${direction}, ${effect}`;
+
+  return { speed, strength, direction, phrase };
+}
+
+function describeTemperature(temperature) {
+  let feel = 'hot';
+  if (temperature <= -5) feel = 'bitterly cold';
+  else if (temperature <= 0) feel = 'freezing';
+  else if (temperature <= 8) feel = 'cold';
+  else if (temperature <= 18) feel = 'mild';
+  else if (temperature <= 27) feel = 'warm';
+
+  const phrases = {
+    'bitterly cold': 'bitterly cold, frozen ground and frost everywhere',
+    freezing: 'freezing temperatures, frost on grass and surfaces',
+    cold: 'cold crisp air, dormant vegetation',
+    mild: 'mild temperature',
+    warm: 'warm air, lush vegetation',
+    hot: 'hot day with shimmering heat haze and dry vegetation',
+  };
+
+  return { value: temperature, feel, phrase: phrases[feel] };
+}
+
+function describeSeason(datetime, lat = 0) {
+  const month = new Date(`${String(datetime).replace(' ', 'T')}Z`).getUTCMonth();
+  const absLat = Math.abs(lat);
+
+  if (absLat < 23.5) {
+    return { season: 'tropical', hemisphere: lat < 0 ? 'southern' : 'northern', phrase: 'tropical vegetation' };
+  }
+
+  const northern = ['winter', 'winter', 'spring', 'spring', 'spring', 'summer', 'summer', 'summer', 'autumn', 'autumn', 'autumn', 'winter'];
+  const opposite = { winter: 'summer', spring: 'autumn', summer: 'winter', autumn: 'spring' };
+  const season = lat < 0 ? opposite[northern[month]] : northern[month];
+
+  const phrases = {
+    winter: absLat > 60 ? 'deep winter landscape with snow cover and low sun' : 'winter landscape with bare deciduous trees',
+    spring: 'spring landscape with fresh green leaves and blossoms',
+    summer: 'summer landscape with full green foliage',
+    autumn: 'autumn landscape with orange and golden foliage',
+  };
+
+  return { season, hemisphere: lat < 0 ? 'southern' : 'northern', phrase: phrases[season] };
+}
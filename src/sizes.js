@@ -0,0 +1,49 @@
+import { AppError } from './errors.js';
+
+// Output sizes for wallpapers, banners and social cards. Models that take a
+// size are asked for the nearest multiples of 64, the grid the diffusion
+// models work in; models without one (FLUX) render their default square. The
+// image is then cut to the exact size, or with `fit: "pad"` scaled to fit and
+// padded with black. Without a size the model's default is kept as it is.
+
+export const IMAGE_SIZES = {
+  square: { label: 'Square (1:1)', width: 1024, height: 1024 },
+  desktop: { label: 'Desktop (16:9)', width: 1344, height: 756 },
+  phone: { label: 'Phone wallpaper (9:19.5)', width: 576, height: 1248 },
+  social: { label: 'Social card (1.91:1)', width: 1200, height: 630 },
+};
+
+export const FIT_MODES = ['crop', 'pad'];
+
+// { name, width, height, fit } for a size name, or undefined without one
+export function resolveImageSize(name, fit) {
+  if (name === undefined || name === null || name === '') {
+    if (fit !== undefined) {
+      throw new AppError('INVALID_INPUT', 'fit only applies together with size');
+    }
+    return undefined;
+  }
+
+  const size = IMAGE_SIZES[name];
+  if (!size) {
+    throw new AppError('INVALID_INPUT', `Unknown size '${name}'. Available: ${Object.keys(IMAGE_SIZES).join(', ')}`);
+  }
+  if (fit !== undefined && !FIT_MODES.includes(fit)) {
+    throw new AppError('INVALID_INPUT', `Unknown fit '${fit}'. Available: ${FIT_MODES.join(', ')}`);
+  }
+
+  return { name, width: size.width, height: size.height, fit: fit || 'crop' };
+}
+
+export function listImageSizes() {
+  return Object.entries(IMAGE_SIZES).map(([name, size]) => ({ name, ...size }));
+}
+
+// What to ask a model for
+export function modelDimensions(size) {
+  return { width: roundTo64(size.width), height: roundTo64(size.height) };
+}
+
+function roundTo64(value) {
+  return Math.max(256, Math.round(value / 64) * 64);
+}
@@ -0,0 +1,164 @@
+// Small key/value storage layer shared by the Worker's persistent features.
+//
+// A store is resolved from a binding name on `env`. The binding can be an R2
+// bucket or a KV namespace; when nothing is bound (local development, tests)
+// an in-memory store is used instead, so every feature works without setup.
+
+const memoryStores = new Map();
+
+export function getStore(env, bindingName) {
+  const binding = env?.[bindingName];
+
+  if (binding && typeof binding.head === 'function') {
+    return withJSON(createR2Store(binding));
+  }
+
+  if (binding && typeof binding.getWithMetadata === 'function') {
+    return withJSON(createKVStore(binding));
+  }
+
+  if (!memoryStores.has(bindingName)) {
+    memoryStores.set(bindingName, withJSON(createMemoryStore()));
+  }
+  return memoryStores.get(bindingName);
+}
+
+export function createR2Store(bucket) {
+  return {
+    async get(key) {
+      const object = await bucket.get(key);
+      if (!object) return null;
+
+      // R2 has no native expiry, so TTLs are tracked in custom metadata
+      const expiresAt = Number(object.customMetadata?.expiresAt);
+      if (expiresAt && expiresAt <= Date.now()) {
+        await bucket.delete(key);
+        return null;
+      }
+
+      return {
+        body: new Uint8Array(await object.arrayBuffer()),
+        contentType: object.httpMetadata?.contentType || 'application/octet-stream',
+      };
+    },
+
+    async put(key, body, { contentType, ttl } = {}) {
+      await bucket.put(key, body, {
+        httpMetadata: contentType ? { contentType } : undefined,
+        customMetadata: ttl ? { expiresAt: String(Date.now() + ttl * 1000) } : undefined,
+      });
+    },
+
+    async delete(key) {
+      await bucket.delete(key);
+    },
+
+    async list(prefix) {
+      const keys = [];
+      let cursor;
+      do {
+        const page = await bucket.list({ prefix, cursor });
+        keys.push(...page.objects.map(object => object.key));
+        cursor = page.truncated ? page.cursor : undefined;
+      } while (cursor);
+      return keys;
+    },
+  };
+}
+
+export function createKVStore(namespace) {
+  return {
+    async get(key) {
+      const { value, metadata } = await namespace.getWithMetadata(key, 'arrayBuffer');
+      if (value === null) return null;
+
+      return {
+        body: new Uint8Array(value),
+        contentType: metadata?.contentType || 'application/octet-stream',
+      };
+    },
+
+    async put(key, body, { contentType, ttl } = {}) {
+      await namespace.put(key, body, {
+        metadata: contentType ? { contentType } : undefined,
+        // KV rejects expirations shorter than 60 seconds
+        expirationTtl: ttl ? Math.max(60, Math.ceil(ttl)) : undefined,
+      });
+    },
+
+    async delete(key) {
+      await namespace.delete(key);
+    },
+
+    async list(prefix) {
+      const keys = [];
+      let cursor;
+      do {
+        const page = await namespace.list({ prefix, cursor });
+        keys.push(...page.keys.map(entry => entry.name));
+        cursor = page.list_complete ? undefined : page.cursor;
+      } while (cursor);
+      return keys;
+    },
+  };
+}
+
+export function createMemoryStore() {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+
+      return { body: entry.body, contentType: entry.contentType };
+    },
+
+    async put(key, body, { contentType, ttl } = {}) {
+      entries.set(key, {
+        body: toBytes(body),
+        contentType: contentType || 'application/octet-stream',
+        expiresAt: ttl ? Date.now() + ttl * 1000 : null,
+      });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+
+    async list(prefix = '') {
+      return [...entries.keys()].filter(key => key.startsWith(prefix)).sort();
+    },
+  };
+}
+
+function withJSON(store) {
+  return {
+    ...store,
+
+    async getJSON(key) {
+      const entry = await store.get(key);
+      return entry ? JSON.parse(new TextDecoder().decode(entry.body)) : null;
+    },
+
+    async putJSON(key, value, options = {}) {
+      await store.put(key, JSON.stringify(value), { ...options, contentType: 'application/json' });
+    },
+  };
+}
+
+function toBytes(body) {
+  if (typeof body === 'string') return new TextEncoder().encode(body);
+  if (body instanceof ArrayBuffer) return new Uint8Array(body);
+  return new Uint8Array(body.buffer, body.byteOffset, body.byteLength);
+}
+
+export function createId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(8));
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,173 @@
+import { AppError } from './errors.js';
+
+// Style presets decide how a prompt becomes an image: which Workers AI model
+// runs, parameter overrides for it (num_steps, guidance, width, height, ...),
+// text wrapped around the prompt and a negative prompt.
+//
+// Deployments add or replace presets with the STYLE_PRESETS variable, a JSON
+// object keyed by preset name. A preset may set `extends` to start from another
+// preset and only override some fields:
+//   { "postcard": { "label": "Postcard", "extends": "watercolor", "suffix": ", vintage postcard" } }
+//
+// When the preset's model fails, the models in `fallbacks` (FALLBACK_MODELS
+// unless set) are tried in turn; `"fallbacks": []` disables this.
+
+const DEFAULT_STYLE = 'stable-diffusion';
+
+const MODELS = {
+  sdxl: '@cf/stabilityai/stable-diffusion-xl-base-1.0',
+  lightning: '@cf/bytedance/stable-diffusion-xl-lightning',
+  dreamshaper: '@cf/lykon/dreamshaper-8-lcm',
+  flux: '@cf/black-forest-labs/flux-1-schnell',
+};
+
+const FALLBACK_MODELS = [MODELS.sdxl, MODELS.lightning, MODELS.flux];
+
+// Models that answer with JPEG; the others return PNG
+const JPEG_MODELS = [MODELS.flux];
+
+const PHOTO_NEGATIVE = 'painting, illustration, cartoon, text, watermark, signature, blurry, distorted';
+
+export const BUILT_IN_STYLES = {
+  'realistic': {
+    label: 'Photorealistic',
+    description: 'Fast, natural-looking landscape photo',
+    model: MODELS.lightning,
+    parameters: {},
+    prefix: '',
+    suffix: ', photorealistic landscape photography, natural colors',
+    negativePrompt: PHOTO_NEGATIVE,
+  },
+  'stable-diffusion': {
+    label: 'Professional',
+    description: 'Detailed professional landscape photo',
+    model: MODELS.sdxl,
+    parameters: {},
+    prefix: '',
+    suffix: ', professional landscape photography, high detail, sharp focus',
+    negativePrompt: PHOTO_NEGATIVE,
+  },
+  'natural': {
+    label: 'Natural',
+    description: 'Soft documentary look with muted tones',
+    model: MODELS.sdxl,
+    parameters: { guidance: 6 },
+    prefix: 'Documentary nature photograph: ',
+    suffix: ', muted natural tones, soft contrast, 35mm film grain',
+    negativePrompt: `${PHOTO_NEGATIVE}, oversaturated, HDR`,
+  },
+  'cinematic': {
+    label: 'Cinematic',
+    description: 'Wide film still with dramatic grading',
+    model: MODELS.sdxl,
+    parameters: { guidance: 8, width: 1344, height: 768 },
+    prefix: 'Cinematic film still, anamorphic wide shot: ',
+    suffix: ', dramatic color grading, volumetric light, shallow depth of field',
+    negativePrompt: PHOTO_NEGATIVE,
+  },
+  'watercolor': {
+    label: 'Watercolor',
+    description: 'Loose watercolor painting on paper',
+    model: MODELS.dreamshaper,
+    parameters: {},
+    prefix: 'Watercolor painting of ',
+    suffix: ', loose brush strokes, paper texture, soft color bleeds',
+    negativePrompt: 'photograph, photorealistic, 3d render, text, watermark',
+  },
+  'film-noir': {
+    label: 'Film Noir',
+    description: 'High-contrast black and white',
+    model: MODELS.sdxl,
+    parameters: { guidance: 8.5 },
+    prefix: 'Black and white film noir photograph: ',
+    suffix: ', high contrast, deep shadows, 1940s cinematography',
+    negativePrompt: 'color, colorful, saturated, text, watermark',
+  },
+  'oil-painting': {
+    label: 'Oil Painting',
+    description: 'Impressionist oil on canvas',
+    model: MODELS.dreamshaper,
+    parameters: {},
+    prefix: 'Impressionist oil painting of ',
+    suffix: ', visible brush strokes, rich pigments, canvas texture',
+    negativePrompt: 'photograph, photorealistic, text, watermark',
+  },
+  'pixel-art': {
+    label: 'Pixel Art',
+    description: '16-bit video game scenery',
+    model: MODELS.flux,
+    parameters: {},
+    prefix: '16-bit pixel art landscape, retro video game background: ',
+    suffix: ', limited color palette, crisp pixels',
+    negativePrompt: '',
+  },
+};
+
+export function getStylePreset(name, env) {
+  const presets = loadPresets(env);
+  const styleName = name || env.DEFAULT_STYLE || DEFAULT_STYLE;
+  const preset = presets[styleName];
+
+  if (!preset) {
+    throw new AppError('INVALID_INPUT', `Unknown style '${styleName}'. Available: ${Object.keys(presets).join(', ')}`);
+  }
+
+  return { name: styleName, ...preset };
+}
+
+export function listStylePresets(env) {
+  return Object.entries(loadPresets(env)).map(([name, preset]) => ({
+    name,
+    label: preset.label,
+    description: preset.description,
+    model: preset.model,
+  }));
+}
+
+export function getDefaultStyle(env) {
+  return env.DEFAULT_STYLE || DEFAULT_STYLE;
+}
+
+// The preset's own model first, then its fallbacks without repeats
+export function getModelChain(preset) {
+  return [...new Set([preset.model, ...(preset.fallbacks || FALLBACK_MODELS)])];
+}
+
+// Overlays and animations draw on PNG images
+export function rendersPNG(preset) {
+  return !JPEG_MODELS.includes(preset.model);
+}
+
+export function applyStyle(preset, prompt) {
+  return `${preset.prefix || ''}${prompt}${preset.suffix || ''}`;
+}
+
+function loadPresets(env) {
+  if (!env.STYLE_PRESETS) return BUILT_IN_STYLES;
+
+  const custom = typeof env.STYLE_PRESETS === 'string' ? JSON.parse(env.STYLE_PRESETS) : env.STYLE_PRESETS;
+  const presets = { ...BUILT_IN_STYLES };
+
+  // Resolved in order, so a custom preset can extend one defined before it
+  for (const [name, preset] of Object.entries(custom)) {
+    const base = preset.extends ? presets[preset.extends] : null;
+    if (preset.extends && !base) {
+      throw new Error(`Style '${name}' extends unknown style '${preset.extends}'`);
+    }
+
+    const { extends: _, ...fields } = preset;
+    presets[name] = {
+      label: name,
+      description: '',
+      model: MODELS.sdxl,
+      prefix: '',
+      suffix: '',
+      negativePrompt: '',
+      ...base,
+      ...fields,
+      parameters: { ...base?.parameters, ...fields.parameters },
+    };
+  }
+
+  return presets;
+}
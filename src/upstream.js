@@ -0,0 +1,123 @@
+import { AppError } from './errors.js';
+
+// Calls to other services (weather APIs, Gemini, Workers AI) get a timeout
+// per attempt and a bounded number of retries with jittered backoff, so one
+// slow or flaky upstream cannot hold a request open indefinitely.
+
+export const UPSTREAM_TIMEOUTS = {
+  openweathermap: 8000,
+  'open-meteo': 8000,
+  nws: 8000,
+  gemini: 15000,
+  'workers-ai-text': 20000,
+  'workers-ai-image': 60000,
+  // Subscribers' webhook receivers
+  webhook: 10000,
+};
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 2;
+const BASE_DELAY_MS = 250;
+// A Retry-After longer than this is reported instead of waited out
+const MAX_DELAY_MS = 5000;
+// Statuses a Response cannot be constructed with a body for
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+// Resolves to the response for 2xx and final 4xx answers, which the caller
+// interprets. The timeout covers reading the body as well, so the returned
+// response is already buffered. Timeouts, network errors, 429 and 5xx are
+// retried; when the retries run out they become UPSTREAM_TIMEOUT,
+// UPSTREAM_ERROR or QUOTA_EXCEEDED.
+export async function fetchUpstream(upstream, url, init = {}, { timeoutMs, retries = DEFAULT_RETRIES, sleep = wait } = {}) {
+  const timeout = timeoutMs || UPSTREAM_TIMEOUTS[upstream] || DEFAULT_TIMEOUT_MS;
+
+  for (let attempt = 1; ; attempt++) {
+    const lastAttempt = attempt > retries;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    let response;
+    try {
+      response = await fetch(url, { ...init, signal: controller.signal });
+      // A server can send its headers and then stall
+      const body = await response.arrayBuffer();
+      response = new Response(NULL_BODY_STATUSES.includes(response.status) ? null : body, response);
+    } catch (error) {
+      const timedOut = controller.signal.aborted;
+      if (lastAttempt) {
+        throw timedOut
+          ? new AppError('UPSTREAM_TIMEOUT', `${upstream} did not respond within ${timeout} ms`, { cause: error })
+          : new AppError('UPSTREAM_ERROR', `${upstream} request failed: ${error.message}`, { cause: error });
+      }
+      console.warn(`${upstream} attempt ${attempt} failed:`, timedOut ? 'timeout' : error.message);
+      await sleep(retryDelay(attempt));
+      continue;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (response.status !== 429 && response.status < 500) {
+      return response;
+    }
+
+    const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+    if (lastAttempt || retryAfter * 1000 > MAX_DELAY_MS) {
+      throw response.status === 429
+        ? new AppError('QUOTA_EXCEEDED', `${upstream} rate limit reached, try again later`, { retryAfter: retryAfter || undefined })
+        : new AppError('UPSTREAM_ERROR', `${upstream} failed with status ${response.status}`);
+    }
+    console.warn(`${upstream} attempt ${attempt} failed with status ${response.status}`);
+    await sleep(retryAfter ? retryAfter * 1000 : retryDelay(attempt));
+  }
+}
+
+// For calls that cannot be aborted, such as the AI binding: the caller stops
+// waiting after `timeoutMs` even though the work may carry on
+export async function withTimeout(upstream, promise, timeoutMs = UPSTREAM_TIMEOUTS[upstream] || DEFAULT_TIMEOUT_MS) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new AppError('UPSTREAM_TIMEOUT', `${upstream} did not respond within ${timeoutMs} ms`)), timeoutMs);
+  });
+
+  try {
+    return await Promise.race([promise, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Workers AI reports failures as plain errors, mostly "<code>: <message>".
+// Maps them onto the error codes so callers know whether another model is
+// worth trying.
+export function classifyAIError(error) {
+  if (error instanceof AppError) return error;
+
+  const message = String(error?.message || error);
+  if (/nsfw|unsafe|safety/i.test(message)) {
+    return new AppError('SAFETY_BLOCKED', 'The image model refused the prompt', { cause: error });
+  }
+  if (/^3036\b|daily free allocation|neurons|quota/i.test(message)) {
+    return new AppError('QUOTA_EXCEEDED', 'Workers AI quota exceeded, try again later', { cause: error });
+  }
+  if (/timed? ?out/i.test(message)) {
+    return new AppError('UPSTREAM_TIMEOUT', `Workers AI timed out: ${message}`, { cause: error });
+  }
+  return new AppError('UPSTREAM_ERROR', `Workers AI failed: ${message}`, { cause: error });
+}
+
+function parseRetryAfter(value) {
+  if (!value) return 0;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(0, (date - Date.now()) / 1000);
+}
+
+// Exponential backoff with full jitter
+function retryDelay(attempt) {
+  return Math.random() * BASE_DELAY_MS * 2 ** attempt;
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
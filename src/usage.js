@@ -0,0 +1,71 @@
+import { getStore } from './storage.js';
+
+// Usage accounting per API key and UTC day. Requests without a key are
+// counted under "anonymous".
+//
+// While a request runs, its usage is collected in a plain object (like
+// cacheStatus) with addUsage(); recordUsage() then adds it to the day's
+// totals. Totals are read, added to and written back, so with KV two
+// concurrent requests can lose an update; the report is meant for
+// accounting at a glance, not billing.
+
+const STORE_BINDING = 'USAGE';
+
+export const USAGE_FIELDS = ['requests', 'weatherCalls', 'promptTokens', 'imageGenerations', 'latencyMs'];
+
+export const ANONYMOUS = 'anonymous';
+
+export const MAX_REPORT_DAYS = 31;
+
+export function addUsage(usage, field, amount = 1) {
+  if (!usage || !amount) return;
+  usage[field] = (usage[field] || 0) + amount;
+}
+
+export async function recordUsage(env, keyId, usage, now = Date.now()) {
+  const store = getStore(env, STORE_BINDING);
+  const key = `usage/${new Date(now).toISOString().slice(0, 10)}/${keyId || ANONYMOUS}.json`;
+  const totals = (await store.getJSON(key)) || {};
+
+  for (const field of USAGE_FIELDS) {
+    totals[field] = (totals[field] || 0) + (usage[field] || 0);
+  }
+  await store.putJSON(key, totals);
+}
+
+// Rows of { date, key, ...USAGE_FIELDS, averageLatencyMs } for every day from
+// `from` to `to` (YYYY-MM-DD, inclusive), optionally for one key only
+export async function getUsageReport(env, { from, to, key } = {}) {
+  const store = getStore(env, STORE_BINDING);
+  const rows = [];
+
+  for (const date of listDays(from, to)) {
+    const prefix = `usage/${date}/`;
+    const names = key ? [`${prefix}${key}.json`] : await store.list(prefix);
+
+    for (const name of names) {
+      const totals = await store.getJSON(name);
+      if (!totals) continue;
+
+      rows.push({
+        date,
+        key: name.slice(prefix.length, -'.json'.length),
+        ...Object.fromEntries(USAGE_FIELDS.map(field => [field, totals[field] || 0])),
+        averageLatencyMs: totals.requests ? Math.round(totals.latencyMs / totals.requests) : 0,
+      });
+    }
+  }
+
+  return rows;
+}
+
+export function listDays(from, to) {
+  const start = Date.parse(`${from}T00:00:00Z`);
+  const end = Date.parse(`${to}T00:00:00Z`);
+  const days = [];
+
+  for (let day = start; day <= end && days.length < MAX_REPORT_DAYS; day += 86400 * 1000) {
+    days.push(new Date(day).toISOString().slice(0, 10));
+  }
+  return days;
+}
@@ -0,0 +1,207 @@
+import { AppError } from './errors.js';
+import { computeLighting } from './astronomy.js';
+import { cleanText, checkPromptText } from './guardrails.js';
+import { parseHorizon } from './horizon.js';
+import { ALERT_KINDS } from './weather-alerts.js';
+
+// Client-supplied weatherData (the body of /api/generate-art and
+// /api/prompts) is checked field by field and rebuilt from the known fields
+// only, so nothing else can reach the prompt writers. The location, the
+// descriptions and the alert names, which are pasted into the prompt
+// instructions, also go through checkPromptText(). Lighting is recomputed
+// from the datetime and coordinates instead of being trusted, and left out
+// when the coordinates are.
+
+const MAX_ENTRIES = 40;
+const MAX_LOCATION_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 60;
+const MAX_ALERTS = 10;
+const MAX_ALERT_TEXT_LENGTH = 500;
+
+const CONDITIONS = [
+  'Clear', 'Clouds', 'Rain', 'Drizzle', 'Thunderstorm', 'Snow', 'Mist', 'Fog',
+  'Haze', 'Smoke', 'Dust', 'Sand', 'Ash', 'Squall', 'Tornado',
+];
+
+// Seeds of the image models; the same prompt, model and seed give the same image
+export const MAX_SEED = 2 ** 31 - 1;
+
+// A place name as typed by the user, before geocoding
+export function validateLocation(location, field = 'location') {
+  if (location === undefined || location === null || location === '') {
+    throw invalid(`${field} is required`);
+  }
+  return text(location, field, MAX_LOCATION_LENGTH);
+}
+
+// { lat, lon } as sent with a place picked from /api/geocode
+export function validateCoordinates(coordinates, field = 'coordinates') {
+  if (!isObject(coordinates)) {
+    throw invalid(`${field} must be an object with lat and lon`);
+  }
+  return {
+    lat: number(coordinates.lat, `${field}.lat`, -90, 90),
+    lon: number(coordinates.lon, `${field}.lon`, -180, 180),
+  };
+}
+
+// A location typed as "48.8566,2.3522" becomes { lat, lon }; anything else,
+// a place name, is null
+export function parseCoordinates(location, field = 'location') {
+  const match = String(location).match(/^\s*([-+]?\d{1,3}(?:\.\d+)?)\s*,\s*([-+]?\d{1,3}(?:\.\d+)?)\s*$/);
+  if (!match) return null;
+
+  return validateCoordinates({ lat: Number(match[1]), lon: Number(match[2]) }, field);
+}
+
+export function validateSeed(seed, field = 'seed') {
+  if (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED) {
+    throw invalid(`${field} must be a whole number between 0 and ${MAX_SEED}`);
+  }
+  return seed;
+}
+
+export function validateWeatherData(weatherData) {
+  if (!isObject(weatherData) || !Array.isArray(weatherData.forecast)) {
+    throw invalid('weatherData with a forecast array is required');
+  }
+  if (!weatherData.forecast.length || weatherData.forecast.length > MAX_ENTRIES) {
+    throw invalid(`weatherData.forecast must have between 1 and ${MAX_ENTRIES} entries`);
+  }
+
+  const location = checkPromptText(text(weatherData.location, 'weatherData.location', MAX_LOCATION_LENGTH), 'weatherData.location');
+  const coordinates = weatherData.coordinates === undefined ? undefined : validateCoordinates(weatherData.coordinates, 'weatherData.coordinates');
+  const timezone = weatherData.timezone === undefined ? 0 : number(weatherData.timezone, 'weatherData.timezone', -14 * 3600, 14 * 3600);
+  if (weatherData.provider !== undefined && !/^[a-z0-9-]{1,32}$/.test(weatherData.provider)) {
+    throw invalid('weatherData.provider is not a provider name');
+  }
+
+  const forecast = weatherData.forecast.map((entry, index) => {
+    const field = `weatherData.forecast[${index}]`;
+    if (!isObject(entry)) {
+      throw invalid(`${field} must be an object`);
+    }
+    if (typeof entry.datetime !== 'string' || !/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(entry.datetime) || Number.isNaN(Date.parse(`${entry.datetime.replace(' ', 'T')}Z`))) {
+      throw invalid(`${field}.datetime must look like "2024-06-15 12:00:00"`);
+    }
+    if (!CONDITIONS.includes(entry.main)) {
+      throw invalid(`${field}.main must be one of ${CONDITIONS.join(', ')}`);
+    }
+    if (entry.icon !== undefined && !/^\d{2}[dn]$/.test(entry.icon)) {
+      throw invalid(`${field}.icon must look like "01d"`);
+    }
+    if (entry.observed !== undefined && typeof entry.observed !== 'boolean') {
+      throw invalid(`${field}.observed must be true or false`);
+    }
+
+    return {
+      datetime: entry.datetime,
+      temperature: number(entry.temperature, `${field}.temperature`, -90, 70),
+      humidity: number(entry.humidity, `${field}.humidity`, 0, 100),
+      pressure: optionalNumber(entry.pressure, `${field}.pressure`, 800, 1100),
+      description: checkPromptText(text(entry.description, `${field}.description`, MAX_DESCRIPTION_LENGTH), `${field}.description`),
+      main: entry.main,
+      icon: entry.icon,
+      windSpeed: number(entry.windSpeed, `${field}.windSpeed`, 0, 150),
+      windDirection: optionalNumber(entry.windDirection, `${field}.windDirection`, 0, 360),
+      clouds: number(entry.clouds, `${field}.clouds`, 0, 100),
+      precipitation: optionalNumber(entry.precipitation, `${field}.precipitation`, 0, 500),
+      observed: entry.observed || undefined,
+      lighting: coordinates ? computeLighting(entry.datetime, coordinates, timezone) : undefined,
+    };
+  });
+
+  const horizon = parseHorizon(weatherData.horizon, 'weatherData.horizon');
+  const daily = weatherData.daily === undefined ? undefined : validateDaily(weatherData.daily);
+  const alerts = weatherData.alerts === undefined ? undefined : validateAlerts(weatherData.alerts);
+
+  return { location, coordinates, timezone, provider: weatherData.provider, horizon, forecast, daily, alerts };
+}
+
+// Weather alerts as made by the alert sources; only the event name reaches the prompt
+function validateAlerts(alerts) {
+  if (!Array.isArray(alerts) || alerts.length > MAX_ALERTS) {
+    throw invalid(`weatherData.alerts must be an array of at most ${MAX_ALERTS} alerts`);
+  }
+
+  return alerts.map((alert, index) => {
+    const field = `weatherData.alerts[${index}]`;
+    if (!isObject(alert)) {
+      throw invalid(`${field} must be an object`);
+    }
+    for (const name of ['start', 'end']) {
+      if (typeof alert[name] !== 'string' || Number.isNaN(Date.parse(alert[name]))) {
+        throw invalid(`${field}.${name} must be a timestamp like "2024-06-15T12:00:00.000Z"`);
+      }
+    }
+    if (!ALERT_KINDS.includes(alert.kind) && alert.kind !== 'other') {
+      throw invalid(`${field}.kind must be one of ${ALERT_KINDS.join(', ')}, other`);
+    }
+
+    return {
+      event: checkPromptText(text(alert.event, `${field}.event`, MAX_LOCATION_LENGTH), `${field}.event`),
+      sender: alert.sender === undefined ? undefined : text(alert.sender, `${field}.sender`, MAX_LOCATION_LENGTH),
+      start: new Date(alert.start).toISOString(),
+      end: new Date(alert.end).toISOString(),
+      description: alert.description ? text(alert.description, `${field}.description`, MAX_ALERT_TEXT_LENGTH) : '',
+      kind: alert.kind,
+    };
+  });
+}
+
+// Daily summaries as made by summarizeDays()
+function validateDaily(daily) {
+  if (!Array.isArray(daily) || daily.length > MAX_ENTRIES) {
+    throw invalid(`weatherData.daily must be an array of at most ${MAX_ENTRIES} days`);
+  }
+
+  return daily.map((day, index) => {
+    const field = `weatherData.daily[${index}]`;
+    if (!isObject(day)) {
+      throw invalid(`${field} must be an object`);
+    }
+    if (typeof day.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(day.date) || Number.isNaN(Date.parse(day.date))) {
+      throw invalid(`${field}.date must look like "2024-06-15"`);
+    }
+    if (!CONDITIONS.includes(day.main)) {
+      throw invalid(`${field}.main must be one of ${CONDITIONS.join(', ')}`);
+    }
+
+    return {
+      date: day.date,
+      minTemp: number(day.minTemp, `${field}.minTemp`, -90, 70),
+      maxTemp: number(day.maxTemp, `${field}.maxTemp`, -90, 70),
+      main: day.main,
+      description: checkPromptText(text(day.description, `${field}.description`, MAX_DESCRIPTION_LENGTH), `${field}.description`),
+      precipitation: optionalNumber(day.precipitation, `${field}.precipitation`, 0, 2000),
+    };
+  });
+}
+
+// Control characters and line breaks are removed, so the text is safe to log
+function text(value, field, maxLength) {
+  if (typeof value !== 'string' || !cleanText(value) || value.length > maxLength) {
+    throw invalid(`${field} must be a non-empty string of at most ${maxLength} characters`);
+  }
+  return cleanText(value);
+}
+
+function number(value, field, min, max) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+    throw invalid(`${field} must be a number between ${min} and ${max}`);
+  }
+  return value;
+}
+
+// Some providers leave these out for calm or missing readings
+function optionalNumber(value, field, min, max) {
+  return value === undefined || value === null ? value : number(value, field, min, max);
+}
+
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function invalid(message) {
+  return new AppError('INVALID_INPUT', message);
+}
@@ -0,0 +1,163 @@
+import { AppError } from './errors.js';
+import { fetchUpstream } from './upstream.js';
+import { loadFixture } from './weather-providers.js';
+
+// Alert sources look up the government weather warnings for a place, in the
+// normalized shape used across the app:
+// { event, sender, start, end, description, kind }
+// where start and end are ISO timestamps and kind is one of ALERT_KINDS,
+// derived from the event name, or "other".
+//
+// Each source exposes alerts(coordinates, env). ALERT_SOURCE picks the
+// source; without it OpenWeatherMap One Call is used when an API key is
+// configured, the fixture when the fixture weather provider is in use.
+
+export const ALERT_KINDS = ['storm', 'flood', 'heat', 'snow', 'wind', 'cold', 'fire', 'fog'];
+
+// Descriptions are shown on the page, not sent to the prompt writers
+const MAX_DESCRIPTION_LENGTH = 500;
+
+const DAY_MS = 24 * 3600 * 1000;
+// How long an alert without an end time is assumed to last
+const DEFAULT_DURATION_MS = DAY_MS;
+
+// The first rule that matches the event name (and OpenWeatherMap's tags)
+// wins, so "Winter Storm Warning" is snow and "Storm Surge Warning" a flood
+const KIND_RULES = [
+  { kind: 'snow', pattern: /snow|blizzard|ice|winter|avalanche/ },
+  { kind: 'cold', pattern: /cold|frost|freez|low temperature|wind chill/ },
+  { kind: 'flood', pattern: /flood|surge|coastal|rain/ },
+  { kind: 'heat', pattern: /heat|high temperature/ },
+  { kind: 'storm', pattern: /thunder|tornado|hurricane|tropical|typhoon|cyclone|storm|hail/ },
+  { kind: 'wind', pattern: /wind|gale/ },
+  { kind: 'fire', pattern: /fire|smoke/ },
+  { kind: 'fog', pattern: /fog/ },
+];
+
+export const openWeatherMapAlerts = {
+  name: 'openweathermap',
+  cacheable: true,
+
+  // One Call 3.0 needs its own subscription; without one it answers 401
+  async alerts({ lat, lon }, env) {
+    const alertsUrl = `https://api.openweathermap.org/data/3.0/onecall?lat=${lat}&lon=${lon}&exclude=current,minutely,hourly,daily&appid=${env.OPENWEATHER_API_KEY}`;
+
+    const response = await fetchUpstream('openweathermap', alertsUrl);
+    if (!response.ok) {
+      const reason = response.status === 401 ? 'the API key has no One Call subscription' : `status ${response.status}`;
+      throw new AppError('UPSTREAM_ERROR', `OpenWeatherMap alerts failed: ${reason}`);
+    }
+    const data = await response.json();
+
+    return (data.alerts || []).map(alert => normalizeAlert({
+      event: alert.event,
+      sender: alert.sender_name,
+      start: alert.start * 1000,
+      end: alert.end * 1000,
+      description: alert.description,
+      tags: alert.tags,
+    }));
+  },
+};
+
+// The US National Weather Service, for places in the United States
+export const nwsAlerts = {
+  name: 'nws',
+  cacheable: true,
+
+  async alerts({ lat, lon }, env) {
+    const alertsUrl = `https://api.weather.gov/alerts/active?point=${Number(lat).toFixed(4)},${Number(lon).toFixed(4)}`;
+
+    const response = await fetchUpstream('nws', alertsUrl, {
+      // weather.gov rejects requests without a User-Agent naming the app
+      headers: { 'User-Agent': env.NWS_USER_AGENT || 'artistic-weather-forecast', Accept: 'application/geo+json' },
+    });
+    if (!response.ok) {
+      throw new AppError('UPSTREAM_ERROR', `National Weather Service alerts failed with status ${response.status}`);
+    }
+    const data = await response.json();
+
+    return (data.features || []).map(({ properties }) => normalizeAlert({
+      event: properties.event,
+      sender: properties.senderName,
+      start: Date.parse(properties.onset || properties.effective),
+      end: Date.parse(properties.ends || properties.expires),
+      description: properties.headline || properties.description,
+    }));
+  },
+};
+
+// A fixture's `alerts` are in effect from the start of its first day, which
+// is always today, for their `hours` (default 24)
+export const fixtureAlerts = {
+  name: 'fixture',
+  cacheable: false,
+
+  async alerts(coordinates, env) {
+    const { alerts = [] } = loadFixture(env);
+    const today = Math.floor(Date.now() / DAY_MS) * DAY_MS;
+
+    return alerts.map(alert => normalizeAlert({
+      ...alert,
+      start: today,
+      end: alert.hours ? today + alert.hours * 3600 * 1000 : undefined,
+    }));
+  },
+};
+
+const sources = {
+  [openWeatherMapAlerts.name]: openWeatherMapAlerts,
+  [nwsAlerts.name]: nwsAlerts,
+  [fixtureAlerts.name]: fixtureAlerts,
+};
+
+// The alert source for a deployment, or null when alerts are turned off
+// (ALERT_SOURCE "none") or there is no source to ask. A misconfigured
+// ALERT_SOURCE is logged and treated as "none" rather than failing every
+// forecast request.
+export function getAlertSource(env, weatherProvider) {
+  const name = env.ALERT_SOURCE
+    || (weatherProvider === fixtureAlerts.name ? fixtureAlerts.name : env.OPENWEATHER_API_KEY ? openWeatherMapAlerts.name : 'none');
+  if (name === 'none') return null;
+
+  const source = sources[name];
+  if (!source) {
+    console.error(`Unknown ALERT_SOURCE '${name}', alerts are off. Available: ${Object.keys(sources).join(', ')}, none`);
+    return null;
+  }
+
+  return source;
+}
+
+// Alerts in effect at some point between `from` and `to` (milliseconds)
+export function activeAlerts(alerts, from, to) {
+  return alerts.filter(alert => Date.parse(alert.start) < to && Date.parse(alert.end) > from);
+}
+
+// The alerts in effect at one forecast entry's time
+export function alertsAt(alerts = [], datetime) {
+  const timestamp = Date.parse(`${String(datetime).replace(' ', 'T')}Z`);
+  return alerts.filter(alert => Date.parse(alert.start) <= timestamp && Date.parse(alert.end) > timestamp);
+}
+
+// The kind that shapes the image when several alerts are in effect
+export function dominantAlertKind(alerts = []) {
+  return ALERT_KINDS.find(kind => alerts.some(alert => alert.kind === kind));
+}
+
+export function classifyAlert(event, tags = []) {
+  const text = [event, ...tags].join(' ').toLowerCase();
+  return KIND_RULES.find(rule => rule.pattern.test(text))?.kind || 'other';
+}
+
+function normalizeAlert({ event, sender, start, end, description, tags }) {
+  const from = Number.isFinite(start) ? start : Date.now();
+  return {
+    event: String(event).trim(),
+    sender: sender ? String(sender).trim() : undefined,
+    start: new Date(from).toISOString(),
+    end: new Date(Number.isFinite(end) ? end : from + DEFAULT_DURATION_MS).toISOString(),
+    description: String(description || '').replace(/\s+/g, ' ').trim().slice(0, MAX_DESCRIPTION_LENGTH),
+    kind: classifyAlert(event, tags),
+  };
+}
@@ -0,0 +1,395 @@
+import defaultFixture from './fixtures/forecast.js';
+import { AppError } from './errors.js';
+import { fetchUpstream } from './upstream.js';
+
+// Weather providers turn a location string into coordinates and a list of
+// 3-hour forecast entries in the normalized shape used across the app:
+// { datetime, temperature, humidity, pressure, description, main, icon,
+//   windSpeed, windDirection, clouds, precipitation }
+// where precipitation is rain and snow in mm over the entry's 3 hours.
+//
+// Each provider exposes search(query, env, { limit }), geocode(location, env),
+// reverseGeocode(coordinates, env), forecast(coordinates, env) and
+// current(coordinates, env). search()
+// resolves to candidate places { name, state, country, lat, lon }, best match
+// first; geocode() picks the first one. reverseGeocode() names a place for
+// coordinates typed by the user, falling back to the coordinates themselves.
+// forecast() resolves to { timezone, entries } where timezone is the
+// location's UTC offset in seconds. current() resolves to the latest
+// observation as one entry, with precipitation over the last hour and the
+// observation time as datetime, or null when the provider has none.
+//
+// Failures are AppErrors: LOCATION_NOT_FOUND for unknown places, otherwise
+// UPSTREAM_ERROR, UPSTREAM_TIMEOUT or QUOTA_EXCEEDED.
+
+const DEFAULT_PROVIDER = 'openweathermap';
+
+// OpenWeatherMap's geocoder returns at most 5 places
+export const MAX_SEARCH_RESULTS = 5;
+
+export const openWeatherMapProvider = {
+  name: 'openweathermap',
+  cacheable: true,
+
+  async search(query, env, { limit = MAX_SEARCH_RESULTS } = {}) {
+    const geocodingUrl = `https://api.openweathermap.org/geo/1.0/direct?q=${encodeURIComponent(query)}&limit=${limit}&appid=${env.OPENWEATHER_API_KEY}`;
+
+    const geoResponse = await fetchUpstream('openweathermap', geocodingUrl);
+    if (!geoResponse.ok) {
+      throw await openWeatherMapError(geoResponse, 'geocoding');
+    }
+    const geoData = await geoResponse.json();
+
+    return (Array.isArray(geoData) ? geoData : []).map(({ name, state, country, lat, lon }) => ({ name, state, country, lat, lon }));
+  },
+
+  async geocode(location, env) {
+    const [place] = await this.search(location, env, { limit: 1 });
+    if (!place) {
+      throw new AppError('LOCATION_NOT_FOUND', `Location not found: ${location}`);
+    }
+
+    const { lat, lon, name, country } = place;
+    return { lat, lon, name, country };
+  },
+
+  async reverseGeocode({ lat, lon }, env) {
+    const geocodingUrl = `https://api.openweathermap.org/geo/1.0/reverse?lat=${lat}&lon=${lon}&limit=1&appid=${env.OPENWEATHER_API_KEY}`;
+
+    const geoResponse = await fetchUpstream('openweathermap', geocodingUrl);
+    if (!geoResponse.ok) {
+      throw await openWeatherMapError(geoResponse, 'reverse geocoding');
+    }
+    const [place] = await geoResponse.json();
+
+    // Open sea and other places without a name keep their coordinates
+    return place
+      ? { lat, lon, name: place.name, country: place.country }
+      : namedByCoordinates({ lat, lon });
+  },
+
+  async forecast({ lat, lon }, env) {
+    const weatherUrl = `https://api.openweathermap.org/data/2.5/forecast?lat=${lat}&lon=${lon}&appid=${env.OPENWEATHER_API_KEY}&units=metric`;
+
+    const weatherResponse = await fetchUpstream('openweathermap', weatherUrl);
+    if (!weatherResponse.ok) {
+      throw await openWeatherMapError(weatherResponse, 'forecast');
+    }
+    const weatherData = await weatherResponse.json();
+    if (!Array.isArray(weatherData.list)) {
+      throw new AppError('UPSTREAM_ERROR', 'OpenWeatherMap returned a forecast without entries');
+    }
+
+    const entries = weatherData.list.map(item => ({
+      datetime: item.dt_txt,
+      temperature: Math.round(item.main.temp),
+      humidity: item.main.humidity,
+      pressure: item.main.pressure,
+      description: item.weather[0].description,
+      main: item.weather[0].main,
+      icon: item.weather[0].icon,
+      windSpeed: item.wind.speed,
+      windDirection: item.wind.deg,
+      clouds: item.clouds.all,
+      // Left out of the response when nothing falls
+      precipitation: Math.round(((item.rain?.['3h'] || 0) + (item.snow?.['3h'] || 0)) * 10) / 10
+    }));
+
+    return { timezone: weatherData.city.timezone, entries };
+  },
+
+  async current({ lat, lon }, env) {
+    const weatherUrl = `https://api.openweathermap.org/data/2.5/weather?lat=${lat}&lon=${lon}&appid=${env.OPENWEATHER_API_KEY}&units=metric`;
+
+    const weatherResponse = await fetchUpstream('openweathermap', weatherUrl);
+    if (!weatherResponse.ok) {
+      throw await openWeatherMapError(weatherResponse, 'current weather');
+    }
+    const item = await weatherResponse.json();
+    if (!item.main || !item.weather?.length) {
+      throw new AppError('UPSTREAM_ERROR', 'OpenWeatherMap returned current weather without conditions');
+    }
+
+    return {
+      datetime: formatDatetime(item.dt * 1000),
+      temperature: Math.round(item.main.temp),
+      humidity: item.main.humidity,
+      pressure: item.main.pressure,
+      description: item.weather[0].description,
+      main: item.weather[0].main,
+      icon: item.weather[0].icon,
+      windSpeed: item.wind.speed,
+      windDirection: item.wind.deg,
+      clouds: item.clouds.all,
+      precipitation: Math.round(((item.rain?.['1h'] || 0) + (item.snow?.['1h'] || 0)) * 10) / 10
+    };
+  },
+};
+
+export const openMeteoProvider = {
+  name: 'open-meteo',
+  cacheable: true,
+
+  async search(query, env, { limit = MAX_SEARCH_RESULTS } = {}) {
+    // Open-Meteo only searches by place name, so "Paris, FR" is split into
+    // the name and a country used to pick among the matches
+    const [placeName, countryHint] = query.split(',').map(part => part.trim());
+    const geocodingUrl = `https://geocoding-api.open-meteo.com/v1/search?name=${encodeURIComponent(placeName)}&count=10&language=en&format=json`;
+
+    const geoResponse = await fetchUpstream('open-meteo', geocodingUrl);
+    if (!geoResponse.ok) {
+      throw new AppError('UPSTREAM_ERROR', `Open-Meteo geocoding failed with status ${geoResponse.status}`);
+    }
+    const geoData = await geoResponse.json();
+    const results = geoData.results || [];
+
+    return results
+      .filter(result => !countryHint || matchesCountry(result, countryHint))
+      .slice(0, limit)
+      .map(result => ({
+        name: result.name,
+        state: result.admin1,
+        country: result.country_code,
+        lat: result.latitude,
+        lon: result.longitude,
+      }));
+  },
+
+  async geocode(location, env) {
+    const [place] = await this.search(location, env, { limit: 1 });
+    if (!place) {
+      throw new AppError('LOCATION_NOT_FOUND', `Location not found: ${location}`);
+    }
+
+    const { lat, lon, name, country } = place;
+    return { lat, lon, name, country };
+  },
+
+  // Open-Meteo has no reverse geocoding
+  async reverseGeocode(coordinates) {
+    return namedByCoordinates(coordinates);
+  },
+
+  async forecast({ lat, lon }) {
+    const weatherUrl = `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&hourly=${OPEN_METEO_VARIABLES}&wind_speed_unit=ms&timezone=auto&forecast_days=6`;
+
+    const weatherResponse = await fetchUpstream('open-meteo', weatherUrl);
+    if (!weatherResponse.ok) {
+      throw new AppError('UPSTREAM_ERROR', `Open-Meteo forecast failed with status ${weatherResponse.status}`);
+    }
+    const weatherData = await weatherResponse.json();
+    const series = weatherData.hourly;
+    if (!series?.time) {
+      throw new AppError('UPSTREAM_ERROR', 'Open-Meteo returned a forecast without hourly data');
+    }
+    // Times come back in the location's local time
+    const timezone = weatherData.utc_offset_seconds;
+
+    // Match OpenWeatherMap: 3-hour steps starting at the current slot
+    const slotStart = Math.floor(Date.now() / (3 * 3600 * 1000)) * 3 * 3600 * 1000;
+    const entries = [];
+
+    series.time.forEach((time, index) => {
+      const timestamp = Date.parse(`${time}:00Z`) - timezone * 1000;
+      if (timestamp < slotStart || new Date(timestamp).getUTCHours() % 3 !== 0) return;
+
+      const condition = describeWeatherCode(series.weather_code[index]);
+      entries.push({
+        datetime: formatDatetime(timestamp),
+        temperature: Math.round(series.temperature_2m[index]),
+        humidity: series.relative_humidity_2m[index],
+        pressure: Math.round(series.pressure_msl[index]),
+        description: condition.description,
+        main: condition.main,
+        icon: `${condition.icon}${series.is_day[index] ? 'd' : 'n'}`,
+        windSpeed: series.wind_speed_10m[index],
+        windDirection: series.wind_direction_10m[index],
+        clouds: series.cloud_cover[index],
+        // Hourly amounts are for the hour before their time
+        precipitation: sumPrecipitation(series.precipitation, index)
+      });
+    });
+
+    return { timezone, entries: entries.slice(0, 40) };
+  },
+
+  async current({ lat, lon }) {
+    const weatherUrl = `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&current=${OPEN_METEO_VARIABLES}&wind_speed_unit=ms&timezone=auto`;
+
+    const weatherResponse = await fetchUpstream('open-meteo', weatherUrl);
+    if (!weatherResponse.ok) {
+      throw new AppError('UPSTREAM_ERROR', `Open-Meteo current weather failed with status ${weatherResponse.status}`);
+    }
+    const weatherData = await weatherResponse.json();
+    const current = weatherData.current;
+    if (!current?.time) {
+      throw new AppError('UPSTREAM_ERROR', 'Open-Meteo returned no current weather');
+    }
+
+    const condition = describeWeatherCode(current.weather_code);
+    return {
+      datetime: formatDatetime(Date.parse(`${current.time}:00Z`) - weatherData.utc_offset_seconds * 1000),
+      temperature: Math.round(current.temperature_2m),
+      humidity: current.relative_humidity_2m,
+      pressure: Math.round(current.pressure_msl),
+      description: condition.description,
+      main: condition.main,
+      icon: `${condition.icon}${current.is_day ? 'd' : 'n'}`,
+      windSpeed: current.wind_speed_10m,
+      windDirection: current.wind_direction_10m,
+      clouds: current.cloud_cover,
+      precipitation: current.precipitation
+    };
+  },
+};
+
+const OPEN_METEO_VARIABLES = [
+  'temperature_2m',
+  'relative_humidity_2m',
+  'pressure_msl',
+  'weather_code',
+  'cloud_cover',
+  'wind_speed_10m',
+  'wind_direction_10m',
+  'is_day',
+  'precipitation',
+].join(',');
+
+export const fixtureProvider = {
+  name: 'fixture',
+  // Fixtures are local data, there is nothing to save by caching them
+  cacheable: false,
+
+  async search(query, env) {
+    const { location: place } = loadFixture(env);
+    return [{ name: place.name, state: place.state, country: place.country, lat: place.lat, lon: place.lon }];
+  },
+
+  async geocode(location, env) {
+    const { location: place } = loadFixture(env);
+    return { lat: place.lat, lon: place.lon, name: place.name, country: place.country };
+  },
+
+  async reverseGeocode({ lat, lon }, env) {
+    const { location: place } = loadFixture(env);
+    return { lat, lon, name: place.name, country: place.country };
+  },
+
+  async forecast(coordinates, env) {
+    const { location, forecast } = loadFixture(env);
+    const timezone = location.timezone || 0;
+    if (!forecast.length) return { timezone, entries: [] };
+
+    // Shift whole days so the fixture always starts today (UTC) while
+    // keeping each entry's time of day, then drop the slots already past
+    // like the real providers do
+    const dayMs = 24 * 3600 * 1000;
+    const slotMs = 3 * 3600 * 1000;
+    const firstDay = Math.floor(Date.parse(`${forecast[0].datetime.replace(' ', 'T')}Z`) / dayMs);
+    const offset = (Math.floor(Date.now() / dayMs) - firstDay) * dayMs;
+    const slotStart = Math.floor(Date.now() / slotMs) * slotMs;
+
+    const entries = forecast
+      .map(entry => ({ ...entry, datetime: formatDatetime(Date.parse(`${entry.datetime.replace(' ', 'T')}Z`) + offset) }))
+      .filter(entry => Date.parse(`${entry.datetime.replace(' ', 'T')}Z`) >= slotStart);
+
+    return { timezone, entries };
+  },
+
+  // A fixture's `current` entry is served as observed right now
+  async current(coordinates, env) {
+    const { current } = loadFixture(env);
+    return current ? { ...current, datetime: formatDatetime(Date.now()) } : null;
+  },
+};
+
+const providers = {
+  [openWeatherMapProvider.name]: openWeatherMapProvider,
+  [openMeteoProvider.name]: openMeteoProvider,
+  [fixtureProvider.name]: fixtureProvider,
+};
+
+export function getWeatherProvider(name, env) {
+  const providerName = name || env.WEATHER_PROVIDER || DEFAULT_PROVIDER;
+  const provider = providers[providerName];
+
+  if (!provider) {
+    throw new AppError('INVALID_INPUT', `Unknown weather provider '${providerName}'. Available: ${Object.keys(providers).join(', ')}`);
+  }
+
+  return provider;
+}
+
+export function listWeatherProviders() {
+  return Object.keys(providers);
+}
+
+// OpenWeatherMap answers errors with { cod, message }; a bad key is a
+// deployment problem rather than something the client can fix
+async function openWeatherMapError(response, request) {
+  const body = await response.json().catch(() => ({}));
+  const reason = response.status === 401 ? 'the API key was rejected' : body.message || `status ${response.status}`;
+  return new AppError('UPSTREAM_ERROR', `OpenWeatherMap ${request} failed: ${reason}`);
+}
+
+export function loadFixture(env) {
+  // WEATHER_FIXTURE holds a JSON document in the same shape as the default fixture
+  return env.WEATHER_FIXTURE ? JSON.parse(env.WEATHER_FIXTURE) : defaultFixture;
+}
+
+function namedByCoordinates({ lat, lon }) {
+  return { lat, lon, name: `${lat.toFixed(4)}, ${lon.toFixed(4)}`, country: undefined };
+}
+
+function matchesCountry(result, countryHint) {
+  const hint = countryHint.toLowerCase();
+  return result.country_code?.toLowerCase() === hint
+    || result.country?.toLowerCase() === hint
+    || result.admin1?.toLowerCase() === hint;
+}
+
+function sumPrecipitation(amounts, index) {
+  const hours = (amounts || []).slice(index + 1, index + 4).filter(amount => typeof amount === 'number');
+  return hours.length ? Math.round(hours.reduce((sum, amount) => sum + amount, 0) * 10) / 10 : undefined;
+}
+
+function formatDatetime(timestamp) {
+  // Same format as OpenWeatherMap's dt_txt: "YYYY-MM-DD HH:MM:SS" in UTC
+  return new Date(timestamp).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// WMO weather interpretation codes mapped to OpenWeatherMap-style conditions
+const WEATHER_CODES = {
+  0: { main: 'Clear', description: 'clear sky', icon: '01' },
+  1: { main: 'Clouds', description: 'mainly clear', icon: '02' },
+  2: { main: 'Clouds', description: 'partly cloudy', icon: '03' },
+  3: { main: 'Clouds', description: 'overcast clouds', icon: '04' },
+  45: { main: 'Fog', description: 'fog', icon: '50' },
+  48: { main: 'Fog', description: 'depositing rime fog', icon: '50' },
+  51: { main: 'Drizzle', description: 'light drizzle', icon: '09' },
+  53: { main: 'Drizzle', description: 'moderate drizzle', icon: '09' },
+  55: { main: 'Drizzle', description: 'dense drizzle', icon: '09' },
+  56: { main: 'Drizzle', description: 'light freezing drizzle', icon: '09' },
+  57: { main: 'Drizzle', description: 'dense freezing drizzle', icon: '09' },
+  61: { main: 'Rain', description: 'light rain', icon: '10' },
+  63: { main: 'Rain', description: 'moderate rain', icon: '10' },
+  65: { main: 'Rain', description: 'heavy rain', icon: '10' },
+  66: { main: 'Rain', description: 'light freezing rain', icon: '13' },
+  67: { main: 'Rain', description: 'heavy freezing rain', icon: '13' },
+  71: { main: 'Snow', description: 'light snow', icon: '13' },
+  73: { main: 'Snow', description: 'moderate snow', icon: '13' },
+  75: { main: 'Snow', description: 'heavy snow', icon: '13' },
+  77: { main: 'Snow', description: 'snow grains', icon: '13' },
+  80: { main: 'Rain', description: 'light rain showers', icon: '09' },
+  81: { main: 'Rain', description: 'moderate rain showers', icon: '09' },
+  82: { main: 'Rain', description: 'violent rain showers', icon: '09' },
+  85: { main: 'Snow', description: 'light snow showers', icon: '13' },
+  86: { main: 'Snow', description: 'heavy snow showers', icon: '13' },
+  95: { main: 'Thunderstorm', description: 'thunderstorm', icon: '11' },
+  96: { main: 'Thunderstorm', description: 'thunderstorm with light hail', icon: '11' },
+  99: { main: 'Thunderstorm', description: 'thunderstorm with heavy hail', icon: '11' },
+};
+
+function describeWeatherCode(code) {
+  return WEATHER_CODES[code] || { main: 'Clouds', description: 'unknown conditions', icon: '03' };
+}
@@ -0,0 +1,276 @@
+import { getStore, createId } from './storage.js';
+import { AppError } from './errors.js';
+import { withTimeout } from './upstream.js';
+
+// Outgoing webhooks: subscribers receive a signed POST when a landscape is
+// generated. Each subscription picks a payload format:
+//   json    - the plain event payload below
+//   slack   - Slack Block Kit message for an incoming webhook URL
+//   discord - Discord embed for a channel webhook URL
+//
+// Every request carries X-Webhook-Timestamp and X-Webhook-Signature, the hex
+// HMAC-SHA256 of `${timestamp}.${body}` keyed with the subscription secret.
+
+const STORE_BINDING = 'WEBHOOKS';
+
+export const WEBHOOK_EVENTS = ['generation.created', 'daily.created'];
+export const WEBHOOK_FORMATS = ['json', 'slack', 'discord'];
+
+const MAX_ATTEMPTS = 4;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+
+export async function createSubscription(env, { url, format = 'json', events = WEBHOOK_EVENTS, locations = [] }) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new AppError('INVALID_INPUT', 'url must be an absolute http(s) URL');
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new AppError('INVALID_INPUT', 'url must be an absolute http(s) URL');
+  }
+  if (!WEBHOOK_FORMATS.includes(format)) {
+    throw new AppError('INVALID_INPUT', `Unknown format '${format}'. Available: ${WEBHOOK_FORMATS.join(', ')}`);
+  }
+  const unknownEvent = events.find(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknownEvent) {
+    throw new AppError('INVALID_INPUT', `Unknown event '${unknownEvent}'. Available: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+
+  const subscription = {
+    id: createId(),
+    url,
+    format,
+    events,
+    // Only events for these locations ("Paris, FR"), every location when empty
+    locations,
+    secret: randomSecret(),
+    createdAt: new Date().toISOString(),
+    lastDelivery: null,
+  };
+
+  await getStore(env, STORE_BINDING).putJSON(`subscriptions/${subscription.id}.json`, subscription);
+  return subscription;
+}
+
+export async function listSubscriptions(env) {
+  const store = getStore(env, STORE_BINDING);
+  const keys = await store.list('subscriptions/');
+  const subscriptions = await Promise.all(keys.map(key => store.getJSON(key)));
+  return subscriptions.filter(Boolean);
+}
+
+export async function loadSubscription(env, id) {
+  if (!/^[0-9a-f]{16}$/.test(id || '')) return null;
+  return getStore(env, STORE_BINDING).getJSON(`subscriptions/${id}.json`);
+}
+
+export async function deleteSubscription(env, id) {
+  const subscription = await loadSubscription(env, id);
+  if (!subscription) return false;
+
+  await getStore(env, STORE_BINDING).delete(`subscriptions/${id}.json`);
+  return true;
+}
+
+// Secrets are only shown when a subscription is created
+export function redactSubscription({ secret, ...subscription }) {
+  return { ...subscription, secret: `${secret.slice(0, 6)}...` };
+}
+
+export function buildPayload(event, generation, origin) {
+  const entry = generation.weatherData?.forecast?.[generation.frame?.slot ?? 0];
+
+  return {
+    event,
+    id: generation.id,
+    createdAt: generation.createdAt,
+    location: generation.weatherData?.location,
+    imageUrl: `${origin}/i/${generation.id}`,
+    shareUrl: `${origin}/s/${generation.id}`,
+    prompt: generation.prompt,
+    style: generation.style,
+    weather: entry ? {
+      localTime: entry.lighting?.localTime || entry.datetime,
+      temperature: entry.temperature,
+      description: entry.description,
+      humidity: entry.humidity,
+      windSpeed: entry.windSpeed,
+      summary: `${entry.temperature}°C, ${entry.description}, ${entry.humidity}% humidity, ${entry.windSpeed} m/s wind`,
+    } : null,
+  };
+}
+
+export function formatPayload(format, payload) {
+  if (format === 'slack') return formatSlack(payload);
+  if (format === 'discord') return formatDiscord(payload);
+  return payload;
+}
+
+// Delivers `payload` to every subscription of the event; resolves once all
+// deliveries, retries included, are finished
+export async function dispatchWebhooks(env, payload, { sleep } = {}) {
+  const subscriptions = (await listSubscriptions(env)).filter(subscription =>
+    subscription.events.includes(payload.event)
+    && (!subscription.locations.length || subscription.locations.includes(payload.location))
+  );
+
+  return Promise.all(subscriptions.map(subscription => deliverWebhook(env, subscription, payload, { sleep })));
+}
+
+export async function deliverWebhook(env, subscription, payload, { sleep = wait, timeoutMs } = {}) {
+  const body = JSON.stringify(formatPayload(subscription.format, payload));
+  let attempts = 0;
+  let status = null;
+  let error = null;
+
+  while (attempts < MAX_ATTEMPTS) {
+    attempts++;
+    try {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      // Status codes decide the retries here, so fetchUpstream() is not used
+      const response = await withTimeout('webhook', fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'artistic-weather-forecast-webhooks',
+          'X-Webhook-Event': payload.event,
+          'X-Webhook-Id': subscription.id,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${await sign(subscription.secret, `${timestamp}.${body}`)}`,
+        },
+        body,
+      }), timeoutMs);
+      status = response.status;
+      error = response.ok ? null : `HTTP ${status}`;
+
+      // Anything but rate limiting and server errors is final
+      if (response.ok || (status !== 429 && status < 500)) break;
+
+      if (attempts < MAX_ATTEMPTS) {
+        await sleep(retryDelay(attempts, response.headers.get('Retry-After')));
+      }
+    } catch (fetchError) {
+      error = fetchError.message;
+      if (attempts < MAX_ATTEMPTS) {
+        await sleep(retryDelay(attempts));
+      }
+    }
+  }
+
+  const delivery = {
+    at: new Date().toISOString(),
+    event: payload.event,
+    ok: status !== null && status >= 200 && status < 300,
+    status,
+    attempts,
+    error,
+  };
+  if (!delivery.ok) {
+    console.error(`Webhook ${subscription.id} failed after ${attempts} attempts:`, error);
+  }
+
+  // Re-read so a deletion while retrying is not undone
+  const store = getStore(env, STORE_BINDING);
+  const current = await store.getJSON(`subscriptions/${subscription.id}.json`);
+  if (current) {
+    await store.putJSON(`subscriptions/${subscription.id}.json`, { ...current, lastDelivery: delivery });
+  }
+
+  return { id: subscription.id, ...delivery };
+}
+
+export async function sign(secret, message) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message));
+  return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Exponential backoff with jitter, or the receiver's Retry-After when given
+function retryDelay(attempt, retryAfter) {
+  const seconds = Number(retryAfter);
+  if (retryAfter && Number.isFinite(seconds)) {
+    return Math.min(seconds * 1000, MAX_DELAY_MS);
+  }
+  const delay = BASE_DELAY_MS * 2 ** (attempt - 1);
+  return Math.min(delay + Math.random() * delay / 2, MAX_DELAY_MS);
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function randomSecret() {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  return `whsec_${Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')}`;
+}
+
+function formatSlack(payload) {
+  const title = `${payload.location || 'Weather landscape'}${payload.weather ? ` - ${payload.weather.localTime}` : ''}`;
+  const blocks = [
+    {
+      type: 'header',
+      text: { type: 'plain_text', text: truncate(title, 150) },
+    },
+  ];
+
+  if (payload.weather) {
+    blocks.push({
+      type: 'section',
+      fields: [
+        { type: 'mrkdwn', text: `*Conditions*\n${payload.weather.temperature}°C, ${payload.weather.description}` },
+        { type: 'mrkdwn', text: `*Humidity / wind*\n${payload.weather.humidity}% / ${payload.weather.windSpeed} m/s` },
+      ],
+    });
+  }
+
+  blocks.push(
+    {
+      type: 'image',
+      image_url: payload.imageUrl,
+      alt_text: truncate(payload.prompt || title, 2000),
+    },
+    {
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `<${payload.shareUrl}|Open the landscape> · ${payload.style || 'default'} style` }],
+    }
+  );
+
+  // `text` is the notification fallback for clients without blocks
+  return { text: payload.weather ? `${title}: ${payload.weather.summary}` : title, blocks };
+}
+
+function formatDiscord(payload) {
+  const fields = payload.weather ? [
+    { name: 'Conditions', value: `${payload.weather.temperature}°C, ${payload.weather.description}`, inline: true },
+    { name: 'Humidity', value: `${payload.weather.humidity}%`, inline: true },
+    { name: 'Wind', value: `${payload.weather.windSpeed} m/s`, inline: true },
+  ] : [];
+
+  return {
+    embeds: [
+      {
+        title: truncate(payload.location || 'Weather landscape', 256),
+        url: payload.shareUrl,
+        description: truncate(payload.prompt || '', 4096),
+        color: 0x667eea,
+        fields,
+        image: { url: payload.imageUrl },
+        timestamp: payload.createdAt,
+        footer: { text: payload.weather ? `${payload.weather.localTime} local time` : 'Weather landscape' },
+      },
+    ],
+  };
+}
+
+function truncate(text, maxLength) {
+  const value = String(text ?? '');
+  return value.length > maxLength ? value.slice(0, maxLength - 1) + '…' : value;
+}
@@ -1,3 +1,64 @@
+import {
+  saveGeneration,
+  saveTimeline,
+  loadTimeline,
+  loadGeneration,
+  loadImage,
+  loadThumbnail,
+  saveThumbnail,
+  deleteGeneration,
+  saveDailyPointer,
+  loadDailyPointer,
+  listDailyPointers,
+  findImageReference,
+} from './generations.js';
+import { createId } from './storage.js';
+import { getWeatherProvider, MAX_SEARCH_RESULTS } from './weather-providers.js';
+import { getPromptWriters, listPromptWriters } from './prompt-writers.js';
+import { buildSceneModel, describeScene } from './scene.js';
+import { computeLighting } from './astronomy.js';
+import {
+  cached,
+  CACHE_TTL,
+  geocodeCacheKey,
+  searchCacheKey,
+  forecastCacheKey,
+  observationCacheKey,
+  promptCacheKey,
+  landscapeCacheKey,
+  secondsUntilNextSlot,
+  cacheHeaders,
+} from './cache.js';
+import { buildAnimation, ANIMATION_FORMATS } from './animation.js';
+import { applyOverlay, OVERLAY_LAYOUTS } from './overlay.js';
+import { getStylePreset, listStylePresets, getDefaultStyle, applyStyle, getModelChain, rendersPNG } from './styles.js';
+import { transformImage, fitImage, OUTPUT_FORMATS, MIN_WIDTH, MAX_WIDTH, THUMBNAIL_WIDTHS } from './image-transform.js';
+import { resolveImageSize, modelDimensions } from './sizes.js';
+import { parseHorizon, selectHorizon, summarizeDays, formatDaySummary } from './horizon.js';
+import { getAlertSource, activeAlerts } from './weather-alerts.js';
+import { getDailyLocations, getDailyOptions, locationSlug } from './daily.js';
+import { requireAdmin, isAdminRequest } from './admin.js';
+import { createJob, loadJob, canReadJob, createJobTracker, isFinished } from './jobs.js';
+import { AppError, errorResponse, toAppError } from './errors.js';
+import { withTimeout, classifyAIError } from './upstream.js';
+import { identifyClient, enforceRateLimit, chargeGenerations, refundGenerations } from './rate-limit.js';
+import { validateLocation, validateWeatherData, validateCoordinates, parseCoordinates, validateSeed, MAX_SEED } from './validation.js';
+import { checkPromptText, checkImagePrompt } from './guardrails.js';
+import { buildBatchItems, mapWithConcurrency, BATCH_CONCURRENCY } from './batch.js';
+import { historyOwner, addHistoryEntries, listHistory, findHistoryEntry, removeHistoryEntry, parseHistoryFilters } from './history.js';
+import { issueApiKey, listApiKeys, loadApiKey, revokeApiKey, authenticateApiKey, isApiKeyRequired } from './api-keys.js';
+import { addUsage, recordUsage, getUsageReport, USAGE_FIELDS, ANONYMOUS, MAX_REPORT_DAYS } from './usage.js';
+import {
+  createSubscription,
+  listSubscriptions,
+  loadSubscription,
+  deleteSubscription,
+  redactSubscription,
+  buildPayload,
+  dispatchWebhooks,
+  deliverWebhook,
+} from './webhooks.js';
+
 export default {
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
@@ -11,382 +72,1788 @@ export default {
     }
     
     if (url.pathname === '/api/weather' && request.method === 'POST') {
-      return handleWeatherRequest(request, env);
+      return metered(request, env, ctx, 'weather', meter => handleWeatherRequest(request, env, meter));
+    }
+    
+    if (url.pathname === '/api/geocode' && request.method === 'GET') {
+      return metered(request, env, ctx, 'weather', meter => handleGeocodeRequest(url, env, meter));
     }
     
     if (url.pathname === '/api/generate-art' && request.method === 'POST') {
-      return handleArtGeneration(request, env);
+      return metered(request, env, ctx, 'generate', meter => handleArtGeneration(request, env, ctx, meter));
+    }
+    
+    const regenerateMatch = url.pathname.match(/^\/api\/generations\/([^/]+)\/regenerate$/);
+    if (regenerateMatch && request.method === 'POST') {
+      return metered(request, env, ctx, 'generate', meter => handleRegeneration(request, regenerateMatch[1], env, ctx, meter));
+    }
+    
+    if (url.pathname === '/api/batch' && request.method === 'POST') {
+      return metered(request, env, ctx, 'generate', meter => handleBatchGeneration(request, env, ctx, meter));
+    }
+    
+    if (url.pathname === '/api/jobs' && request.method === 'POST') {
+      return metered(request, env, ctx, 'generate', meter => handleJobCreation(request, env, ctx, meter));
+    }
+    
+    const jobMatch = url.pathname.match(/^\/api\/jobs\/([^/]+)(\/events)?$/);
+    if (jobMatch && request.method === 'GET') {
+      return metered(request, env, ctx, 'read', meter => jobMatch[2] ? handleJobEvents(jobMatch[1], env, meter) : handleJobStatus(jobMatch[1], env, meter));
+    }
+    
+    if (url.pathname === '/api/prompts' && request.method === 'POST') {
+      return metered(request, env, ctx, 'generate', meter => handlePromptComparison(request, env, meter));
+    }
+    
+    if (url.pathname === '/api/landscape' && request.method === 'GET') {
+      // Embedded as <img> or polled by dashboards, which cannot send headers
+      return metered(request, env, ctx, 'weather', meter => handleLandscapeRequest(request, url, env, meter), { keyInQuery: true });
+    }
+    
+    if (url.pathname === '/api/webhooks' || url.pathname.startsWith('/api/webhooks/')) {
+      return handleWebhookAdmin(request, url, env);
+    }
+    
+    const historyMatch = url.pathname.match(/^\/api\/history(?:\/([^/]+))?$/);
+    if (historyMatch) {
+      return metered(request, env, ctx, 'read', meter => handleHistoryRequest(request, historyMatch[1], url, env, meter));
+    }
+    
+    if (url.pathname === '/api/keys' || url.pathname.startsWith('/api/keys/')) {
+      return handleApiKeyAdmin(request, url, env);
+    }
+    
+    if (url.pathname === '/api/usage' && request.method === 'GET') {
+      return handleUsageReport(request, url, env);
+    }
+    
+    if (url.pathname === '/daily' && request.method === 'GET') {
+      return handleDailyGallery(env);
+    }
+    
+    if (url.pathname === '/api/daily' && request.method === 'GET') {
+      return metered(request, env, ctx, 'read', () => handleDailyList(url, env));
+    }
+    
+    const dailyMatch = url.pathname.match(/^\/api\/daily\/([^/]+)$/);
+    if (dailyMatch && request.method === 'GET') {
+      return metered(request, env, ctx, 'read', () => handleDailyImage(dailyMatch[1], env));
+    }
+    
+    if (url.pathname === '/api/styles' && request.method === 'GET') {
+      return metered(request, env, ctx, 'read', () => handleStylesRequest(env));
+    }
+    
+    if (url.pathname === '/api/animate' && request.method === 'POST') {
+      return metered(request, env, ctx, 'generate', () => handleAnimation(request, env));
+    }
+    
+    const imageMatch = url.pathname.match(/^\/i\/([^/]+)$/);
+    if (imageMatch && request.method === 'GET') {
+      return handleImageRequest(imageMatch[1], url, env);
+    }
+    
+    const shareMatch = url.pathname.match(/^\/s\/([^/]+)$/);
+    if (shareMatch && request.method === 'GET') {
+      return handleSharePage(shareMatch[1], url, env);
     }
     
     return new Response('Not Found', { status: 404 });
   },
+  
+  // Cron trigger: pre-generate the landscape of every DAILY_LOCATIONS entry
+  async scheduled(controller, env, ctx) {
+    ctx.waitUntil(generateDailyLandscapes(env));
+  },
 };
 
-async function handleWeatherRequest(request, env) {
+// Every /api/* endpoint but the admin ones and /api/usage, which check their
+// own credentials: the caller's API key is checked (and required with
+// REQUIRE_API_KEY), the group's rate limit applied, and what the request used
+// is recorded against the key once the response is ready. Endpoints that only
+// read stored results use the 'read' group. With `keyInQuery` the key may
+// also come as a `key` query parameter.
+async function metered(request, env, ctx, group, handler, { keyInQuery = false } = {}) {
+  const startedAt = Date.now();
+  let meter;
+  
   try {
-    const { location } = await request.json();
+    const apiKey = await authenticateApiKey(request, env, { fromQuery: keyInQuery });
+    if (!apiKey && isApiKeyRequired(env)) {
+      throw new AppError('UNAUTHORIZED', `An API key is required, send it as a bearer token${keyInQuery ? ' or as the key query parameter' : ''}`);
+    }
     
-    if (!location) {
-      return new Response(JSON.stringify({ error: 'Location is required' }), {
-        status: 400,
-        headers: { 'Content-Type': 'application/json' },
+    meter = { client: identifyClient(request, apiKey), usage: { requests: 1 } };
+    await enforceRateLimit(env, group, meter.client);
+  } catch (error) {
+    return errorResponse(error);
+  }
+  
+  const response = await handler(meter);
+  addUsage(meter.usage, 'latencyMs', Date.now() - startedAt);
+  ctx.waitUntil(recordUsage(env, meter.client.key, meter.usage));
+  
+  return response;
+}
+
+async function generateDailyLandscapes(env) {
+  const locations = getDailyLocations(env);
+  const { style, overlay } = getDailyOptions(env);
+  const artisticStyle = getStylePreset(style, env).name;
+  const origin = getPublicOrigin(env);
+  const results = [];
+  const notifications = [];
+  
+  console.log('Generating daily landscapes for:', locations.join('; '));
+  if (!origin) {
+    console.warn('PUBLIC_URL is not set, daily webhooks are skipped');
+  }
+  
+  // One location at a time to stay within Workers AI limits; a failure only
+  // skips that location and keeps its previous landscape
+  for (const location of locations) {
+    try {
+      const weatherData = await fetchWeatherData(location, env);
+      const { generation } = await createLandscape(weatherData, env, { style: artisticStyle, overlay });
+      const entry = weatherData.forecast[0];
+      
+      await saveDailyPointer(env, locationSlug(location), {
+        location: weatherData.location,
+        query: location,
+        generationId: generation.id,
+        style: artisticStyle,
+        overlay: generation.overlay,
+        conditions: {
+          localTime: entry.lighting.localTime,
+          temperature: entry.temperature,
+          description: entry.description,
+        },
       });
+      results.push({ location, id: generation.id });
+      
+      if (origin) {
+        notifications.push(dispatchWebhooks(env, buildPayload('daily.created', generation, origin)));
+      }
+    } catch (error) {
+      console.error(`Daily landscape for '${location}' failed:`, error.message);
+      results.push({ location, error: error.message });
+    }
+  }
+  
+  await Promise.all(notifications);
+  return results;
+}
+
+async function handleWeatherRequest(request, env, { usage } = {}) {
+  try {
+    const body = await readJSON(request);
+    const { provider, days } = body;
+    const location = validateLocation(body.location);
+    const coordinates = body.coordinates === undefined ? undefined : validateCoordinates(body.coordinates);
+    const horizon = parseHorizon(body.horizon);
+    
+    let weatherProvider;
+    try {
+      weatherProvider = getWeatherProvider(provider, env);
+    } catch (error) {
+      return errorResponse(error);
     }
     
-    const weatherData = await fetchWeatherData(location, env.OPENWEATHER_API_KEY);
+    const cacheStatus = {};
+    const weatherData = await fetchWeatherData(location, env, { provider: weatherProvider, days, horizon, coordinates, cacheStatus, usage });
     
     return new Response(JSON.stringify(weatherData), {
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...cacheHeaders(cacheStatus) },
     });
   } catch (error) {
-    return new Response(JSON.stringify({ error: error.message }), {
-      status: 500,
-      headers: { 'Content-Type': 'application/json' },
+    return errorResponse(error);
+  }
+}
+
+const MIN_SEARCH_LENGTH = 2;
+
+// Candidate places for a partial name, for autocompletion and to tell
+// "Paris, FR" from "Paris, US"; "lat,lon" is answered with its own place
+async function handleGeocodeRequest(url, env, { usage }) {
+  try {
+    const query = validateLocation(url.searchParams.get('q'), 'q');
+    const limit = Math.min(Math.max(Math.floor(Number(url.searchParams.get('limit'))) || MAX_SEARCH_RESULTS, 1), MAX_SEARCH_RESULTS);
+    const weatherProvider = getWeatherProvider(url.searchParams.get('provider'), env);
+    
+    if (query.length < MIN_SEARCH_LENGTH) {
+      throw new AppError('INVALID_INPUT', `q must be at least ${MIN_SEARCH_LENGTH} characters`);
+    }
+    
+    const typed = parseCoordinates(query, 'q');
+    const search = await cached(
+      env,
+      searchCacheKey(weatherProvider.name, query, limit),
+      CACHE_TTL.geocode,
+      async () => typed ? [await weatherProvider.reverseGeocode(typed, env)] : weatherProvider.search(query, env, { limit }),
+      { bypass: !weatherProvider.cacheable }
+    );
+    if (search.status === 'MISS') addUsage(usage, 'weatherCalls');
+    
+    const candidates = search.value.map(place => ({
+      ...place,
+      ...typed,
+      // "Oslo, NO" rather than "Oslo, Oslo, NO"
+      label: [...new Set([place.name, place.state, place.country].filter(Boolean))].join(', '),
+    }));
+    
+    return new Response(JSON.stringify({ query, provider: weatherProvider.name, candidates }), {
+      headers: { 'Content-Type': 'application/json', ...cacheHeaders({ geocode: search.status }) },
     });
+  } catch (error) {
+    return errorResponse(error);
   }
 }
 
-async function handleArtGeneration(request, env) {
+async function handleArtGeneration(request, env, ctx, { client, usage }) {
   try {
-    const { weatherData, artisticStyle } = await request.json();
+    const body = await readJSON(request, MAX_WEATHER_BODY_BYTES);
+    const { promptWriter, overlay = 'none' } = body;
+    const weatherData = validateWeatherData(body.weatherData);
     
     console.log('Starting art generation for:', weatherData.location);
-    console.log('Artistic style:', artisticStyle);
     
-    if (!weatherData || !weatherData.forecast) {
-      throw new Error('Invalid weather data provided');
+    if (promptWriter && !listPromptWriters().includes(promptWriter)) {
+      return errorResponse(new AppError('INVALID_INPUT', `Unknown prompt writer '${promptWriter}'`));
+    }
+    
+    let artisticStyle;
+    try {
+      artisticStyle = getStylePreset(body.artisticStyle, env).name;
+    } catch (error) {
+      return errorResponse(error);
+    }
+    
+    if (!OVERLAY_LAYOUTS.includes(overlay)) {
+      return errorResponse(new AppError('INVALID_INPUT', `Unknown overlay '${overlay}'. Available: ${OVERLAY_LAYOUTS.join(', ')}`));
+    }
+    checkStyleOutput(artisticStyle, { overlay, timeline: body.mode === 'timeline' }, env);
+    
+    const seed = body.seed === undefined ? undefined : validateSeed(body.seed);
+    const size = resolveImageSize(body.size, body.fit);
+    const variants = body.variants ?? 1;
+    if (!Number.isInteger(variants) || variants < 1 || variants > MAX_VARIANTS) {
+      return errorResponse(new AppError('INVALID_INPUT', `variants must be a whole number between 1 and ${MAX_VARIANTS}`));
+    }
+    
+    if (body.mode === 'timeline') {
+      if (variants > 1) {
+        return errorResponse(new AppError('INVALID_INPUT', 'variants are not available in timeline mode'));
+      }
+      return await generateTimeline(request, env, { ...body, weatherData, artisticStyle, overlay, seed, size }, { client, usage });
     }
     
-    const artPrompt = await generateArtPrompt(weatherData, env.GEMINI_API_KEY);
-    console.log('Generated art prompt length:', artPrompt.length);
+    console.log('Artistic style:', artisticStyle);
     
-    const imageUrl = await generateArtwork(artPrompt, artisticStyle, env);
-    console.log('Generated image URL type:', typeof imageUrl);
-    console.log('Image URL length:', imageUrl.length);
+    // Every variant is an image of its own, charged as it is rendered
+    const startedAt = Date.now();
+    await chargeGenerations(env, client);
     
-    return new Response(JSON.stringify({ 
-      artPrompt, 
-      imageUrl,
-      weatherData,
-      debug: {
-        promptLength: artPrompt.length,
+    const cacheStatus = {};
+    let landscape;
+    try {
+      landscape = await createLandscape(weatherData, env, {
         style: artisticStyle,
-        timestamp: new Date().toISOString()
+        writer: promptWriter,
+        overlay,
+        seed,
+        size,
+        cacheStatus,
+        usage,
+      });
+    } catch (error) {
+      await refundGenerations(env, client);
+      throw error;
+    }
+    const origin = new URL(request.url).origin;
+    
+    // Variants reuse the written prompt with the following seeds. The first
+    // image is already made, so running out of time or quota, or a failed
+    // variant, ends the series instead of failing the request
+    const generations = [landscape.generation];
+    let variantsStopped = null;
+    for (let index = 1; index < variants; index++) {
+      if (Date.now() - startedAt > VARIANTS_TIME_BUDGET_MS) {
+        variantsStopped = { code: 'UPSTREAM_TIMEOUT', error: `Stopped after ${generations.length} variants to stay within ${VARIANTS_TIME_BUDGET_MS / 1000} seconds` };
+        break;
       }
-    }), {
-      headers: { 'Content-Type': 'application/json' },
+      
+      try {
+        await chargeGenerations(env, client);
+      } catch (error) {
+        const appError = toAppError(error);
+        variantsStopped = { code: appError.code, error: appError.message };
+        break;
+      }
+      
+      try {
+        const { generation } = await renderLandscape(landscape.generation.prompt, weatherData, env, {
+          style: artisticStyle,
+          overlay,
+          size,
+          seed: (landscape.generation.seed + index) % (MAX_SEED + 1),
+          usage,
+        });
+        generations.push(generation);
+      } catch (error) {
+        console.error(`Variant ${index + 1} failed:`, error);
+        await refundGenerations(env, client);
+        const appError = toAppError(error);
+        variantsStopped = { code: appError.code, error: appError.message };
+        break;
+      }
+    }
+    
+    await recordHistory(env, client, generations);
+    
+    // Subscribers are notified after the response is sent
+    const publicOrigin = getPublicOrigin(env, origin);
+    for (const generation of generations) {
+      ctx.waitUntil(dispatchWebhooks(env, buildPayload('generation.created', generation, publicOrigin)));
+    }
+    
+    const result = buildGenerationResult({ ...landscape, origin });
+    if (variants > 1) {
+      result.variants = generations.map(generation => ({
+        id: generation.id,
+        seed: generation.seed,
+        imageUrl: `/i/${generation.id}`,
+        shareUrl: `${origin}/s/${generation.id}`,
+      }));
+      if (variantsStopped) {
+        result.variantsStopped = variantsStopped;
+      }
+    }
+    
+    return new Response(JSON.stringify(result), {
+      headers: { 'Content-Type': 'application/json', ...cacheHeaders(cacheStatus) },
     });
   } catch (error) {
     console.error('Art generation error:', error);
-    return new Response(JSON.stringify({ 
-      error: error.message,
-      stack: error.stack,
-      timestamp: new Date().toISOString()
-    }), {
-      status: 500,
+    return errorResponse(error);
+  }
+}
+
+// Renders a stored generation again from its prompt, style, model, overlay and
+// forecast. Without `seed` the stored seed is used and the image comes out the
+// same; `seed: "new"` draws a fresh one for a variation of the same prompt.
+async function handleRegeneration(request, id, env, ctx, { client, usage }) {
+  try {
+    const body = await readJSON(request);
+    const original = await loadGeneration(env, id);
+    
+    if (!original) {
+      return errorResponse(new AppError('NOT_FOUND', 'Generation not found'));
+    }
+    
+    // Timeline frames made before seeds were stored still have theirs
+    const storedSeed = original.seed ?? original.frame?.seed;
+    let seed;
+    if (body.seed === 'new') {
+      seed = randomSeed();
+    } else if (body.seed !== undefined) {
+      seed = validateSeed(body.seed);
+    } else if (storedSeed === undefined) {
+      return errorResponse(new AppError('INVALID_INPUT', 'This generation has no stored seed; send seed "new" to render it with a new one'));
+    } else {
+      seed = storedSeed;
+    }
+    
+    await chargeGenerations(env, client);
+    
+    let rendered;
+    try {
+      rendered = await renderLandscape(original.prompt, original.weatherData, env, {
+        style: original.style,
+        model: original.model,
+        overlay: original.overlay,
+        size: original.size,
+        seed,
+        frame: original.frame && { ...original.frame, seed },
+        regeneratedFrom: original.id,
+        usage,
+      });
+    } catch (error) {
+      await refundGenerations(env, client);
+      throw error;
+    }
+    const { generation, imageBytes } = rendered;
+    const origin = new URL(request.url).origin;
+    
+    await recordHistory(env, client, [generation]);
+    ctx.waitUntil(dispatchWebhooks(env, buildPayload('generation.created', generation, getPublicOrigin(env, origin))));
+    
+    const scene = buildSceneModel(original.weatherData);
+    return new Response(JSON.stringify(buildGenerationResult({ generation, scene, writer: null, imageBytes, origin })), {
       headers: { 'Content-Type': 'application/json' },
     });
+  } catch (error) {
+    console.error('Regeneration error:', error);
+    return errorResponse(error);
   }
 }
 
-async function fetchWeatherData(location, apiKey) {
-  const geocodingUrl = `https://api.openweathermap.org/geo/1.0/direct?q=${encodeURIComponent(location)}&limit=1&appid=${apiKey}`;
-  
-  const geoResponse = await fetch(geocodingUrl);
-  const geoData = await geoResponse.json();
-  
-  if (!geoData.length) {
-    throw new Error('Location not found');
+// Every location in every style, with per-item results: a failed item is
+// reported next to the others instead of failing the whole batch
+async function handleBatchGeneration(request, env, ctx, { client, usage }) {
+  try {
+    const body = await readJSON(request);
+    const { provider, promptWriter, overlay = 'none' } = body;
+    const items = buildBatchItems(body, env);
+    const size = resolveImageSize(body.size, body.fit);
+    const horizon = parseHorizon(body.horizon);
+    
+    if (promptWriter && !listPromptWriters().includes(promptWriter)) {
+      return errorResponse(new AppError('INVALID_INPUT', `Unknown prompt writer '${promptWriter}'`));
+    }
+    
+    if (!OVERLAY_LAYOUTS.includes(overlay)) {
+      return errorResponse(new AppError('INVALID_INPUT', `Unknown overlay '${overlay}'. Available: ${OVERLAY_LAYOUTS.join(', ')}`));
+    }
+    for (const style of new Set(items.map(item => item.style))) {
+      checkStyleOutput(style, { overlay }, env);
+    }
+    
+    const weatherProvider = getWeatherProvider(provider, env);
+    
+    // Every item is an image of its own
+    await chargeGenerations(env, client, items.length);
+    
+    const origin = new URL(request.url).origin;
+    const publicOrigin = getPublicOrigin(env, origin);
+    // Styles of the same location share one forecast
+    const forecasts = new Map();
+    // Recorded together once every item is done
+    const generations = [];
+    
+    const results = await mapWithConcurrency(items, BATCH_CONCURRENCY, async ({ location, style }) => {
+      try {
+        if (!forecasts.has(location)) {
+          forecasts.set(location, fetchWeatherData(location, env, { provider: weatherProvider, horizon, usage }));
+        }
+        const weatherData = await forecasts.get(location);
+        const landscape = await createLandscape(weatherData, env, { style, writer: promptWriter, overlay, size, usage });
+        
+        generations.push(landscape.generation);
+        
+        ctx.waitUntil(dispatchWebhooks(env, buildPayload('generation.created', landscape.generation, publicOrigin)));
+        return { location, style, status: 'done', ...buildGenerationResult({ ...landscape, origin }) };
+      } catch (error) {
+        console.error(`Batch item '${location}' (${style}) failed:`, error.message);
+        const appError = toAppError(error);
+        return { location, style, status: 'failed', error: appError.message, code: appError.code, ...appError.details };
+      }
+    });
+    
+    // Failed items were charged up front but never rendered
+    const failed = results.filter(result => result.status === 'failed').length;
+    if (failed) {
+      await refundGenerations(env, client, failed);
+    }
+    await recordHistory(env, client, generations);
+    
+    return new Response(JSON.stringify({ items: results, succeeded: results.length - failed, failed }), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  } catch (error) {
+    console.error('Batch generation error:', error);
+    return errorResponse(error);
   }
+}
+
+async function handleJobCreation(request, env, ctx, { client }) {
+  try {
+    const body = await readJSON(request);
+    const { provider, days, artisticStyle, promptWriter, overlay = 'none', size, fit } = body;
+    const location = validateLocation(body.location);
+    const coordinates = body.coordinates === undefined ? undefined : validateCoordinates(body.coordinates);
+    const horizon = parseHorizon(body.horizon);
+    
+    let invalid = null;
+    let weatherProvider;
+    let style;
+    if (promptWriter && !listPromptWriters().includes(promptWriter)) {
+      invalid = `Unknown prompt writer '${promptWriter}'`;
+    } else if (!OVERLAY_LAYOUTS.includes(overlay)) {
+      invalid = `Unknown overlay '${overlay}'. Available: ${OVERLAY_LAYOUTS.join(', ')}`;
+    } else {
+      try {
+        weatherProvider = getWeatherProvider(provider, env);
+        style = getStylePreset(artisticStyle, env).name;
+        resolveImageSize(size, fit);
+        checkStyleOutput(style, { overlay }, env);
+      } catch (error) {
+        invalid = error.message;
+      }
+    }
+    
+    if (invalid) {
+      return errorResponse(new AppError('INVALID_INPUT', invalid));
+    }
+    
+    await chargeGenerations(env, client);
+    
+    const input = { location, coordinates, provider: weatherProvider.name, days, horizon, artisticStyle: style, promptWriter, overlay, size, fit };
+    const job = await createJob(env, input, { owner: client.key });
+    const origin = new URL(request.url).origin;
+    
+    // Serialized before the job starts changing it
+    const response = new Response(JSON.stringify({
+      id: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`,
+    }), {
+      status: 202,
+      headers: { 'Content-Type': 'application/json', Location: `/api/jobs/${job.id}` },
+    });
+    
+    ctx.waitUntil(runJob(env, job, { weatherProvider, origin, client }));
+    return response;
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+// The creating request was already counted; the job adds what it used
+async function runJob(env, job, { weatherProvider, origin, client }) {
+  const tracker = createJobTracker(env, job);
+  const { location, coordinates, days, horizon, artisticStyle, promptWriter, overlay, size, fit } = job.input;
+  const usage = {};
+  let landscape = null;
   
-  const { lat, lon, name, country } = geoData[0];
-  
-  const weatherUrl = `https://api.openweathermap.org/data/2.5/forecast?lat=${lat}&lon=${lon}&appid=${apiKey}&units=metric`;
-  
-  const weatherResponse = await fetch(weatherUrl);
-  const weatherData = await weatherResponse.json();
-  
-  const processedData = {
-    location: `${name}, ${country}`,
-    coordinates: { lat, lon },
-    forecast: weatherData.list.slice(0, 8).map(item => ({
-      datetime: item.dt_txt,
-      temperature: Math.round(item.main.temp),
-      humidity: item.main.humidity,
-      pressure: item.main.pressure,
-      description: item.weather[0].description,
-      main: item.weather[0].main,
-      icon: item.weather[0].icon,
-      windSpeed: item.wind.speed,
-      windDirection: item.wind.deg,
-      clouds: item.clouds.all
-    }))
-  };
+  try {
+    const weatherData = await fetchWeatherData(location, env, { provider: weatherProvider, days, horizon, coordinates, onStage: tracker.stage, usage });
+    landscape = await createLandscape(weatherData, env, {
+      style: artisticStyle,
+      writer: promptWriter,
+      overlay,
+      size: resolveImageSize(size, fit),
+      onStage: tracker.stage,
+      usage,
+    });
+    
+    await tracker.complete(buildGenerationResult({ ...landscape, origin }));
+    await recordHistory(env, client, [landscape.generation]);
+    await dispatchWebhooks(env, buildPayload('generation.created', landscape.generation, getPublicOrigin(env, origin)));
+  } catch (error) {
+    console.error(`Job ${job.id} failed:`, error);
+    // Gives back the generation charged at creation, unless the image was made
+    if (!landscape) {
+      await refundGenerations(env, client);
+    }
+    await tracker.fail(error);
+  }
   
-  return processedData;
+  await recordUsage(env, client.key, usage);
 }
 
-async function generateArtPrompt(weatherData, geminiApiKey) {
-  const weatherSummary = weatherData.forecast.map(f => 
-    `${f.datetime}: ${f.description}, ${f.temperature}°C, humidity ${f.humidity}%, wind ${f.windSpeed}m/s`
-  ).join('\n');
+async function handleJobStatus(id, env, { client }) {
+  const job = await loadJob(env, id);
   
-  const prompt = `Transform this weather forecast into a realistic landscape photography prompt. Create a photorealistic scene that accurately depicts the current weather conditions and environment.
-
-Weather Data for ${weatherData.location}:
-${weatherSummary}
-
-Create a detailed photography prompt for a realistic landscape scene. Consider:
-- Realistic outdoor landscapes matching the location's geography
-- Accurate weather conditions (clouds, precipitation, visibility)
-- Natural lighting conditions based on temperature and time of day
-- Seasonal elements appropriate to the weather patterns
-- Environmental details like vegetation, terrain, and atmosphere
-- Professional photography composition and lighting
-- Photorealistic style with natural colors and lighting
-
-Generate a photography prompt (under 200 words) describing a realistic landscape scene that authentically represents these weather conditions. Focus on natural environments, realistic lighting, and accurate weather portrayal suitable for landscape photography.`;
-
-  const response = await fetch('https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent', {
-    method: 'POST',
+  if (!job || !canReadJob(job, client)) {
+    return errorResponse(new AppError('NOT_FOUND', 'Job not found'));
+  }
+  
+  return new Response(JSON.stringify(job), {
     headers: {
       'Content-Type': 'application/json',
-      'x-goog-api-key': geminiApiKey,
+      'Cache-Control': 'no-store',
     },
-    body: JSON.stringify({
-      contents: [{
-        parts: [{
-          text: prompt
-        }]
-      }],
-      generationConfig: {
-        maxOutputTokens: 300,
-        temperature: 0.7
-      }
-    }),
   });
+}
+
+// The store is read again after JOB_EVENTS_POLL_MS, doubling up to
+// JOB_EVENTS_MAX_POLL_MS while the job does not change
+const JOB_EVENTS_POLL_MS = 500;
+const JOB_EVENTS_MAX_POLL_MS = 4000;
+const JOB_EVENTS_MAX_MS = 5 * 60 * 1000;
+
+// Server-Sent Events: a `progress` event each time the job record changes,
+// then `done` or `failed` with the final record
+async function handleJobEvents(id, env, { client }) {
+  const initial = await loadJob(env, id);
   
-  const data = await response.json();
-  
-  if (!response.ok) {
-    throw new Error(`Gemini API error: ${data.error?.message || 'Unknown error'}`);
+  if (!initial || !canReadJob(initial, client)) {
+    return errorResponse(new AppError('NOT_FOUND', 'Job not found'));
   }
   
-  return data.candidates[0].content.parts[0].text;
-}
-
-async function generateArtwork(prompt, style, env) {
-  try {
-    const modelName = getModelByStyle(style);
-    
-    console.log(`=== IMAGE GENERATION DEBUG ===`);
-    console.log(`Model: ${modelName}`);
-    console.log(`Style: ${style}`);
-    console.log(`Full prompt: ${prompt}`);
-    console.log(`Prompt length: ${prompt.length}`);
-    
-    const aiParams = getModelParameters(modelName, prompt);
-    console.log('AI parameters:', JSON.stringify(aiParams, null, 2));
-    
-    console.log('Calling env.AI.run()...');
-    const response = await env.AI.run(modelName, aiParams);
-    
-    console.log('AI response received');
-    console.log('Response type:', typeof response);
-    console.log('Response constructor:', response?.constructor?.name);
-    
-    if (!response) {
-      throw new Error('No response from AI model');
-    }
-    
-    // Handle ReadableStream response (common for image generation)
-    if (response instanceof ReadableStream) {
-      console.log('Response is ReadableStream, converting to ArrayBuffer...');
-      const reader = response.getReader();
-      const chunks = [];
-      
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        chunks.push(value);
-      }
-      
-      // Combine all chunks into a single Uint8Array
-      const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
-      const combinedArray = new Uint8Array(totalLength);
-      let offset = 0;
-      
-      for (const chunk of chunks) {
-        combinedArray.set(chunk, offset);
-        offset += chunk.length;
-      }
-      
-      console.log('Combined array length:', combinedArray.length);
-      console.log('First 10 bytes:', Array.from(combinedArray.slice(0, 10)));
-      
-      if (combinedArray.length === 0) {
-        throw new Error('Empty image data received from AI model');
+  const encoder = new TextEncoder();
+  const startedAt = Date.now();
+  let lastUpdate = null;
+  
+  const stream = new ReadableStream({
+    async pull(controller) {
+      let job = await loadJob(env, id);
+      let delay = JOB_EVENTS_POLL_MS;
+      while (job && job.updatedAt === lastUpdate && Date.now() - startedAt < JOB_EVENTS_MAX_MS) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+        delay = Math.min(delay * 2, JOB_EVENTS_MAX_POLL_MS);
+        job = await loadJob(env, id);
       }
       
-      // Check for valid image headers
-      const firstBytes = Array.from(combinedArray.slice(0, 10));
-      const isPNG = firstBytes[0] === 137 && firstBytes[1] === 80 && firstBytes[2] === 78 && firstBytes[3] === 71;
-      const isJPEG = firstBytes[0] === 255 && firstBytes[1] === 216;
-      const isWebP = firstBytes[8] === 87 && firstBytes[9] === 69 && firstBytes[10] === 66 && firstBytes[11] === 80;
-      
-      console.log('Image format detection:');
-      console.log('- PNG header:', isPNG);
-      console.log('- JPEG header:', isJPEG);  
-      console.log('- WebP header:', isWebP);
-      
-      let mimeType = 'image/png'; // default
-      if (isJPEG) mimeType = 'image/jpeg';
-      else if (isWebP) mimeType = 'image/webp';
-      
-      console.log('Detected MIME type:', mimeType);
-      
-      // Convert to base64 properly - need to handle the full binary data correctly
-      console.log('Converting to base64...');
-      
-      // Convert Uint8Array to binary string first
-      let binaryString = '';
-      const chunkSize = 8192; // Process 8KB at a time to avoid call stack overflow
-      
-      for (let i = 0; i < combinedArray.length; i += chunkSize) {
-        const chunk = combinedArray.slice(i, i + chunkSize);
-        binaryString += String.fromCharCode(...chunk);
+      if (!job || Date.now() - startedAt >= JOB_EVENTS_MAX_MS) {
+        // Expired or taking too long: the client can reconnect or poll
+        controller.enqueue(encoder.encode(`event: timeout\ndata: {}\n\n`));
+        controller.close();
+        return;
       }
       
-      // Now convert the complete binary string to base64
-      const base64String = btoa(binaryString);
+      lastUpdate = job.updatedAt;
+      const event = isFinished(job) ? job.status : 'progress';
+      controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(job)}\n\n`));
       
-      const dataUrl = `data:${mimeType};base64,${base64String}`;
-      console.log('Converted ReadableStream to data URL, length:', dataUrl.length);
-      console.log('Data URL preview:', dataUrl.substring(0, 100) + '...');
-      return dataUrl;
-    }
-    
-    // Handle other response formats
-    console.log('Response keys:', Object.keys(response || {}));
-    console.log('Full response:', JSON.stringify(response, null, 2));
-    
-    // Check different possible response formats
-    if (response.image) {
-      console.log('Found response.image');
-    } else if (response instanceof Uint8Array) {
-      console.log('Response is direct Uint8Array');
-      const base64String = btoa(String.fromCharCode(...response));
-      const dataUrl = `data:image/png;base64,${base64String}`;
-      console.log('Converted direct Uint8Array to data URL, length:', dataUrl.length);
-      return dataUrl;
-    } else if (response instanceof ArrayBuffer) {
-      console.log('Response is direct ArrayBuffer');
-      const uint8Array = new Uint8Array(response);
-      const base64String = btoa(String.fromCharCode(...uint8Array));
-      const dataUrl = `data:image/png;base64,${base64String}`;
-      console.log('Converted direct ArrayBuffer to data URL, length:', dataUrl.length);
-      return dataUrl;
-    } else {
-      console.log('Checking other possible properties...');
-      console.log('response.result:', !!response.result);
-      console.log('response.data:', !!response.data);
-      console.log('response.output:', !!response.output);
-      console.log('response.generated_image:', !!response.generated_image);
-    }
-    
-    // For image generation, the response should have an image property
-    if (response.image) {
-      console.log('Found image in response');
-      console.log('Image type:', typeof response.image);
-      console.log('Image length:', response.image.length);
-      
-      // Convert Uint8Array to base64
-      let base64String;
-      if (response.image instanceof Uint8Array) {
-        base64String = btoa(String.fromCharCode(...response.image));
-      } else if (typeof response.image === 'string') {
-        base64String = response.image;
-      } else {
-        console.log('Converting image data to Uint8Array...');
-        const uint8Array = new Uint8Array(response.image);
-        base64String = btoa(String.fromCharCode(...uint8Array));
+      if (isFinished(job)) {
+        controller.close();
       }
+    },
+  });
+  
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-store',
+      Connection: 'keep-alive',
+    },
+  });
+}
+
+const MAX_TIMELINE_FRAMES = 8;
+
+const MAX_VARIANTS = 4;
+// Further variants are only started while the request is younger than this,
+// so a series of slow renders cannot hold it open for minutes
+const VARIANTS_TIME_BUDGET_MS = 45 * 1000;
+
+async function generateTimeline(request, env, { weatherData, artisticStyle, promptWriter, slots, perDay, overlay, size, seed = randomSeed() }, { client, usage }) {
+  const scene = buildSceneModel(weatherData);
+  const selectedSlots = selectTimelineSlots(scene, { slots, perDay });
+  
+  if (!selectedSlots.length) {
+    return errorResponse(new AppError('INVALID_INPUT', 'No forecast slots selected for the timeline'));
+  }
+  
+  console.log('Timeline slots:', selectedSlots.join(', '));
+  
+  // Every frame is an image of its own
+  await chargeGenerations(env, client, selectedSlots.length);
+  
+  const cacheStatus = {};
+  const origin = new URL(request.url).origin;
+  const timelineId = createId();
+  const frames = [];
+  const generations = [];
+  let composition;
+  let writer;
+  
+  try {
+    ({ prompt: composition, writer } = await generateComposition(weatherData.location, env, { writer: promptWriter, cacheStatus, usage }));
+    
+    // One seed for every frame keeps the generated view as stable as
+    // possible. Frames are generated one after another to stay within
+    // Workers AI limits
+    for (const slot of selectedSlots) {
+      const frameScene = scene.entries[slot];
+      const framePrompt = `${describeScene(frameScene).join(', ')}. ${composition}`;
       
-      console.log('Base64 string length:', base64String.length);
-      console.log('Base64 preview:', base64String.substring(0, 50) + '...');
-      
-      const dataUrl = `data:image/png;base64,${base64String}`;
-      console.log('Final data URL length:', dataUrl.length);
-      console.log('=== IMAGE GENERATION DEBUG END ===');
+      const { generation } = await renderLandscape(framePrompt, weatherData, env, {
+        style: artisticStyle,
+        overlay,
+        size,
+        seed,
+        frame: { slot, seed, timeline: timelineId },
+        usage,
+      });
+      generations.push(generation);
       
-      return dataUrl;
-    } else if (response.result?.image) {
-      console.log('Found image in response.result');
-      const base64String = typeof response.result.image === 'string' 
-        ? response.result.image 
-        : btoa(String.fromCharCode(...new Uint8Array(response.result.image)));
-      const dataUrl = `data:image/png;base64,${base64String}`;
-      return dataUrl;
-    } else if (response.data) {
-      console.log('Found response.data, treating as image data');
-      const uint8Array = new Uint8Array(response.data);
-      const base64String = btoa(String.fromCharCode(...uint8Array));
-      const dataUrl = `data:image/png;base64,${base64String}`;
-      return dataUrl;
-    } else {
-      console.error('No image property found in response structure:', response);
-      console.error('Available properties:', Object.keys(response || {}));
-      throw new Error(`No image data in AI response. Response keys: ${Object.keys(response || {}).join(', ')}`);
+      frames.push({
+        id: generation.id,
+        slot,
+        datetime: weatherData.forecast[slot].datetime,
+        localTime: frameScene.lighting.localTime,
+        artPrompt: framePrompt,
+        imageUrl: `/i/${generation.id}`,
+        shareUrl: `${origin}/s/${generation.id}`,
+        scene: frameScene,
+      });
     }
   } catch (error) {
-    console.error('Error in generateArtwork:', error);
-    console.error('Error stack:', error.stack);
-    throw new Error(`Image generation failed: ${error.message}`);
+    // Frames that were rendered stay charged, the rest are given back
+    await refundGenerations(env, client, selectedSlots.length - generations.length);
+    throw error;
   }
+  
+  const timeline = await saveTimeline(env, {
+    id: timelineId,
+    frameIds: frames.map(frame => frame.id),
+    composition,
+    weatherData,
+    style: artisticStyle,
+    seed,
+  });
+  await recordHistory(env, client, generations);
+  
+  return new Response(JSON.stringify({
+    mode: 'timeline',
+    timelineId: timeline.id,
+    composition,
+    frames,
+    weatherData,
+    debug: {
+      promptWriter: writer,
+      style: artisticStyle,
+      seed,
+      frameCount: frames.length,
+      timestamp: timeline.createdAt
+    }
+  }), {
+    headers: { 'Content-Type': 'application/json', ...cacheHeaders(cacheStatus) },
+  });
 }
 
-function getModelByStyle(style) {
-  const models = {
-    'stable-diffusion': '@cf/stabilityai/stable-diffusion-xl-base-1.0',
-    'realistic': '@cf/bytedance/stable-diffusion-xl-lightning'
-  };
+function selectTimelineSlots(scene, { slots, perDay }) {
+  const count = scene.entries.length;
+  
+  if (Array.isArray(slots)) {
+    return [...new Set(slots.map(Number))]
+      .filter(slot => Number.isInteger(slot) && slot >= 0 && slot < count)
+      .sort((a, b) => a - b)
+      .slice(0, MAX_TIMELINE_FRAMES);
+  }
+  
+  if (perDay) {
+    // One frame per local day, the slot closest to early afternoon
+    const byDay = new Map();
+    scene.entries.forEach((entry, slot) => {
+      const [day, time] = entry.lighting.localTime.split(' ');
+      const distance = Math.abs(Number(time.slice(0, 2)) - 13);
+      const best = byDay.get(day);
+      if (!best || distance < best.distance) {
+        byDay.set(day, { slot, distance });
+      }
+    });
+    return [...byDay.values()].map(({ slot }) => slot).slice(0, MAX_TIMELINE_FRAMES);
+  }
   
-  const selectedModel = models[style] || models['stable-diffusion'];
-  console.log(`Style '${style}' mapped to model: ${selectedModel}`);
-  return selectedModel;
+  return Array.from({ length: Math.min(count, MAX_TIMELINE_FRAMES) }, (_, slot) => slot);
 }
 
-function getModelParameters(modelName, prompt) {
-  // Different models might need different parameters
-  const baseParams = {
-    prompt: prompt
-  };
-  
-  if (modelName.includes('flux')) {
-    return {
+async function handlePromptComparison(request, env, { usage }) {
+  try {
+    const weatherData = validateWeatherData((await readJSON(request, MAX_WEATHER_BODY_BYTES)).weatherData);
+    
+    // Run every writer on the same input so their prompts can be compared
+    const prompts = await Promise.all(listPromptWriters().map(async writer => {
+      const startedAt = Date.now();
+      try {
+        const { prompt } = await generateArtPrompt(weatherData, env, { writer, usage });
+        return { writer, prompt, durationMs: Date.now() - startedAt };
+      } catch (error) {
+        const appError = toAppError(error);
+        return { writer, error: appError.message, code: appError.code, ...appError.details, durationMs: Date.now() - startedAt };
+      }
+    }));
+    
+    return new Response(JSON.stringify({ location: weatherData.location, prompts }), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+async function handleAnimation(request, env) {
+  try {
+    const { timelineId, ids, format = 'gif', frameDelay, width } = await readJSON(request);
+    
+    if (!ANIMATION_FORMATS[format]) {
+      return errorResponse(new AppError('INVALID_INPUT', `Unknown format '${format}'. Available: ${Object.keys(ANIMATION_FORMATS).join(', ')}`));
+    }
+    
+    let frameIds = Array.isArray(ids) ? ids : null;
+    if (timelineId) {
+      const timeline = await loadTimeline(env, timelineId);
+      if (!timeline) {
+        return errorResponse(new AppError('NOT_FOUND', 'Timeline not found'));
+      }
+      frameIds = timeline.frameIds;
+    }
+    
+    if (!frameIds || !frameIds.length) {
+      return errorResponse(new AppError('INVALID_INPUT', 'Provide a timelineId or a list of generation ids'));
+    }
+    
+    const selectedIds = frameIds.slice(0, MAX_TIMELINE_FRAMES);
+    const generations = await Promise.all(selectedIds.map(async id => ({
+      record: await loadGeneration(env, id),
+      image: await loadImage(env, id),
+    })));
+    
+    const missing = selectedIds.filter((id, index) => !generations[index].record || !generations[index].image);
+    if (missing.length) {
+      return errorResponse(new AppError('NOT_FOUND', `Frames not found: ${missing.join(', ')}`));
+    }
+    
+    // Frames are decoded in the Worker and only PNG is supported
+    const unsupported = generations.filter(({ image }) => image.contentType !== 'image/png');
+    if (unsupported.length) {
+      return errorResponse(new AppError('UNSUPPORTED_MEDIA_TYPE', `Only PNG frames can be animated, got ${unsupported[0].image.contentType}`));
+    }
+    
+    const animation = await buildAnimation(generations, { format, frameDelay, width });
+    
+    return new Response(animation.bytes, {
+      headers: {
+        'Content-Type': animation.mimeType,
+        'Content-Disposition': `attachment; filename="forecast-${timelineId || frameIds[0]}.${animation.extension}"`,
+      },
+    });
+  } catch (error) {
+    console.error('Error building animation:', error);
+    return errorResponse(error);
+  }
+}
+
+// One GET returning image bytes, for <img> tags, dashboards and signage. The
+// landscape is generated once per location, style and forecast slot.
+// Requests are metered as 'weather'; a cache miss that has to generate is
+// also limited as 'generate'.
+const LANDSCAPE_LOCK_SECONDS = 120;
+
+async function handleLandscapeRequest(request, url, env, { client, usage }) {
+  try {
+    const params = url.searchParams;
+    const location = validateLocation(params.get('location'));
+    const format = params.get('format') || undefined;
+    const width = params.has('width') ? Number(params.get('width')) : undefined;
+    const overlay = params.get('overlay') || 'none';
+    const size = resolveImageSize(params.get('size'), params.get('fit') || undefined);
+    const horizon = parseHorizon(params.get('horizon'));
+    
+    let invalid = null;
+    if (format && !OUTPUT_FORMATS[format]) {
+      invalid = `Unknown format '${format}'. Available: ${Object.keys(OUTPUT_FORMATS).join(', ')}`;
+    } else if (width !== undefined && !(Number.isInteger(width) && width >= MIN_WIDTH && width <= MAX_WIDTH)) {
+      invalid = `width must be an integer between ${MIN_WIDTH} and ${MAX_WIDTH}`;
+    } else if (!OVERLAY_LAYOUTS.includes(overlay)) {
+      invalid = `Unknown overlay '${overlay}'. Available: ${OVERLAY_LAYOUTS.join(', ')}`;
+    }
+    
+    let weatherProvider;
+    let style;
+    if (!invalid) {
+      try {
+        weatherProvider = getWeatherProvider(params.get('provider'), env);
+        style = getStylePreset(params.get('style'), env).name;
+        checkStyleOutput(style, { overlay }, env);
+      } catch (error) {
+        invalid = error.message;
+      }
+    }
+    
+    if (invalid) {
+      return errorResponse(new AppError('INVALID_INPUT', invalid));
+    }
+    
+    const cacheStatus = {};
+    const landscape = await cached(
+      env,
+      landscapeCacheKey(weatherProvider.name, location, { style, overlay, size: size ? `${size.name}-${size.fit}` : 'default', horizon }),
+      CACHE_TTL.landscape,
+      async () => {
+        // Only a landscape that has to be generated counts against the quota
+        await enforceRateLimit(env, 'generate', client);
+        await chargeGenerations(env, client);
+        try {
+          const weatherData = await fetchWeatherData(location, env, { provider: weatherProvider, horizon, cacheStatus, usage });
+          const { generation } = await createLandscape(weatherData, env, { style, overlay, size, cacheStatus, usage });
+          return generation.id;
+        } catch (error) {
+          await refundGenerations(env, client);
+          throw error;
+        }
+      },
+      // Concurrent misses for the same landscape wait for one generation
+      { lock: LANDSCAPE_LOCK_SECONDS }
+    );
+    cacheStatus.landscape = landscape.status;
+    
+    const id = landscape.value;
+    const etag = `"${id}-${width || 'full'}-${format || 'original'}"`;
+    const headers = {
+      ETag: etag,
+      // Fresh until the next forecast slot brings a new landscape
+      'Cache-Control': `public, max-age=${secondsUntilNextSlot()}`,
+      'X-Generation-Id': id,
+      ...cacheHeaders(cacheStatus),
+    };
+    
+    const ifNoneMatch = request.headers.get('If-None-Match') || '';
+    if (ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, '')).some(tag => tag === etag || tag === '*')) {
+      return new Response(null, { status: 304, headers });
+    }
+    
+    const image = await loadImage(env, id);
+    if (!image) {
+      return errorResponse(new AppError('NOT_FOUND', 'Landscape image not found'));
+    }
+    
+    const output = await transformImage(image, { width, format }, env);
+    if (!output) {
+      return errorResponse(new AppError('NOT_ACCEPTABLE', `Converting ${image.contentType} to ${OUTPUT_FORMATS[format] || image.contentType} needs the IMAGES binding`));
+    }
+    
+    return new Response(output.body, {
+      headers: { 'Content-Type': output.contentType, ...headers },
+    });
+  } catch (error) {
+    console.error('Landscape request error:', error);
+    return errorResponse(error);
+  }
+}
+
+// A failed history update is logged; the generation itself succeeded
+async function recordHistory(env, client, generations) {
+  try {
+    await addHistoryEntries(env, historyOwner(client), generations);
+  } catch (error) {
+    console.error('Recording history failed:', error.message);
+  }
+}
+
+// The caller's own generations: by API key, or by the page's X-Client-Id
+async function handleHistoryRequest(request, id, url, env, { client }) {
+  try {
+    const owner = historyOwner(client);
+    if (!owner) {
+      throw new AppError('UNAUTHORIZED', 'Send an API key or an X-Client-Id header to see your history');
+    }
+    
+    if (!id && request.method === 'GET') {
+      const { entries, total } = await listHistory(env, owner, parseHistoryFilters(url.searchParams));
+      return new Response(JSON.stringify({ entries, total }), {
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+      });
+    }
+    
+    const entry = id && await findHistoryEntry(env, owner, id);
+    if (id && !entry) {
+      throw new AppError('NOT_FOUND', 'Generation not found in your history');
+    }
+    
+    if (entry && request.method === 'GET') {
+      const generation = await loadGeneration(env, id);
+      return new Response(JSON.stringify({
+        ...entry,
+        shareUrl: `${url.origin}/s/${id}`,
+        model: generation?.model,
+        seed: generation?.seed ?? generation?.frame?.seed,
+        overlay: generation?.overlay,
+        weatherData: generation?.weatherData,
+      }), {
+        headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+      });
+    }
+    
+    if (entry && request.method === 'DELETE') {
+      // An image a timeline or a daily location still shows stays stored
+      const generation = await loadGeneration(env, id);
+      const reference = generation && await findImageReference(env, generation);
+      await removeHistoryEntry(env, owner, id);
+      if (!reference) {
+        await deleteGeneration(env, id);
+      }
+      return new Response(JSON.stringify({ deleted: id, imageDeleted: !reference }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+    
+    throw new AppError('NOT_FOUND', 'Not Found');
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+async function handleWebhookAdmin(request, url, env) {
+  try {
+    await requireAdmin(request, env);
+  } catch (error) {
+    return errorResponse(error);
+  }
+  
+  try {
+    const [, id, action] = url.pathname.match(/^\/api\/webhooks(?:\/([^/]+))?(?:\/([^/]+))?$/) || [];
+    
+    if (!id && request.method === 'GET') {
+      const subscriptions = await listSubscriptions(env);
+      return new Response(JSON.stringify({ subscriptions: subscriptions.map(redactSubscription) }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+    
+    if (!id && request.method === 'POST') {
+      let subscription;
+      try {
+        subscription = await createSubscription(env, await readJSON(request));
+      } catch (error) {
+        return errorResponse(error);
+      }
+      
+      // The only response that contains the full secret
+      return new Response(JSON.stringify(subscription), {
+        status: 201,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+    
+    if (id && !action && request.method === 'DELETE') {
+      if (!await deleteSubscription(env, id)) {
+        return errorResponse(new AppError('NOT_FOUND', 'Subscription not found'));
+      }
+      return new Response(JSON.stringify({ deleted: id }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+    
+    if (id && action === 'test' && request.method === 'POST') {
+      const subscription = await loadSubscription(env, id);
+      if (!subscription) {
+        return errorResponse(new AppError('NOT_FOUND', 'Subscription not found'));
+      }
+      
+      // A sample event, delivered right away so the result can be returned
+      const origin = getPublicOrigin(env, url.origin);
+      const payload = buildPayload(subscription.events[0], {
+        id: '0000000000000000',
+        createdAt: new Date().toISOString(),
+        prompt: 'Test delivery from the weather landscape generator',
+        style: getDefaultStyle(env),
+        weatherData: {
+          location: subscription.locations[0] || 'Test Location',
+          forecast: [{ datetime: new Date().toISOString().replace('T', ' ').slice(0, 19), temperature: 18, description: 'clear sky', humidity: 50, windSpeed: 2 }],
+        },
+      }, origin);
+      const delivery = await deliverWebhook(env, subscription, payload);
+      
+      return new Response(JSON.stringify(delivery), {
+        status: delivery.ok ? 200 : 502,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+    
+    return errorResponse(new AppError('NOT_FOUND', 'Not Found'));
+  } catch (error) {
+    console.error('Webhook admin error:', error);
+    return errorResponse(error);
+  }
+}
+
+async function handleApiKeyAdmin(request, url, env) {
+  try {
+    await requireAdmin(request, env);
+  } catch (error) {
+    return errorResponse(error);
+  }
+  
+  try {
+    const [, id] = url.pathname.match(/^\/api\/keys(?:\/([^/]+))?$/) || [];
+    
+    if (!id && request.method === 'GET') {
+      return new Response(JSON.stringify({ keys: await listApiKeys(env) }), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+    
+    if (!id && request.method === 'POST') {
+      // The only response that contains the key itself
+      const apiKey = await issueApiKey(env, await readJSON(request));
+      return new Response(JSON.stringify(apiKey), {
+        status: 201,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+    
+    if (id && request.method === 'DELETE') {
+      const apiKey = await revokeApiKey(env, id);
+      if (!apiKey) {
+        return errorResponse(new AppError('NOT_FOUND', 'API key not found'));
+      }
+      return new Response(JSON.stringify(apiKey), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+    
+    return errorResponse(new AppError('NOT_FOUND', 'Not Found'));
+  } catch (error) {
+    console.error('API key admin error:', error);
+    return errorResponse(error);
+  }
+}
+
+const DEFAULT_USAGE_DAYS = 7;
+
+// Admins see every key (or `?key=`), a caller with an API key only its own
+async function handleUsageReport(request, url, env) {
+  try {
+    let key = url.searchParams.get('key');
+    if (!await isAdminRequest(request, env)) {
+      const apiKey = await authenticateApiKey(request, env);
+      if (!apiKey) {
+        throw new AppError('UNAUTHORIZED', 'An admin token or API key is required');
+      }
+      key = apiKey.id;
+    }
+    if (key && key !== ANONYMOUS && !/^[0-9a-f]{16}$/.test(key)) {
+      throw new AppError('INVALID_INPUT', `key must be an API key id or "${ANONYMOUS}"`);
+    }
+    
+    const to = readDate(url, 'to', new Date().toISOString().slice(0, 10));
+    const from = readDate(url, 'from', new Date(Date.parse(to) - (DEFAULT_USAGE_DAYS - 1) * 86400 * 1000).toISOString().slice(0, 10));
+    if (from > to) {
+      throw new AppError('INVALID_INPUT', 'from must not be after to');
+    }
+    if (Date.parse(to) - Date.parse(from) >= MAX_REPORT_DAYS * 86400 * 1000) {
+      throw new AppError('INVALID_INPUT', `A report covers at most ${MAX_REPORT_DAYS} days`);
+    }
+    
+    const rows = await getUsageReport(env, { from, to, key });
+    
+    // Name each key; revoked keys keep their record for this
+    const names = {};
+    for (const id of new Set(rows.map(row => row.key))) {
+      const apiKey = id === ANONYMOUS ? null : await loadApiKey(env, id);
+      names[id] = apiKey ? apiKey.name : null;
+    }
+    
+    const totals = Object.fromEntries(USAGE_FIELDS.map(field => [field, rows.reduce((sum, row) => sum + row[field], 0)]));
+    
+    return new Response(JSON.stringify({
+      from,
+      to,
+      usage: rows.map(row => ({ ...row, name: names[row.key] })),
+      totals,
+    }), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  } catch (error) {
+    return errorResponse(error);
+  }
+}
+
+function readDate(url, name, fallback) {
+  const value = url.searchParams.get(name) || fallback;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+    throw new AppError('INVALID_INPUT', `${name} must be a date like "2024-06-15"`);
+  }
+  return value;
+}
+
+const MAX_BODY_BYTES = 16 * 1024;
+// Bodies that carry a whole forecast
+const MAX_WEATHER_BODY_BYTES = 256 * 1024;
+
+async function readJSON(request, maxBytes = MAX_BODY_BYTES) {
+  const tooLarge = new AppError('PAYLOAD_TOO_LARGE', `Request body must be at most ${maxBytes} bytes`);
+  if (Number(request.headers.get('Content-Length')) > maxBytes) {
+    throw tooLarge;
+  }
+  
+  // Content-Length is optional, so the body is measured as well
+  const body = await request.text();
+  if (new TextEncoder().encode(body).length > maxBytes) {
+    throw tooLarge;
+  }
+  
+  try {
+    const value = JSON.parse(body);
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) throw new Error();
+    return value;
+  } catch {
+    throw new AppError('INVALID_INPUT', 'Request body must be a JSON object');
+  }
+}
+
+// Absolute base for links sent outside the site; PUBLIC_URL wins over the
+// request origin, and is the only option in scheduled runs
+function getPublicOrigin(env, requestOrigin = null) {
+  return env.PUBLIC_URL ? env.PUBLIC_URL.replace(/\/+$/, '') : requestOrigin;
+}
+
+async function handleDailyImage(segment, env) {
+  let location;
+  try {
+    location = decodeURIComponent(segment);
+  } catch {
+    return errorResponse(new AppError('INVALID_INPUT', 'The location in the path is not valid percent-encoding'));
+  }
+  
+  const pointer = await loadDailyPointer(env, locationSlug(location));
+  const image = pointer && await loadImage(env, pointer.generationId);
+  
+  if (!image) {
+    return errorResponse(new AppError('NOT_FOUND', `No daily landscape for '${location}'`, {
+      details: { locations: getDailyLocations(env).map(locationSlug) },
+    }));
+  }
+  
+  return new Response(image.body, {
+    headers: {
+      'Content-Type': image.contentType,
+      // The pointer moves on every scheduled run
+      'Cache-Control': 'public, max-age=300',
+      'Last-Modified': new Date(pointer.updatedAt).toUTCString(),
+      'X-Generation-Id': pointer.generationId,
+    },
+  });
+}
+
+async function handleDailyList(url, env) {
+  const pointers = await listDailyPointers(env);
+  
+  return new Response(JSON.stringify({
+    locations: pointers.map(pointer => ({
+      ...pointer,
+      imageUrl: `/i/${pointer.generationId}`,
+      shareUrl: `${url.origin}/s/${pointer.generationId}`,
+    })),
+  }), {
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+async function handleDailyGallery(env) {
+  const pointers = await listDailyPointers(env);
+  
+  return new Response(getDailyHTML(pointers), {
+    headers: {
+      'Content-Type': 'text/html',
+      'Cache-Control': 'public, max-age=300',
+    },
+  });
+}
+
+function handleStylesRequest(env) {
+  try {
+    return new Response(JSON.stringify({ default: getDefaultStyle(env), styles: listStylePresets(env) }), {
+      headers: { 'Content-Type': 'application/json' },
+    });
+  } catch (error) {
+    // A malformed STYLE_PRESETS variable lands here
+    return errorResponse(error);
+  }
+}
+
+// `w` asks for one of the THUMBNAIL_WIDTHS. Thumbnails are made on first
+// request (WebP when the IMAGES binding is there) and stored; when one cannot
+// be made here the full image is served instead.
+async function handleImageRequest(id, url, env) {
+  const width = url.searchParams.has('w') ? Number(url.searchParams.get('w')) : undefined;
+  if (width !== undefined && !THUMBNAIL_WIDTHS.includes(width)) {
+    return errorResponse(new AppError('INVALID_INPUT', `w must be one of ${THUMBNAIL_WIDTHS.join(', ')}`));
+  }
+  
+  let image = width && await loadThumbnail(env, id, width);
+  if (!image) {
+    const original = await loadImage(env, id);
+    if (!original) {
+      return new Response('Not Found', { status: 404 });
+    }
+    
+    image = original;
+    if (width) {
+      const thumbnail = await transformImage(original, { width, format: env.IMAGES ? 'webp' : undefined }, env);
+      if (thumbnail) {
+        await saveThumbnail(env, id, width, thumbnail);
+        image = thumbnail;
+      }
+    }
+  }
+  
+  return new Response(image.body, {
+    headers: {
+      'Content-Type': image.contentType,
+      // Stored images never change once written
+      'Cache-Control': 'public, max-age=31536000, immutable',
+    },
+  });
+}
+
+async function handleSharePage(id, url, env) {
+  const generation = await loadGeneration(env, id);
+  
+  if (!generation) {
+    return new Response('Not Found', { status: 404 });
+  }
+  
+  return new Response(getShareHTML(generation, url.origin), {
+    headers: {
+      'Content-Type': 'text/html',
+      'Cache-Control': 'public, max-age=3600',
+    },
+  });
+}
+
+// The single-image pipeline shared by the POST and GET APIs and jobs: scene,
+// prompt, image, overlay, then storage. `onStage` is told when the prompt and
+// image stages start.
+async function createLandscape(weatherData, env, { style, writer, overlay = 'none', seed, size, cacheStatus = {}, onStage, usage } = {}) {
+  const scene = buildSceneModel(weatherData);
+  
+  await onStage?.('prompt');
+  const { prompt, writer: promptWriter } = await generateArtPrompt(weatherData, env, { writer, scene, cacheStatus, usage });
+  console.log('Prompt written by:', promptWriter);
+  console.log('Generated art prompt length:', prompt.length);
+  
+  await onStage?.('image');
+  const { generation, imageBytes } = await renderLandscape(prompt, weatherData, env, { style, overlay, seed, size, usage });
+  
+  return { generation, scene, writer: promptWriter, imageBytes };
+}
+
+// Image, overlay and storage for a written prompt. A random seed is drawn when
+// none is given and stored with the generation, so every image can be
+// rendered again; `model` pins the model instead of the preset's chain.
+// With a `size` the image is fitted to it before the caption is drawn.
+async function renderLandscape(prompt, weatherData, env, { style, overlay = 'none', seed = randomSeed(), size, model, frame, regeneratedFrom, usage } = {}) {
+  const image = await generateArtwork(prompt, style, env, { seed, model, dimensions: size && modelDimensions(size) });
+  addUsage(usage, 'imageGenerations');
+  console.log('Generated image:', image.mimeType, image.bytes.length, 'bytes');
+  
+  const sized = size ? await fitImage(image.bytes, image.mimeType, size, env) : { ...image, fitted: false };
+  if (size && !sized.fitted) {
+    console.log(`Cannot fit ${image.mimeType} to ${size.name} here, keeping the model's size`);
+  }
+  
+  // Overlays and timeline animations draw on PNG; checkStyleOutput() made
+  // sure IMAGES is bound for styles that render JPEG
+  if (sized.mimeType !== 'image/png' && (overlay !== 'none' || frame) && env.IMAGES) {
+    const converted = await transformImage({ body: sized.bytes, contentType: sized.mimeType }, { format: 'png' }, env);
+    sized.bytes = converted.body;
+    sized.mimeType = converted.contentType;
+  }
+  
+  const entry = frame ? weatherData.forecast[frame.slot] : undefined;
+  const composited = await applyOverlay(sized.bytes, { layout: overlay, weatherData, entry });
+  
+  const generation = await saveGeneration(env, {
+    bytes: composited.bytes,
+    mimeType: sized.mimeType,
+    model: image.model,
+    seed,
+    prompt,
+    weatherData,
+    style,
+    overlay: composited.applied ? overlay : 'none',
+    size: sized.fitted ? size : undefined,
+    frame,
+    regeneratedFrom,
+  });
+  console.log('Stored generation:', generation.id);
+  
+  return { generation, imageBytes: composited.bytes.length };
+}
+
+// Styles whose model renders JPEG only get overlays and timelines when the
+// IMAGES binding can convert their images to PNG
+function checkStyleOutput(style, { overlay = 'none', timeline = false }, env) {
+  if (env.IMAGES || (overlay === 'none' && !timeline) || rendersPNG(getStylePreset(style, env))) {
+    return;
+  }
+  throw new AppError('INVALID_INPUT', `Style '${style}' renders JPEG images, which cannot carry an overlay or be animated without the IMAGES binding. Use overlay "none" and no timeline, or another style`);
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+// Response body of a single generation, for /api/generate-art and job results
+function buildGenerationResult({ generation, scene, writer, imageBytes, origin }) {
+  return {
+    id: generation.id,
+    artPrompt: generation.prompt,
+    imageUrl: `/i/${generation.id}`,
+    thumbnails: THUMBNAIL_WIDTHS.map(width => ({ width, url: `/i/${generation.id}?w=${width}` })),
+    shareUrl: `${origin}/s/${generation.id}`,
+    weatherData: generation.weatherData,
+    scene,
+    debug: {
+      promptLength: generation.prompt.length,
+      promptWriter: writer,
+      style: generation.style,
+      model: generation.model,
+      seed: generation.seed,
+      regeneratedFrom: generation.regeneratedFrom,
+      size: generation.size,
+      mimeType: generation.mimeType,
+      imageBytes,
+      overlay: generation.overlay,
+      timestamp: generation.createdAt
+    }
+  };
+}
+
+// Coordinates, either picked from /api/geocode and sent as `coordinates` with
+// the place's label as `location`, or typed as "lat,lon", are used for the
+// forecast exactly as given; geocoding only looks up a name for typed ones.
+// `horizon` picks the entries from the full forecast, see horizon.js. For
+// "now" the latest observation replaces the last entry at the front, marked
+// `observed`; `alerts` are the weather alerts in effect during the entries.
+async function fetchWeatherData(location, env, { provider, days = 1, horizon = 'now', coordinates, cacheStatus = {}, onStage, usage } = {}) {
+  const weatherProvider = provider || getWeatherProvider(null, env);
+  const bypass = !weatherProvider.cacheable;
+  
+  await onStage?.('geocoding');
+  let place;
+  if (coordinates) {
+    place = { ...coordinates, name: location };
+  } else {
+    const typed = parseCoordinates(location);
+    const geocode = await cached(
+      env,
+      geocodeCacheKey(weatherProvider.name, typed ? `${typed.lat},${typed.lon}` : location),
+      CACHE_TTL.geocode,
+      () => typed ? weatherProvider.reverseGeocode(typed, env) : weatherProvider.geocode(location, env),
+      { bypass }
+    );
+    cacheStatus.geocode = geocode.status;
+    if (geocode.status === 'MISS') addUsage(usage, 'weatherCalls');
+    place = { ...geocode.value, ...typed };
+  }
+  
+  const { lat, lon, name, country } = place;
+  
+  await onStage?.('forecast');
+  const forecast = await cached(
+    env,
+    forecastCacheKey(weatherProvider.name, lat, lon),
+    CACHE_TTL.forecast,
+    async () => {
+      const value = await weatherProvider.forecast({ lat, lon }, env);
+      // Thrown before it is cached; every horizon needs at least one entry
+      if (!value.entries.length) {
+        throw new AppError('UPSTREAM_ERROR', `${weatherProvider.name} returned no forecast entries for ${name}`);
+      }
+      return value;
+    },
+    { bypass }
+  );
+  cacheStatus.forecast = forecast.status;
+  if (forecast.status === 'MISS') addUsage(usage, 'weatherCalls');
+  
+  const { timezone, entries } = forecast.value;
+  const selected = selectHorizon(entries, horizon, timezone, { days });
+  
+  const alertSource = getAlertSource(env, weatherProvider.name);
+  const [current, alerts] = await Promise.all([
+    horizon === 'now'
+      ? fetchObservation(env, 'current', weatherProvider, { lat, lon }, () => weatherProvider.current({ lat, lon }, env), { cacheStatus, usage })
+      : null,
+    alertSource
+      ? fetchObservation(env, 'alerts', alertSource, { lat, lon }, () => alertSource.alerts({ lat, lon }, env), { cacheStatus, usage })
+      : null,
+  ]);
+  const shown = current && selected.length ? [{ ...current, observed: true }, ...selected].slice(0, selected.length) : selected;
+  const from = Date.parse(`${shown[0].datetime.replace(' ', 'T')}Z`);
+  const to = Date.parse(`${shown[shown.length - 1].datetime.replace(' ', 'T')}Z`) + 3 * 60 * 60 * 1000;
+  
+  // Provider text ends up in the prompt instructions as well
+  const processedData = {
+    location: checkPromptText(country ? `${name}, ${country}` : name, 'location'),
+    coordinates: { lat, lon },
+    timezone,
+    provider: weatherProvider.name,
+    horizon,
+    forecast: shown.map(entry => ({
+      ...entry,
+      description: checkPromptText(entry.description, 'description'),
+      lighting: computeLighting(entry.datetime, { lat, lon }, timezone)
+    })),
+    daily: summarizeDays(entries, selected, timezone).map(day => ({
+      ...day,
+      description: checkPromptText(day.description, 'description'),
+    })),
+    alerts: promptSafeAlerts(activeAlerts(alerts || [], from, to)),
+  };
+  
+  return processedData;
+}
+
+// Current weather and alerts add to the forecast but are not needed for an
+// image, so a failing source is logged and left out
+async function fetchObservation(env, kind, source, { lat, lon }, load, { cacheStatus, usage }) {
+  try {
+    const result = await cached(
+      env,
+      observationCacheKey(kind, source.name, lat, lon),
+      CACHE_TTL[kind],
+      load,
+      { bypass: !source.cacheable }
+    );
+    cacheStatus[kind] = result.status;
+    if (result.status === 'MISS') addUsage(usage, 'weatherCalls');
+    return result.value;
+  } catch (error) {
+    console.error(`Fetching ${kind} from ${source.name} failed:`, error.message);
+    return null;
+  }
+}
+
+// Alert names go into the prompt instructions; ones the guardrails reject are left out
+function promptSafeAlerts(alerts) {
+  return alerts.filter(alert => {
+    try {
+      checkPromptText(alert.event, 'alert');
+      return true;
+    } catch (error) {
+      console.warn(`Alert '${alert.event}' left out:`, error.message);
+      return false;
+    }
+  });
+}
+
+async function generateArtPrompt(weatherData, env, { writer, scene, cacheStatus = {}, usage } = {}) {
+  const sceneModel = scene || buildSceneModel(weatherData);
+  
+  const weatherSummary = weatherData.forecast.map((f, index) => {
+    const lighting = sceneModel.entries[index].lighting;
+    const details = [lighting.period, f.observed && 'observed'].filter(Boolean).join(', ');
+    return `${lighting.localTime} local time${details ? ` (${details})` : ''}: ${f.description}, ${f.temperature}°C, humidity ${f.humidity}%, wind ${f.windSpeed}m/s`;
+  }).join('\n')
+    + (weatherData.daily?.length ? `\nDaily summary:\n${weatherData.daily.map(formatDaySummary).join('\n')}` : '')
+    + (weatherData.alerts?.length ? `\nWeather alerts in effect: ${weatherData.alerts.map(alert => alert.event).join('; ')}` : '');
+  const sceneSummary = describeScene(sceneModel.primary).join(', ');
+  
+  const input = { location: weatherData.location, weatherSummary, weatherData, scene: sceneModel };
+  const cacheText = `${weatherData.location}\n${weatherSummary}\n${sceneSummary}`;
+  
+  return writeWithFallback(input, cacheText, env, { writer, cacheStatus, usage });
+}
+
+// Describes the fixed view shared by every frame of a timeline
+async function generateComposition(location, env, { writer, cacheStatus = {}, usage } = {}) {
+  const input = { location, composition: true };
+  return writeWithFallback(input, `composition\n${location}`, env, { writer, cacheStatus, usage });
+}
+
+async function writeWithFallback(input, cacheText, env, { writer, cacheStatus, usage }) {
+  let lastError;
+  
+  for (const promptWriter of getPromptWriters(writer, env)) {
+    try {
+      const cacheKey = await promptCacheKey(`${promptWriter.name}\n${cacheText}`);
+      // A rejected prompt is not cached and the next writer gets a turn
+      const result = await cached(env, cacheKey, CACHE_TTL.prompt, async () => checkImagePrompt(await promptWriter.write(input, env, { usage }), env));
+      cacheStatus.prompt = result.status;
+      
+      return { prompt: result.value, writer: promptWriter.name };
+    } catch (error) {
+      console.error(`Prompt writer '${promptWriter.name}' failed:`, error.message);
+      lastError = error;
+    }
+  }
+  
+  throw lastError;
+}
+
+// Runs the preset's model, then its fallbacks while the failure is one another
+// model might not have: a safety refusal or exhausted quota ends the chain.
+// Parameter overrides are tuned for the preset's own model and only sent there.
+// Every prompt, written or assembled for a timeline frame, is checked first.
+// A pinned `model` is tried alone, to render a stored generation again.
+// `dimensions` is the { width, height } to ask models that take a size for.
+async function generateArtwork(prompt, style, env, { seed, model, dimensions } = {}) {
+  const preset = getStylePreset(style, env);
+  const styledPrompt = applyStyle(preset, checkImagePrompt(prompt, env));
+  let lastError;
+  
+  console.log(`=== IMAGE GENERATION DEBUG ===`);
+  console.log(`Style: ${preset.name}`);
+  console.log(`Full prompt: ${styledPrompt}`);
+  console.log(`Prompt length: ${styledPrompt.length}`);
+  
+  for (const modelName of model ? [model] : getModelChain(preset)) {
+    try {
+      const image = await runImageModel(modelName, styledPrompt, env, {
+        seed,
+        dimensions,
+        negativePrompt: preset.negativePrompt,
+        overrides: modelName === preset.model ? preset.parameters : {},
+      });
+      console.log('=== IMAGE GENERATION DEBUG END ===');
+      
+      return image;
+    } catch (error) {
+      lastError = classifyAIError(error);
+      console.error(`Image model ${modelName} failed:`, lastError.code, lastError.message);
+      
+      if (lastError.code === 'SAFETY_BLOCKED' || lastError.code === 'QUOTA_EXCEEDED') break;
+    }
+  }
+  
+  throw lastError;
+}
+
+async function runImageModel(modelName, prompt, env, options) {
+  const aiParams = getModelParameters(modelName, prompt, options);
+  console.log(`Model: ${modelName}`);
+  console.log('AI parameters:', JSON.stringify(aiParams, null, 2));
+  
+  console.log('Calling env.AI.run()...');
+  const response = await withTimeout('workers-ai-image', env.AI.run(modelName, aiParams));
+  
+  console.log('AI response received');
+  console.log('Response type:', typeof response);
+  console.log('Response constructor:', response?.constructor?.name);
+  
+  if (!response) {
+    throw new AppError('UPSTREAM_ERROR', 'No response from AI model');
+  }
+  
+  const bytes = await readImageBytes(response);
+  
+  console.log('Image byte length:', bytes.length);
+  console.log('First 12 bytes:', Array.from(bytes.slice(0, 12)));
+  
+  if (bytes.length === 0) {
+    throw new AppError('UPSTREAM_ERROR', 'Empty image data received from AI model');
+  }
+  
+  const mimeType = detectMimeType(bytes);
+  console.log('Detected MIME type:', mimeType);
+  
+  return { bytes, mimeType, model: modelName };
+}
+
+async function readImageBytes(response) {
+  // Handle ReadableStream response (common for image generation)
+  if (response instanceof ReadableStream) {
+    console.log('Response is ReadableStream, reading chunks...');
+    const reader = response.getReader();
+    const chunks = [];
+    
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+    }
+    
+    // Combine all chunks into a single Uint8Array
+    const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const combinedArray = new Uint8Array(totalLength);
+    let offset = 0;
+    
+    for (const chunk of chunks) {
+      combinedArray.set(chunk, offset);
+      offset += chunk.length;
+    }
+    
+    return combinedArray;
+  }
+  
+  if (response instanceof Uint8Array) {
+    console.log('Response is direct Uint8Array');
+    return response;
+  }
+  
+  if (response instanceof ArrayBuffer) {
+    console.log('Response is direct ArrayBuffer');
+    return new Uint8Array(response);
+  }
+  
+  console.log('Response keys:', Object.keys(response || {}));
+  
+  // Some models wrap the image, either as raw bytes or as a base64 string
+  const image = response.image ?? response.result?.image ?? response.data;
+  
+  if (typeof image === 'string') {
+    console.log('Found base64 image string, length:', image.length);
+    return base64ToBytes(image);
+  }
+  
+  if (image) {
+    console.log('Found image bytes in response');
+    return image instanceof Uint8Array ? image : new Uint8Array(image);
+  }
+  
+  console.error('No image property found in response structure:', response);
+  throw new AppError('UPSTREAM_ERROR', `No image data in AI response. Response keys: ${Object.keys(response || {}).join(', ')}`);
+}
+
+function detectMimeType(bytes) {
+  // Check for valid image headers
+  const isPNG = bytes[0] === 137 && bytes[1] === 80 && bytes[2] === 78 && bytes[3] === 71;
+  const isJPEG = bytes[0] === 255 && bytes[1] === 216;
+  const isWebP = bytes[8] === 87 && bytes[9] === 69 && bytes[10] === 66 && bytes[11] === 80;
+  
+  if (isJPEG) return 'image/jpeg';
+  if (isWebP) return 'image/webp';
+  if (!isPNG) console.log('Unknown image header, assuming PNG');
+  return 'image/png';
+}
+
+function base64ToBytes(base64String) {
+  const binaryString = atob(base64String);
+  const bytes = new Uint8Array(binaryString.length);
+  for (let i = 0; i < binaryString.length; i++) {
+    bytes[i] = binaryString.charCodeAt(i);
+  }
+  return bytes;
+}
+
+function getModelParameters(modelName, prompt, { seed, dimensions, negativePrompt, overrides } = {}) {
+  // Different models might need different parameters
+  const baseParams = {
+    prompt: prompt
+  };
+  
+  if (seed !== undefined) {
+    baseParams.seed = seed;
+  }
+  
+  let params;
+  if (modelName.includes('flux')) {
+    params = {
       ...baseParams,
       num_steps: 4,  // FLUX Schnell is optimized for fewer steps
     };
   } else if (modelName.includes('lightning')) {
-    return {
+    params = {
       ...baseParams,
       num_steps: 8,  // Lightning models are fast
     };
   } else if (modelName.includes('dreamshaper')) {
-    return {
+    params = {
       ...baseParams,
       num_steps: 8,
       guidance: 7.5,
     };
   } else {
     // Default Stable Diffusion parameters
-    return {
+    params = {
       ...baseParams,
       num_steps: 20,
       guidance: 7.5,
       strength: 1,
     };
   }
+  
+  // FLUX has no negative prompt or size input
+  if (negativePrompt && !modelName.includes('flux')) {
+    params.negative_prompt = negativePrompt;
+  }
+  
+  // Style presets tune the defaults above, but a requested size wins over
+  // the preset's own width and height
+  params = { ...params, ...overrides };
+  if (dimensions && !modelName.includes('flux')) {
+    params.width = dimensions.width;
+    params.height = dimensions.height;
+  }
+  return params;
 }
 
 async function getIndexHTML() {
@@ -460,6 +1927,16 @@ async function getIndexHTML() {
             border-color: #667eea;
         }
         
+        .location-row {
+            display: flex;
+            gap: 8px;
+        }
+        
+        .location-row .action-btn {
+            flex: 0 0 auto;
+            white-space: nowrap;
+        }
+        
         .generate-btn {
             width: 100%;
             padding: 15px;
@@ -489,6 +1966,33 @@ async function getIndexHTML() {
             display: none;
         }
         
+        .progress-stages {
+            list-style: none;
+            max-width: 280px;
+            margin: 20px auto 0;
+            text-align: left;
+        }
+        
+        .progress-stages li {
+            display: flex;
+            justify-content: space-between;
+            padding: 6px 0;
+            color: #aaa;
+        }
+        
+        .progress-stages li.running {
+            color: #667eea;
+            font-weight: 500;
+        }
+        
+        .progress-stages li.done {
+            color: #2c3e50;
+        }
+        
+        .progress-stages li.failed {
+            color: #d63031;
+        }
+        
         .spinner {
             width: 50px;
             height: 50px;
@@ -499,100 +2003,296 @@ async function getIndexHTML() {
             margin: 0 auto 20px;
         }
         
-        @keyframes spin {
-            0% { transform: rotate(0deg); }
-            100% { transform: rotate(360deg); }
+        @keyframes spin {
+            0% { transform: rotate(0deg); }
+            100% { transform: rotate(360deg); }
+        }
+        
+        .debug-section {
+            background: #f8f9fa;
+            padding: 20px;
+            border-radius: 10px;
+            margin: 20px 0;
+            display: none;
+        }
+        
+        .debug-title {
+            font-weight: 600;
+            margin-bottom: 10px;
+            color: #666;
+        }
+        
+        .weather-data {
+            background: white;
+            padding: 15px;
+            border-radius: 8px;
+            white-space: pre-wrap;
+            font-family: monospace;
+            font-size: 12px;
+            max-height: 200px;
+            overflow-y: auto;
+        }
+        
+        .result-section {
+            display: none;
+            text-align: center;
+        }
+        
+        .image-title {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            padding: 20px;
+            border-radius: 10px;
+            margin: 20px 0;
+            font-size: 1.1rem;
+            font-weight: 500;
+            line-height: 1.5;
+        }
+        
+        .image-title h3 {
+            margin: 0 0 10px 0;
+            font-size: 1.4rem;
+            font-weight: 600;
+        }
+        
+        .image-title .forecast-summary {
+            font-size: 1rem;
+            opacity: 0.9;
+        }
+        
+        .alert-banner {
+            margin-top: 10px;
+            padding: 8px 12px;
+            background: #fff3cd;
+            border-left: 4px solid #e0a800;
+            border-radius: 6px;
+            color: #664d03;
+            font-size: 0.9rem;
+            text-align: left;
+        }
+        
+        .art-prompt {
+            background: #e8f4fd;
+            padding: 20px;
+            border-radius: 10px;
+            margin: 20px 0;
+            border-left: 4px solid #667eea;
+        }
+        
+        .seed-info {
+            font-size: 13px;
+            color: #666;
+            margin-bottom: 10px;
+        }
+        
+        .generated-image {
+            max-width: 100%;
+            border-radius: 15px;
+            box-shadow: 0 10px 30px rgba(0, 0, 0, 0.2);
+            margin: 20px 0;
+        }
+        
+        .action-buttons {
+            display: flex;
+            gap: 10px;
+            justify-content: center;
+            margin-top: 20px;
+        }
+        
+        .action-btn {
+            padding: 10px 20px;
+            border: 2px solid #667eea;
+            background: white;
+            color: #667eea;
+            border-radius: 25px;
+            cursor: pointer;
+            text-decoration: none;
+            font-weight: 500;
+            transition: all 0.3s ease;
+        }
+        
+        .action-btn:hover {
+            background: #667eea;
+            color: white;
+        }
+        
+        .checkbox-label {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            font-weight: 500;
+            color: #555;
+            cursor: pointer;
+        }
+        
+        .timeline-options {
+            margin-top: 10px;
+            display: none;
+        }
+        
+        #horizonTime {
+            margin-top: 10px;
+            display: none;
+        }
+        
+        .daily-summary {
+            font-size: 0.9rem;
+            opacity: 0.8;
+        }
+        
+        .timeline {
+            display: none;
+            margin: 10px 0 20px;
+        }
+        
+        .timeline input[type="range"] {
+            width: 100%;
+            accent-color: #667eea;
+        }
+        
+        .filmstrip {
+            display: flex;
+            gap: 8px;
+            overflow-x: auto;
+            padding: 10px 0;
+        }
+        
+        .filmstrip-frame {
+            flex: 0 0 auto;
+            width: 90px;
+            border: 3px solid transparent;
+            border-radius: 8px;
+            background: none;
+            padding: 0;
+            cursor: pointer;
+            font-size: 11px;
+            color: #555;
+        }
+        
+        .filmstrip-frame img {
+            width: 100%;
+            border-radius: 5px;
+            display: block;
+        }
+        
+        .filmstrip-frame.active {
+            border-color: #667eea;
+        }
+        
+        .animation-options {
+            display: flex;
+            gap: 10px;
+            align-items: center;
+        }
+        
+        .compare-options {
+            margin-top: 10px;
+            display: none;
         }
         
-        .debug-section {
-            background: #f8f9fa;
-            padding: 20px;
-            border-radius: 10px;
-            margin: 20px 0;
+        .compare-grid {
             display: none;
+            grid-template-columns: repeat(auto-fill, minmax(240px, 1fr));
+            gap: 15px;
+            margin: 20px 0;
         }
         
-        .debug-title {
-            font-weight: 600;
-            margin-bottom: 10px;
-            color: #666;
+        .compare-card {
+            background: #f8f9fa;
+            border-radius: 10px;
+            overflow: hidden;
         }
         
-        .weather-data {
-            background: white;
-            padding: 15px;
-            border-radius: 8px;
-            white-space: pre-wrap;
-            font-family: monospace;
-            font-size: 12px;
-            max-height: 200px;
-            overflow-y: auto;
+        .compare-card .image-title {
+            margin: 0;
+            border-radius: 0;
+            padding: 12px;
+            font-size: 0.9rem;
         }
         
-        .result-section {
-            display: none;
-            text-align: center;
+        .compare-card .image-title h3 {
+            font-size: 1.1rem;
+            margin-bottom: 5px;
         }
         
-        .image-title {
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
-            padding: 20px;
-            border-radius: 10px;
-            margin: 20px 0;
-            font-size: 1.1rem;
-            font-weight: 500;
-            line-height: 1.5;
+        .compare-card img {
+            width: 100%;
+            display: block;
         }
         
-        .image-title h3 {
-            margin: 0 0 10px 0;
-            font-size: 1.4rem;
-            font-weight: 600;
+        .compare-card .compare-error {
+            color: #d63031;
+            padding: 15px;
         }
         
-        .image-title .forecast-summary {
-            font-size: 1rem;
-            opacity: 0.9;
+        .compare-card a {
+            display: block;
+            padding: 8px 12px;
+            color: #667eea;
         }
         
-        .art-prompt {
-            background: #e8f4fd;
-            padding: 20px;
-            border-radius: 10px;
+        .history-section {
+            display: none;
             margin: 20px 0;
-            border-left: 4px solid #667eea;
         }
         
-        .generated-image {
-            max-width: 100%;
-            border-radius: 15px;
-            box-shadow: 0 10px 30px rgba(0, 0, 0, 0.2);
-            margin: 20px 0;
+        .history-filters {
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(140px, 1fr));
+            gap: 8px;
+            margin-bottom: 15px;
         }
         
-        .action-buttons {
-            display: flex;
+        .history-filters input, .history-filters select {
+            width: 100%;
+            padding: 8px 10px;
+            border: 2px solid #e1e8ed;
+            border-radius: 8px;
+            font-size: 14px;
+        }
+        
+        .history-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(120px, 1fr));
             gap: 10px;
-            justify-content: center;
-            margin-top: 20px;
         }
         
-        .action-btn {
-            padding: 10px 20px;
-            border: 2px solid #667eea;
-            background: white;
-            color: #667eea;
-            border-radius: 25px;
+        .history-item {
+            border: none;
+            background: #f8f9fa;
+            border-radius: 8px;
+            padding: 0;
             cursor: pointer;
-            text-decoration: none;
-            font-weight: 500;
-            transition: all 0.3s ease;
+            font-size: 12px;
+            color: #555;
+            text-align: left;
+            overflow: hidden;
         }
         
-        .action-btn:hover {
-            background: #667eea;
-            color: white;
+        .history-item img {
+            width: 100%;
+            aspect-ratio: 1;
+            object-fit: cover;
+            display: block;
+        }
+        
+        .history-item span {
+            display: block;
+            padding: 5px 8px;
+        }
+        
+        .history-detail {
+            display: none;
+            text-align: center;
+        }
+        
+        .gallery-link {
+            text-align: center;
+            margin: -15px 0 20px;
+        }
+        
+        .gallery-link a {
+            color: #667eea;
         }
         
         .error {
@@ -625,27 +2325,88 @@ async function getIndexHTML() {
 <body>
     <div class="container">
         <h1>📸 Realistic Weather Landscapes</h1>
+        <p class="gallery-link"><a href="/daily">See today's landscapes</a> · <a href="#" onclick="openHistory(); return false;">My gallery</a></p>
         
         <div class="input-section">
             <div class="form-group">
                 <label for="location">Location</label>
-                <input type="text" id="location" placeholder="Enter city name (e.g., Paris, London, New York)" required>
+                <div class="location-row">
+                    <input type="text" id="location" list="locationCandidates" autocomplete="off" placeholder="City name or lat,lon (e.g., Paris, FR or 48.85,2.35)" oninput="suggestLocations()" required>
+                    <button type="button" class="action-btn" onclick="useMyLocation()">📍 My location</button>
+                </div>
+                <datalist id="locationCandidates"></datalist>
             </div>
             
             <div class="form-group">
                 <label for="style">Photography Style</label>
                 <select id="style">
-                    <option value="realistic">Photorealistic</option>
-                    <option value="stable-diffusion">Professional</option>
+                    <option value="">Loading styles...</option>
+                </select>
+            </div>
+            
+            <div class="form-group">
+                <label for="horizon">When</label>
+                <select id="horizon" onchange="toggleHorizonTime()">
+                    <option value="now">Now</option>
+                    <option value="tonight">Tonight</option>
+                    <option value="tomorrow">Tomorrow</option>
+                    <option value="weekend">This weekend</option>
+                    <option value="custom">Pick a date and time...</option>
+                </select>
+                <input type="datetime-local" id="horizonTime">
+            </div>
+            
+            <div class="form-group">
+                <label for="overlay">Weather Caption on Image</label>
+                <select id="overlay">
+                    <option value="band">Bottom band</option>
+                    <option value="corner">Corner badge</option>
+                    <option value="minimal">Minimal</option>
+                    <option value="none">None</option>
+                </select>
+            </div>
+            
+            <div class="form-group">
+                <label for="size">Image Size</label>
+                <select id="size">
+                    <option value="">Model default</option>
+                    <option value="square">Square (1:1)</option>
+                    <option value="desktop">Desktop (16:9)</option>
+                    <option value="phone">Phone wallpaper (9:19.5)</option>
+                    <option value="social">Social card (1.91:1)</option>
                 </select>
             </div>
             
+            <div class="form-group">
+                <label class="checkbox-label">
+                    <input type="checkbox" id="timelineMode" onchange="toggleTimelineOptions()">
+                    Timeline mode (one image per forecast slot)
+                </label>
+                <div class="timeline-options" id="timelineOptions">
+                    <select id="timelineSpan">
+                        <option value="slots">Next 24 hours, every 3 hours</option>
+                        <option value="days">Next 5 days, one per day</option>
+                    </select>
+                </div>
+            </div>
+            
+            <div class="form-group">
+                <label class="checkbox-label">
+                    <input type="checkbox" id="compareMode" onchange="toggleCompareOptions()">
+                    Compare with other locations
+                </label>
+                <div class="compare-options" id="compareOptions">
+                    <input type="text" id="compareLocations" placeholder="Other locations, separated by ; (e.g., Oslo; Cairo)">
+                </div>
+            </div>
+            
             <button class="generate-btn" onclick="generateArt()">Generate Weather Landscape</button>
         </div>
         
         <div class="loading" id="loading">
             <div class="spinner"></div>
             <p>Creating your realistic weather landscape...</p>
+            <ul class="progress-stages" id="progressStages"></ul>
         </div>
         
         <div class="error" id="error"></div>
@@ -655,25 +2416,172 @@ async function getIndexHTML() {
             <div class="weather-data" id="weatherData"></div>
         </div>
         
+        <div class="compare-grid" id="compareGrid"></div>
+        
         <div class="result-section" id="result">
             <div class="image-title" id="imageTitle"></div>
             <div class="art-prompt" id="artPrompt"></div>
+            <div class="seed-info" id="seedInfo"></div>
             <img class="generated-image" id="generatedImage" alt="Generated landscape photo">
+            <div class="timeline" id="timeline">
+                <input type="range" id="timelineScrubber" min="0" max="0" value="0" oninput="selectFrame(Number(this.value))">
+                <div class="filmstrip" id="filmstrip"></div>
+                <div class="animation-options">
+                    <select id="animationFormat">
+                        <option value="gif">Animated GIF</option>
+                        <option value="apng">Animated PNG</option>
+                    </select>
+                    <button class="action-btn" onclick="downloadAnimation()">Download Animation</button>
+                </div>
+            </div>
             <div class="action-buttons">
                 <button class="action-btn" onclick="saveImage()">Save Image</button>
                 <button class="action-btn" onclick="shareResult()">Share</button>
+                <button class="action-btn" onclick="regenerate(false)">Same Seed Again</button>
+                <button class="action-btn" onclick="regenerate(true)">New Seed</button>
                 <button class="action-btn" onclick="generateNew()">Generate New</button>
             </div>
         </div>
+        
+        <div class="history-section" id="history">
+            <div class="history-filters">
+                <input type="text" id="historyLocation" placeholder="Location">
+                <select id="historyCondition">
+                    <option value="">Any weather</option>
+                    <option>Clear</option>
+                    <option>Clouds</option>
+                    <option>Rain</option>
+                    <option>Drizzle</option>
+                    <option>Thunderstorm</option>
+                    <option>Snow</option>
+                    <option>Mist</option>
+                    <option>Fog</option>
+                </select>
+                <input type="number" id="historyMinTemp" placeholder="Min °C">
+                <input type="number" id="historyMaxTemp" placeholder="Max °C">
+                <input type="date" id="historyFrom" title="Created from">
+                <input type="date" id="historyTo" title="Created until">
+                <button class="action-btn" onclick="loadHistory()">Search</button>
+            </div>
+            <p id="historyCount"></p>
+            <div class="history-grid" id="historyGrid"></div>
+            <div class="history-detail" id="historyDetail">
+                <div class="image-title" id="historyTitle"></div>
+                <div class="art-prompt" id="historyPrompt"></div>
+                <img class="generated-image" id="historyImage" alt="Generated landscape photo">
+                <div class="action-buttons">
+                    <a class="action-btn" id="historyShare" target="_blank">Share page</a>
+                    <button class="action-btn" onclick="deleteHistoryEntry()">Delete</button>
+                    <button class="action-btn" onclick="closeHistoryDetail()">Back to gallery</button>
+                </div>
+            </div>
+        </div>
     </div>
 
     <script>
         let currentImageData = null;
         let currentWeatherData = null;
+        let currentTimeline = null;
+        
+        // A random id for this browser, so its generations show up in its gallery
+        function getClientId() {
+            let clientId = localStorage.getItem('clientId');
+            if (!clientId) {
+                const bytes = crypto.getRandomValues(new Uint8Array(16));
+                clientId = Array.from(bytes, function(byte) { return byte.toString(16).padStart(2, '0'); }).join('');
+                localStorage.setItem('clientId', clientId);
+            }
+            return clientId;
+        }
+        
+        // Sends the API key saved in this browser, if any; when the server
+        // asks for one, prompts for it and tries once more
+        async function apiFetch(url, options) {
+            const send = function() {
+                const apiKey = localStorage.getItem('apiKey');
+                const headers = Object.assign({ 'X-Client-Id': getClientId() }, options.headers);
+                if (apiKey) {
+                    headers['Authorization'] = 'Bearer ' + apiKey;
+                }
+                return fetch(url, Object.assign({}, options, { headers: headers }));
+            };
+            
+            const response = await send();
+            if (response.status !== 401) {
+                return response;
+            }
+            
+            const apiKey = prompt('This server requires an API key. Enter your key:');
+            if (!apiKey) {
+                return response;
+            }
+            localStorage.setItem('apiKey', apiKey.trim());
+            return send();
+        }
 
+        // Places offered by /api/geocode, by label, so a picked one is sent
+        // with its exact coordinates
+        let locationCandidates = {};
+        let suggestTimer = null;
+        
+        function suggestLocations() {
+            clearTimeout(suggestTimer);
+            const query = document.getElementById('location').value.trim();
+            if (query.length < 2 || locationCandidates[query]) {
+                return;
+            }
+            
+            suggestTimer = setTimeout(async function() {
+                try {
+                    const response = await apiFetch('/api/geocode?q=' + encodeURIComponent(query), {});
+                    if (!response.ok) {
+                        return;
+                    }
+                    const result = await response.json();
+                    const list = document.getElementById('locationCandidates');
+                    list.innerHTML = '';
+                    result.candidates.forEach(function(candidate) {
+                        locationCandidates[candidate.label] = candidate;
+                        const option = document.createElement('option');
+                        option.value = candidate.label;
+                        option.textContent = candidate.lat.toFixed(2) + ', ' + candidate.lon.toFixed(2);
+                        list.appendChild(option);
+                    });
+                } catch (error) {
+                    console.error('Error loading suggestions:', error);
+                }
+            }, 300);
+        }
+        
+        function useMyLocation() {
+            if (!navigator.geolocation) {
+                showError('Your browser cannot share its location');
+                return;
+            }
+            
+            navigator.geolocation.getCurrentPosition(function(position) {
+                document.getElementById('location').value =
+                    position.coords.latitude.toFixed(4) + ',' + position.coords.longitude.toFixed(4);
+            }, function(error) {
+                showError('Could not get your location: ' + error.message);
+            });
+        }
+        
+        function pickedCoordinates(location) {
+            const candidate = locationCandidates[location];
+            return candidate ? { lat: candidate.lat, lon: candidate.lon } : undefined;
+        }
+        
         async function generateArt() {
             const location = document.getElementById('location').value.trim();
+            const coordinates = pickedCoordinates(location);
             const style = document.getElementById('style').value;
+            const overlay = document.getElementById('overlay').value;
+            const size = document.getElementById('size').value || undefined;
+            const horizon = selectedHorizon();
+            const timelineMode = document.getElementById('timelineMode').checked;
+            const perDay = timelineMode && document.getElementById('timelineSpan').value === 'days';
+            const compareMode = document.getElementById('compareMode').checked;
             
             if (!location) {
                 showError('Please enter a location');
@@ -681,13 +2589,35 @@ async function getIndexHTML() {
             }
             
             hideAll();
-            showLoading();
+            showLoading(timelineMode || compareMode ? [] : JOB_STAGES);
             
             try {
-                const weatherResponse = await fetch('/api/weather', {
+                if (compareMode) {
+                    const others = document.getElementById('compareLocations').value.split(';');
+                    // Picked places are sent as "lat,lon" so the batch uses their exact coordinates
+                    const locations = [location].concat(others).map(function(name) {
+                        const picked = pickedCoordinates(name.trim());
+                        return picked ? picked.lat + ',' + picked.lon : name.trim();
+                    }).filter(Boolean);
+                    await runComparison({ locations: locations, styles: style ? [style] : undefined, overlay: overlay, size: size, horizon: horizon });
+                    return;
+                }
+                
+                if (!timelineMode) {
+                    // Single images run as a job so every stage can be followed
+                    const result = await runGenerationJob({ location, coordinates, horizon, artisticStyle: style, overlay, size });
+                    currentWeatherData = result.weatherData;
+                    showDebugData(result.weatherData);
+                    currentTimeline = null;
+                    currentImageData = result;
+                    showResult(result);
+                    return;
+                }
+                
+                const weatherResponse = await apiFetch('/api/weather', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ location })
+                    body: JSON.stringify({ location, coordinates, horizon, days: perDay ? 5 : 1 })
                 });
                 
                 if (!weatherResponse.ok) {
@@ -700,10 +2630,17 @@ async function getIndexHTML() {
                 
                 showDebugData(weatherData);
                 
-                const artResponse = await fetch('/api/generate-art', {
+                const artResponse = await apiFetch('/api/generate-art', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ weatherData, artisticStyle: style })
+                    body: JSON.stringify({
+                        weatherData,
+                        artisticStyle: style,
+                        overlay,
+                        size,
+                        mode: timelineMode ? 'timeline' : undefined,
+                        perDay
+                    })
                 });
                 
                 if (!artResponse.ok) {
@@ -712,9 +2649,14 @@ async function getIndexHTML() {
                 }
                 
                 const result = await artResponse.json();
-                currentImageData = result;
                 
-                showResult(result);
+                if (result.mode === 'timeline') {
+                    showTimeline(result);
+                } else {
+                    currentTimeline = null;
+                    currentImageData = result;
+                    showResult(result);
+                }
                 
             } catch (error) {
                 console.error('Error:', error);
@@ -724,49 +2666,354 @@ async function getIndexHTML() {
             }
         }
         
+        // "now", "tonight", "tomorrow", "weekend" or a local "YYYY-MM-DDTHH:MM"
+        function selectedHorizon() {
+            const horizon = document.getElementById('horizon').value;
+            if (horizon !== 'custom') {
+                return horizon;
+            }
+            return document.getElementById('horizonTime').value || 'now';
+        }
+        
+        function toggleHorizonTime() {
+            const custom = document.getElementById('horizon').value === 'custom';
+            document.getElementById('horizonTime').style.display = custom ? 'block' : 'none';
+        }
+        
+        // The forecast's last 3-hour slot starts less than 5 days ahead, so
+        // "This weekend" is disabled early on Monday and marked as partial
+        // until Sunday is covered. The browser's clock stands in for the
+        // location's local time.
+        const FORECAST_REACH_MS = (5 * 24 - 3) * 3600 * 1000;
+        
+        function updateWeekendOption() {
+            const option = document.querySelector('#horizon option[value="weekend"]');
+            const now = new Date();
+            const weekday = now.getDay();
+            const daysToWeekend = weekday === 6 || weekday === 0 ? 0 : 6 - weekday;
+            const start = new Date(now.getFullYear(), now.getMonth(), now.getDate() + daysToWeekend);
+            const end = new Date(now.getFullYear(), now.getMonth(), now.getDate() + (7 - weekday) % 7 + 1);
+            const reach = now.getTime() + FORECAST_REACH_MS;
+            
+            option.disabled = start.getTime() >= reach;
+            option.textContent = option.disabled
+                ? 'This weekend (beyond the 5-day forecast)'
+                : end.getTime() > reach ? 'This weekend (partly forecast)' : 'This weekend';
+            if (option.disabled && option.selected) {
+                document.getElementById('horizon').value = 'now';
+            }
+        }
+        
         function hideAll() {
             document.getElementById('loading').style.display = 'none';
             document.getElementById('error').style.display = 'none';
             document.getElementById('debug').style.display = 'none';
             document.getElementById('result').style.display = 'none';
+            document.getElementById('timeline').style.display = 'none';
+            document.getElementById('compareGrid').style.display = 'none';
+            document.getElementById('history').style.display = 'none';
+        }
+        
+        function toggleTimelineOptions() {
+            const enabled = document.getElementById('timelineMode').checked;
+            document.getElementById('timelineOptions').style.display = enabled ? 'block' : 'none';
+            if (enabled) {
+                document.getElementById('compareMode').checked = false;
+                toggleCompareOptions();
+            }
+        }
+        
+        function toggleCompareOptions() {
+            const enabled = document.getElementById('compareMode').checked;
+            document.getElementById('compareOptions').style.display = enabled ? 'block' : 'none';
+            if (enabled) {
+                document.getElementById('timelineMode').checked = false;
+                toggleTimelineOptions();
+            }
+        }
+        
+        async function runComparison(input) {
+            const response = await apiFetch('/api/batch', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(input)
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to generate the comparison');
+            }
+            
+            showComparison(result.items);
+        }
+        
+        // One card per location, failed ones with their error
+        function showComparison(items) {
+            const grid = document.getElementById('compareGrid');
+            grid.innerHTML = '';
+            items.forEach(function(item) {
+                const card = document.createElement('div');
+                card.className = 'compare-card';
+                
+                if (item.status === 'done') {
+                    card.innerHTML = '<div class="image-title">' + generateImageTitle(item.weatherData) + '</div>';
+                    const image = document.createElement('img');
+                    image.src = item.imageUrl + '?w=512';
+                    image.alt = item.artPrompt;
+                    card.appendChild(image);
+                    const link = document.createElement('a');
+                    link.href = item.shareUrl;
+                    link.textContent = 'Share';
+                    card.appendChild(link);
+                } else {
+                    const title = document.createElement('div');
+                    title.className = 'image-title';
+                    title.innerHTML = '<h3></h3>';
+                    title.querySelector('h3').textContent = item.location;
+                    card.appendChild(title);
+                    const error = document.createElement('div');
+                    error.className = 'compare-error';
+                    error.textContent = item.error;
+                    card.appendChild(error);
+                }
+                grid.appendChild(card);
+            });
+            grid.style.display = 'grid';
         }
         
-        function showLoading() {
+        const JOB_STAGES = ['geocoding', 'forecast', 'prompt', 'image'];
+        const STAGE_LABELS = {
+            geocoding: 'Finding the location',
+            forecast: 'Fetching the forecast',
+            prompt: 'Writing the scene description',
+            image: 'Generating the image'
+        };
+        
+        function showLoading(stages) {
+            const list = document.getElementById('progressStages');
+            list.innerHTML = '';
+            (stages || []).forEach(function(name) {
+                const item = document.createElement('li');
+                item.id = 'stage-' + name;
+                item.innerHTML = '<span>' + STAGE_LABELS[name] + '</span><span class="stage-time"></span>';
+                list.appendChild(item);
+            });
             document.getElementById('loading').style.display = 'block';
         }
         
+        function updateProgress(job) {
+            job.stages.forEach(function(stage) {
+                const item = document.getElementById('stage-' + stage.name);
+                if (!item) return;
+                item.className = stage.status;
+                const seconds = stage.durationMs !== null
+                    ? (stage.durationMs / 1000).toFixed(1) + 's'
+                    : stage.status === 'running' ? '...' : '';
+                item.querySelector('.stage-time').textContent = seconds;
+            });
+        }
+        
+        async function runGenerationJob(input) {
+            const response = await apiFetch('/api/jobs', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(input)
+            });
+            const job = await response.json();
+            if (!response.ok) {
+                throw new Error(job.error || 'Failed to start generation');
+            }
+            
+            const finished = window.ReadableStream
+                ? await followJobEvents(job).catch(function() { return pollJob(job); })
+                : await pollJob(job);
+            
+            if (finished.status === 'failed') {
+                throw new Error(finished.error || 'Generation failed');
+            }
+            return finished.result;
+        }
+        
+        // Reads the Server-Sent Events with fetch rather than EventSource,
+        // which cannot send the API key
+        async function followJobEvents(job) {
+            const response = await apiFetch(job.eventsUrl, {});
+            if (!response.ok || !response.body) {
+                throw new Error('Progress stream failed');
+            }
+            
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            while (true) {
+                const chunk = await reader.read();
+                if (chunk.done) {
+                    throw new Error('Progress stream ended early');
+                }
+                buffer += decoder.decode(chunk.value, { stream: true });
+                
+                let end;
+                while ((end = buffer.indexOf('\\n\\n')) !== -1) {
+                    const message = parseServerEvent(buffer.slice(0, end));
+                    buffer = buffer.slice(end + 2);
+                    // Timeouts fall back to polling
+                    if (message.event === 'timeout') {
+                        reader.cancel();
+                        throw new Error('Progress stream timed out');
+                    }
+                    
+                    const record = JSON.parse(message.data);
+                    updateProgress(record);
+                    if (message.event === 'done' || message.event === 'failed') {
+                        reader.cancel();
+                        return record;
+                    }
+                }
+            }
+        }
+        
+        function parseServerEvent(text) {
+            const message = { event: 'message', data: '' };
+            text.split('\\n').forEach(function(line) {
+                const colon = line.indexOf(':');
+                const value = line.slice(colon + 1).replace(/^ /, '');
+                if (line.slice(0, colon) === 'event') message.event = value;
+                if (line.slice(0, colon) === 'data') message.data += value;
+            });
+            return message;
+        }
+        
+        async function pollJob(job) {
+            while (true) {
+                const response = await apiFetch(job.statusUrl, {});
+                const record = await response.json();
+                if (!response.ok) {
+                    throw new Error(record.error || 'Failed to read job status');
+                }
+                updateProgress(record);
+                if (record.status === 'done' || record.status === 'failed') {
+                    return record;
+                }
+                await new Promise(function(resolve) { setTimeout(resolve, 1000); });
+            }
+        }
+        
         function hideLoading() {
             document.getElementById('loading').style.display = 'none';
         }
         
-        function showError(message) {
-            const errorDiv = document.getElementById('error');
-            errorDiv.textContent = message;
-            errorDiv.style.display = 'block';
+        function showError(message) {
+            const errorDiv = document.getElementById('error');
+            errorDiv.textContent = message;
+            errorDiv.style.display = 'block';
+        }
+        
+        function showDebugData(data) {
+            document.getElementById('weatherData').textContent = JSON.stringify(data, null, 2);
+            document.getElementById('debug').style.display = 'block';
+        }
+        
+        function showResult(result) {
+            // Generate contextual title
+            const titleHtml = generateImageTitle(currentWeatherData);
+            document.getElementById('imageTitle').innerHTML = titleHtml;
+            
+            document.getElementById('artPrompt').textContent = result.artPrompt;
+            document.getElementById('seedInfo').textContent = 'Seed ' + result.debug.seed;
+            showImage(document.getElementById('generatedImage'), result.imageUrl);
+            document.getElementById('result').style.display = 'block';
+        }
+        
+        // Renders the shown image again from its stored prompt: with the same
+        // seed it comes out the same, with a new one as a variation
+        async function regenerate(newSeed) {
+            if (!currentImageData || !currentImageData.id) {
+                return;
+            }
+            
+            // A timeline frame is shown on its own afterwards, under its own title
+            const title = document.getElementById('imageTitle').innerHTML;
+            hideAll();
+            showLoading([]);
+            
+            try {
+                const response = await apiFetch('/api/generations/' + currentImageData.id + '/regenerate', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(newSeed ? { seed: 'new' } : {})
+                });
+                const result = await response.json();
+                if (!response.ok) {
+                    throw new Error(result.error || 'Failed to regenerate the image');
+                }
+                
+                currentTimeline = null;
+                currentImageData = result;
+                showResult(result);
+                document.getElementById('imageTitle').innerHTML = title;
+            } catch (error) {
+                console.error('Error regenerating:', error);
+                showError(error.message);
+            } finally {
+                hideLoading();
+            }
+        }
+        
+        function showTimeline(result) {
+            currentTimeline = result;
+            
+            const filmstrip = document.getElementById('filmstrip');
+            filmstrip.innerHTML = '';
+            result.frames.forEach(function(frame, index) {
+                const button = document.createElement('button');
+                button.className = 'filmstrip-frame';
+                button.onclick = function() { selectFrame(index); };
+                
+                const thumbnail = document.createElement('img');
+                thumbnail.src = frame.imageUrl + '?w=256';
+                thumbnail.alt = frame.localTime;
+                button.appendChild(thumbnail);
+                button.appendChild(document.createTextNode(frame.localTime));
+                filmstrip.appendChild(button);
+            });
+            
+            const scrubber = document.getElementById('timelineScrubber');
+            scrubber.max = result.frames.length - 1;
+            
+            document.getElementById('timeline').style.display = 'block';
+            document.getElementById('result').style.display = 'block';
+            selectFrame(0);
         }
         
-        function showDebugData(data) {
-            document.getElementById('weatherData').textContent = JSON.stringify(data, null, 2);
-            document.getElementById('debug').style.display = 'block';
+        function selectFrame(index) {
+            const frame = currentTimeline.frames[index];
+            currentImageData = frame;
+            
+            const entry = currentTimeline.weatherData.forecast[frame.slot];
+            document.getElementById('imageTitle').innerHTML = generateImageTitle(currentTimeline.weatherData, entry);
+            document.getElementById('artPrompt').textContent = frame.artPrompt;
+            document.getElementById('seedInfo').textContent = 'Seed ' + currentTimeline.debug.seed;
+            showImage(document.getElementById('generatedImage'), frame.imageUrl);
+            document.getElementById('timelineScrubber').value = index;
+            
+            document.querySelectorAll('.filmstrip-frame').forEach(function(button, buttonIndex) {
+                button.classList.toggle('active', buttonIndex === index);
+            });
         }
         
-        function showResult(result) {
-            // Generate contextual title
-            const titleHtml = generateImageTitle(currentWeatherData);
-            document.getElementById('imageTitle').innerHTML = titleHtml;
-            
-            document.getElementById('artPrompt').textContent = result.artPrompt;
-            document.getElementById('generatedImage').src = result.imageUrl;
-            document.getElementById('result').style.display = 'block';
+        // Small screens get the server-made 512px thumbnail instead of the full image
+        function showImage(element, imageUrl) {
+            element.srcset = imageUrl + '?w=512 512w, ' + imageUrl + ' 1024w';
+            element.sizes = '(max-width: 600px) 100vw, 800px';
+            element.src = imageUrl;
         }
         
-        function generateImageTitle(weatherData) {
+        function generateImageTitle(weatherData, forecastEntry) {
             if (!weatherData || !weatherData.forecast || !weatherData.forecast.length) {
                 return '<h3>Weather Landscape</h3>';
             }
             
             const location = weatherData.location || 'Unknown Location';
-            const firstForecast = weatherData.forecast[0];
+            const firstForecast = forecastEntry || weatherData.forecast[0];
             const date = new Date(firstForecast.datetime).toLocaleDateString('en-US', {
                 weekday: 'long',
                 year: 'numeric',
@@ -782,33 +3029,60 @@ async function getIndexHTML() {
             
             const summary = temp + '°C, ' + description + ', ' + humidity + '% humidity, ' + windSpeed + ' m/s wind';
             
+            // Local time of the slot, when the forecast carries lighting data
+            const time = firstForecast.lighting ? ', ' + firstForecast.lighting.localTime.slice(11) : '';
+            const observed = firstForecast.observed ? ' (observed)' : '';
+            
+            // Forecasts for later show the days they cover
+            const daily = weatherData.horizon && weatherData.horizon !== 'now' && weatherData.daily ? weatherData.daily : [];
+            const days = daily.map(function(day) {
+                const precipitation = day.precipitation ? ', ' + day.precipitation + ' mm' : '';
+                return '<div class="daily-summary">' + day.date + ': ' + day.minTemp + '°C to ' + day.maxTemp + '°C, ' + day.description + precipitation + '</div>';
+            }).join('');
+            
             return '<h3>' + location + '</h3>' +
-                   '<div>' + date + '</div>' +
-                   '<div class="forecast-summary">' + summary + '</div>';
+                   '<div>' + date + time + observed + '</div>' +
+                   '<div class="forecast-summary">' + summary + '</div>' +
+                   days +
+                   alertBanner(weatherData.alerts);
         }
         
-        function saveImage() {
+        // One line per weather alert in effect, with its issuer and end time
+        function alertBanner(alerts) {
+            if (!alerts || !alerts.length) {
+                return '';
+            }
+            
+            return alerts.map(function(alert) {
+                const banner = document.createElement('div');
+                banner.className = 'alert-banner';
+                banner.title = alert.description || '';
+                const until = new Date(alert.end).toLocaleString('en-US', { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+                banner.textContent = '⚠️ ' + alert.event + ' until ' + until + (alert.sender ? ' · ' + alert.sender : '');
+                return banner.outerHTML;
+            }).join('');
+        }
+        
+        const IMAGE_EXTENSIONS = {
+            'image/png': 'png',
+            'image/jpeg': 'jpg',
+            'image/webp': 'webp'
+        };
+        
+        async function saveImage() {
             if (currentImageData && currentImageData.imageUrl) {
                 try {
-                    // Convert data URL to blob for proper download
-                    const base64Data = currentImageData.imageUrl.split(',')[1];
-                    const mimeType = currentImageData.imageUrl.match(/data:([^;]+);/)[1];
-                    
-                    // Convert base64 to binary
-                    const byteCharacters = atob(base64Data);
-                    const byteNumbers = new Array(byteCharacters.length);
-                    for (let i = 0; i < byteCharacters.length; i++) {
-                        byteNumbers[i] = byteCharacters.charCodeAt(i);
+                    // Download the stored image so the file keeps its original bytes
+                    const response = await fetch(currentImageData.imageUrl);
+                    if (!response.ok) {
+                        throw new Error('Image request failed with status ' + response.status);
                     }
-                    const byteArray = new Uint8Array(byteNumbers);
-                    
-                    // Create blob and download
-                    const blob = new Blob([byteArray], { type: mimeType });
+                    const blob = await response.blob();
                     const url = URL.createObjectURL(blob);
                     
                     const link = document.createElement('a');
                     link.href = url;
-                    link.download = 'weather-landscape-' + Date.now() + '.png';
+                    link.download = 'weather-landscape-' + Date.now() + '.' + (IMAGE_EXTENSIONS[blob.type] || 'png');
                     link.click();
                     
                     // Clean up
@@ -820,17 +3094,53 @@ async function getIndexHTML() {
             }
         }
         
+        async function downloadAnimation() {
+            if (!currentTimeline) {
+                return;
+            }
+            
+            const format = document.getElementById('animationFormat').value;
+            try {
+                const response = await apiFetch('/api/animate', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ timelineId: currentTimeline.timelineId, format: format })
+                });
+                if (!response.ok) {
+                    const result = await response.json();
+                    throw new Error(result.error || 'Animation request failed with status ' + response.status);
+                }
+                const blob = await response.blob();
+                const url = URL.createObjectURL(blob);
+                
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = 'weather-timeline-' + Date.now() + (format === 'gif' ? '.gif' : '.png');
+                link.click();
+                
+                URL.revokeObjectURL(url);
+            } catch (error) {
+                console.error('Error downloading animation:', error);
+                alert('Error creating animation: ' + error.message);
+            }
+        }
+        
         function shareResult() {
-            if (navigator.share && currentImageData) {
+            if (!currentImageData) {
+                return;
+            }
+            
+            const shareUrl = currentImageData.shareUrl || window.location.href;
+            
+            if (navigator.share) {
                 navigator.share({
                     title: 'Realistic Weather Landscape',
                     text: currentImageData.artPrompt,
-                    url: window.location.href
+                    url: shareUrl
                 });
             } else {
-                const text = 'Check out this realistic weather landscape: ' + currentImageData.artPrompt;
-                navigator.clipboard.writeText(text);
-                alert('Content copied to clipboard!');
+                navigator.clipboard.writeText(shareUrl);
+                alert('Share link copied to clipboard!');
             }
         }
         
@@ -839,6 +3149,145 @@ async function getIndexHTML() {
             document.getElementById('location').value = '';
         }
         
+        let currentHistoryEntry = null;
+        
+        function openHistory() {
+            hideAll();
+            document.getElementById('history').style.display = 'block';
+            closeHistoryDetail();
+            loadHistory();
+        }
+        
+        async function loadHistory() {
+            const params = new URLSearchParams();
+            const filters = {
+                location: 'historyLocation',
+                condition: 'historyCondition',
+                minTemp: 'historyMinTemp',
+                maxTemp: 'historyMaxTemp',
+                from: 'historyFrom',
+                to: 'historyTo'
+            };
+            Object.keys(filters).forEach(function(name) {
+                const value = document.getElementById(filters[name]).value.trim();
+                if (value) {
+                    params.set(name, value);
+                }
+            });
+            
+            try {
+                const response = await apiFetch('/api/history?' + params.toString(), {});
+                const result = await response.json();
+                if (!response.ok) {
+                    throw new Error(result.error || 'Failed to load your gallery');
+                }
+                
+                document.getElementById('historyCount').textContent = result.total === result.entries.length
+                    ? result.total + ' landscapes'
+                    : 'Latest ' + result.entries.length + ' of ' + result.total + ' landscapes';
+                
+                const grid = document.getElementById('historyGrid');
+                grid.innerHTML = '';
+                result.entries.forEach(function(entry) {
+                    const button = document.createElement('button');
+                    button.className = 'history-item';
+                    button.onclick = function() { showHistoryDetail(entry.id); };
+                    
+                    const thumbnail = document.createElement('img');
+                    thumbnail.src = entry.imageUrl + '?w=256';
+                    thumbnail.alt = entry.location;
+                    thumbnail.loading = 'lazy';
+                    button.appendChild(thumbnail);
+                    
+                    const caption = document.createElement('span');
+                    caption.textContent = entry.location + ' · ' + entry.weather.temperature + '°C, ' + entry.weather.description;
+                    button.appendChild(caption);
+                    grid.appendChild(button);
+                });
+            } catch (error) {
+                console.error('Error loading history:', error);
+                showError(error.message);
+            }
+        }
+        
+        async function showHistoryDetail(id) {
+            try {
+                const response = await apiFetch('/api/history/' + id, {});
+                const entry = await response.json();
+                if (!response.ok) {
+                    throw new Error(entry.error || 'Failed to load the landscape');
+                }
+                currentHistoryEntry = entry;
+                
+                const forecastEntry = entry.weatherData && entry.weatherData.forecast.find(function(candidate) {
+                    return candidate.datetime === entry.weather.datetime;
+                });
+                document.getElementById('historyTitle').innerHTML = generateImageTitle(entry.weatherData, forecastEntry);
+                document.getElementById('historyPrompt').textContent = entry.prompt;
+                showImage(document.getElementById('historyImage'), entry.imageUrl);
+                document.getElementById('historyShare').href = entry.shareUrl;
+                
+                document.getElementById('historyGrid').style.display = 'none';
+                document.getElementById('historyDetail').style.display = 'block';
+            } catch (error) {
+                console.error('Error loading history entry:', error);
+                showError(error.message);
+            }
+        }
+        
+        function closeHistoryDetail() {
+            currentHistoryEntry = null;
+            document.getElementById('historyDetail').style.display = 'none';
+            document.getElementById('historyGrid').style.display = 'grid';
+        }
+        
+        async function deleteHistoryEntry() {
+            if (!currentHistoryEntry || !confirm('Delete this landscape? Its share link will stop working.')) {
+                return;
+            }
+            
+            try {
+                const response = await apiFetch('/api/history/' + currentHistoryEntry.id, { method: 'DELETE' });
+                if (!response.ok) {
+                    const result = await response.json();
+                    throw new Error(result.error || 'Failed to delete the landscape');
+                }
+                closeHistoryDetail();
+                loadHistory();
+            } catch (error) {
+                console.error('Error deleting history entry:', error);
+                alert('Error deleting landscape: ' + error.message);
+            }
+        }
+        
+        async function loadStyles() {
+            const select = document.getElementById('style');
+            try {
+                const response = await apiFetch('/api/styles', {});
+                const result = await response.json();
+                if (!response.ok) {
+                    throw new Error(result.error || 'Failed to load styles');
+                }
+                
+                select.innerHTML = '';
+                result.styles.forEach(function(style) {
+                    const option = document.createElement('option');
+                    option.value = style.name;
+                    option.textContent = style.label;
+                    option.title = style.description || '';
+                    option.selected = style.name === result.default;
+                    select.appendChild(option);
+                });
+            } catch (error) {
+                console.error('Error loading styles:', error);
+                // The server falls back to its default style
+                select.innerHTML = '<option value="">Default style</option>';
+            }
+        }
+        
+        loadStyles();
+        updateWeekendOption();
+        
         document.getElementById('location').addEventListener('keypress', function(e) {
             if (e.key === 'Enter') {
                 generateArt();
@@ -847,4 +3296,230 @@ async function getIndexHTML() {
     </script>
 </body>
 </html>`;
-}
\ No newline at end of file
+}
+
+function getShareHTML(generation, origin) {
+  const location = generation.weatherData?.location || 'Weather Landscape';
+  const firstForecast = generation.weatherData?.forecast?.[generation.frame?.slot ?? 0];
+  const title = `${location} - Realistic Weather Landscape`;
+  const description = firstForecast
+    ? `${firstForecast.temperature}°C, ${firstForecast.description}. ${generation.prompt}`
+    : generation.prompt;
+  const imageUrl = `${origin}/i/${generation.id}`;
+  const pageUrl = `${origin}/s/${generation.id}`;
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <meta name="description" content="${escapeHtml(truncate(description, 200))}">
+    <meta property="og:type" content="website">
+    <meta property="og:title" content="${escapeHtml(title)}">
+    <meta property="og:description" content="${escapeHtml(truncate(description, 200))}">
+    <meta property="og:image" content="${escapeHtml(imageUrl)}">
+    <meta property="og:image:type" content="${escapeHtml(generation.mimeType)}">
+    <meta property="og:url" content="${escapeHtml(pageUrl)}">
+    <meta name="twitter:card" content="summary_large_image">
+    <meta name="twitter:title" content="${escapeHtml(title)}">
+    <meta name="twitter:description" content="${escapeHtml(truncate(description, 200))}">
+    <meta name="twitter:image" content="${escapeHtml(imageUrl)}">
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            min-height: 100vh;
+            padding: 20px;
+            color: #333;
+        }
+        
+        .container {
+            max-width: 800px;
+            margin: 0 auto;
+            background: rgba(255, 255, 255, 0.95);
+            border-radius: 20px;
+            padding: 30px;
+            box-shadow: 0 20px 40px rgba(0, 0, 0, 0.1);
+            text-align: center;
+        }
+        
+        h1 {
+            margin-bottom: 10px;
+            color: #2c3e50;
+            font-size: 1.6rem;
+            font-weight: 400;
+        }
+        
+        .generated-image {
+            max-width: 100%;
+            border-radius: 15px;
+            box-shadow: 0 10px 30px rgba(0, 0, 0, 0.2);
+            margin: 20px 0;
+        }
+        
+        .art-prompt {
+            background: #e8f4fd;
+            padding: 20px;
+            border-radius: 10px;
+            border-left: 4px solid #667eea;
+            text-align: left;
+        }
+        
+        .action-btn {
+            display: inline-block;
+            margin-top: 20px;
+            padding: 10px 20px;
+            border: 2px solid #667eea;
+            color: #667eea;
+            border-radius: 25px;
+            text-decoration: none;
+            font-weight: 500;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>${escapeHtml(location)}</h1>
+        <div>${escapeHtml(new Date(generation.createdAt).toUTCString())}</div>
+        <img class="generated-image" src="/i/${escapeHtml(generation.id)}" alt="Generated landscape photo of ${escapeHtml(location)}">
+        <div class="art-prompt">${escapeHtml(generation.prompt)}</div>
+        <a class="action-btn" href="/">Create your own</a>
+    </div>
+</body>
+</html>`;
+}
+
+function getDailyHTML(pointers) {
+  const cards = pointers.map(pointer => `
+            <a class="card" href="/s/${escapeHtml(pointer.generationId)}">
+                <img src="/i/${escapeHtml(pointer.generationId)}?w=512" alt="Today's landscape in ${escapeHtml(pointer.location)}" loading="lazy">
+                <div class="card-title">${escapeHtml(pointer.location)}</div>
+                <div class="card-conditions">${escapeHtml(`${pointer.conditions.temperature}°C, ${pointer.conditions.description}`)}</div>
+                <div class="card-time">${escapeHtml(pointer.conditions.localTime)} local time</div>
+            </a>`).join('');
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Today's Weather Landscapes</title>
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            min-height: 100vh;
+            padding: 20px;
+            color: #333;
+        }
+        
+        .container {
+            max-width: 1100px;
+            margin: 0 auto;
+            background: rgba(255, 255, 255, 0.95);
+            border-radius: 20px;
+            padding: 30px;
+            box-shadow: 0 20px 40px rgba(0, 0, 0, 0.1);
+        }
+        
+        h1 {
+            text-align: center;
+            margin-bottom: 30px;
+            color: #2c3e50;
+            font-size: 1.8rem;
+            font-weight: 400;
+        }
+        
+        .gallery {
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(240px, 1fr));
+            gap: 20px;
+        }
+        
+        .card {
+            display: block;
+            text-decoration: none;
+            color: inherit;
+            background: white;
+            border-radius: 15px;
+            overflow: hidden;
+            box-shadow: 0 10px 30px rgba(0, 0, 0, 0.1);
+        }
+        
+        .card img {
+            width: 100%;
+            display: block;
+        }
+        
+        .card-title {
+            padding: 12px 15px 4px;
+            font-weight: 600;
+            color: #2c3e50;
+        }
+        
+        .card-conditions,
+        .card-time {
+            padding: 0 15px;
+            font-size: 0.9rem;
+            color: #555;
+        }
+        
+        .card-time {
+            padding-bottom: 12px;
+            color: #888;
+        }
+        
+        .empty {
+            text-align: center;
+            color: #555;
+        }
+        
+        .action-btn {
+            display: inline-block;
+            margin-top: 30px;
+            padding: 10px 20px;
+            border: 2px solid #667eea;
+            color: #667eea;
+            border-radius: 25px;
+            text-decoration: none;
+            font-weight: 500;
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>Today's Weather Landscapes</h1>
+        ${pointers.length ? `<div class="gallery">${cards}
+        </div>` : '<p class="empty">No landscapes have been generated yet. They appear after the next scheduled run.</p>'}
+        <div style="text-align: center;"><a class="action-btn" href="/">Create your own</a></div>
+    </div>
+</body>
+</html>`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function truncate(text, maxLength) {
+  const value = String(text ?? '');
+  return value.length > maxLength ? value.slice(0, maxLength - 1) + '…' : value;
+}
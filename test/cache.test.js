@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cached } from '../src/cache.js';
+
+// Every test gets its own keys; unbound stores are shared in-memory ones
+let counter = 0;
+function uniqueKey() {
+  counter += 1;
+  return `test:${Date.now()}:${counter}`;
+}
+
+const noSleep = () => new Promise(resolve => setImmediate(resolve));
+
+test('a miss loads and stores the value, the next call hits', async () => {
+  const key = uniqueKey();
+  let loads = 0;
+  const load = async () => { loads += 1; return 'value'; };
+
+  assert.deepEqual(await cached({}, key, 60, load), { value: 'value', status: 'MISS' });
+  assert.deepEqual(await cached({}, key, 60, load), { value: 'value', status: 'HIT' });
+  assert.equal(loads, 1);
+});
+
+test('with a lock, concurrent misses wait for one load', async () => {
+  const key = uniqueKey();
+  let loads = 0;
+  const load = async () => {
+    loads += 1;
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return `value ${loads}`;
+  };
+
+  const results = await Promise.all([1, 2, 3].map(() => cached({}, key, 60, load, { lock: 10, sleep: noSleep })));
+
+  assert.equal(loads, 1);
+  assert.deepEqual(results.map(result => result.value), ['value 1', 'value 1', 'value 1']);
+  assert.deepEqual(results.map(result => result.status).sort(), ['HIT', 'HIT', 'MISS']);
+});
+
+test('a failed load releases the lock for the next request', async () => {
+  const key = uniqueKey();
+
+  await assert.rejects(cached({}, key, 60, async () => { throw new Error('boom'); }, { lock: 10, sleep: noSleep }), /boom/);
+  assert.deepEqual(await cached({}, key, 60, async () => 'value', { lock: 10, sleep: noSleep }), { value: 'value', status: 'MISS' });
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addHistoryEntries, listHistory, findHistoryEntry, removeHistoryEntry, MAX_HISTORY_ENTRIES } from '../src/history.js';
+import { getStore } from '../src/storage.js';
+
+// IMAGE_STORE is unbound, so every test uses its own owner in the shared
+// in-memory store
+let counter = 0;
+function uniqueOwner() {
+  counter += 1;
+  return `browser-${String(counter).padStart(32, '0')}`;
+}
+
+function generation(minutesAgo) {
+  return {
+    id: crypto.randomUUID().replace(/-/g, '').slice(0, 16),
+    createdAt: new Date(Date.now() - minutesAgo * 60000).toISOString(),
+    style: 'watercolor',
+    prompt: 'A misty valley at dawn',
+    weatherData: {
+      location: 'Paris, FR',
+      coordinates: { lat: 48.85, lon: 2.35 },
+      forecast: [{ datetime: '2024-10-15 12:00:00', main: 'Rain', description: 'light rain', temperature: 14, humidity: 80, windSpeed: 5, clouds: 90 }],
+    },
+  };
+}
+
+test('entries are listed newest first', async () => {
+  const env = {};
+  const owner = uniqueOwner();
+  const [older, newer, newest] = [generation(30), generation(20), generation(10)];
+
+  await addHistoryEntries(env, owner, [newer]);
+  await addHistoryEntries(env, owner, [older, newest]);
+
+  const { entries, total } = await listHistory(env, owner);
+  assert.equal(total, 3);
+  assert.deepEqual(entries.map(entry => entry.id), [newest.id, newer.id, older.id]);
+  assert.equal(entries[0].weather.main, 'Rain');
+  assert.equal(entries[0].imageUrl, `/i/${newest.id}`);
+});
+
+test('concurrent additions keep every entry', async () => {
+  const env = {};
+  const owner = uniqueOwner();
+  const generations = Array.from({ length: 10 }, (_, index) => generation(index));
+
+  await Promise.all(generations.map(item => addHistoryEntries(env, owner, [item])));
+
+  const { total } = await listHistory(env, owner);
+  assert.equal(total, 10);
+});
+
+test('only the latest entries are kept', async () => {
+  const env = {};
+  const owner = uniqueOwner();
+  const generations = Array.from({ length: MAX_HISTORY_ENTRIES + 2 }, (_, index) => generation(index));
+
+  await addHistoryEntries(env, owner, generations);
+
+  const { entries, total } = await listHistory(env, owner, { limit: MAX_HISTORY_ENTRIES });
+  assert.equal(total, MAX_HISTORY_ENTRIES);
+  assert.equal(entries.at(-1).id, generations[MAX_HISTORY_ENTRIES - 1].id);
+  assert.equal(await findHistoryEntry(env, owner, generations.at(-1).id), null);
+});
+
+test('entries are found and removed per owner', async () => {
+  const env = {};
+  const owner = uniqueOwner();
+  const other = uniqueOwner();
+  const [kept, removed] = [generation(2), generation(1)];
+  await addHistoryEntries(env, owner, [kept, removed]);
+
+  assert.equal(await findHistoryEntry(env, other, removed.id), null);
+  assert.equal(await removeHistoryEntry(env, other, removed.id), null);
+  assert.equal((await removeHistoryEntry(env, owner, removed.id)).id, removed.id);
+  assert.equal(await findHistoryEntry(env, owner, removed.id), null);
+  assert.equal((await findHistoryEntry(env, owner, kept.id)).id, kept.id);
+  assert.equal((await listHistory(env, owner)).total, 1);
+});
+
+test('an index document from before is moved to per-entry documents', async () => {
+  const env = {};
+  const owner = uniqueOwner();
+  const store = getStore(env, 'IMAGE_STORE');
+  const first = generation(5);
+  await store.putJSON(`history/${owner}.json`, {
+    entries: [{ id: first.id, createdAt: first.createdAt, location: 'Paris, FR', weather: { main: 'Rain', temperature: 14 } }],
+  });
+
+  await addHistoryEntries(env, owner, [generation(1)]);
+
+  assert.equal(await store.getJSON(`history/${owner}.json`), null);
+  assert.equal((await listHistory(env, owner)).total, 2);
+  assert.equal((await findHistoryEntry(env, owner, first.id)).id, first.id);
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { selectHorizon, summarizeDays } from '../src/horizon.js';
+
+// UTC+10 without daylight saving time (Brisbane), where the local date is
+// often a day ahead of the UTC one
+const TIMEZONE = 10 * 3600;
+
+// A 5-day forecast of 3-hour slots from `first` (UTC), as the providers
+// return it: "YYYY-MM-DD HH:MM:SS" in UTC
+function forecast(first, count = 40) {
+  return Array.from({ length: count }, (_, index) => {
+    const timestamp = Date.parse(first) + index * 3 * 3600 * 1000;
+    return {
+      datetime: new Date(timestamp).toISOString().replace('T', ' ').slice(0, 19),
+      main: index % 4 ? 'Clouds' : 'Rain',
+      description: index % 4 ? 'broken clouds' : 'light rain',
+      temperature: 15 + (index % 8),
+      precipitation: index % 4 ? 0 : 1.5,
+    };
+  });
+}
+
+// Local Wednesday 2024-10-16 15:00, with slots from 16:00 local
+const WEDNESDAY = { now: Date.parse('2024-10-16T05:00:00Z'), entries: forecast('2024-10-16T06:00:00Z') };
+
+function datetimes(entries) {
+  return entries.map(entry => entry.datetime);
+}
+
+test('tonight is 20:00 to 06:00 local time', () => {
+  const { now, entries } = WEDNESDAY;
+
+  // Local 22:00, 01:00 and 04:00
+  assert.deepEqual(datetimes(selectHorizon(entries, 'tonight', TIMEZONE, { now })), ['2024-10-16 12:00:00', '2024-10-16 15:00:00', '2024-10-16 18:00:00']);
+});
+
+test('tonight after midnight is what is left of the current night', () => {
+  // Local Thursday 02:00
+  const now = Date.parse('2024-10-16T16:00:00Z');
+  const entries = forecast('2024-10-16T15:00:00Z');
+
+  assert.deepEqual(datetimes(selectHorizon(entries, 'tonight', TIMEZONE, { now })), ['2024-10-16 15:00:00', '2024-10-16 18:00:00']);
+});
+
+test('tomorrow is the next local day, starting at its first slot from noon', () => {
+  const { now, entries } = WEDNESDAY;
+  const selected = selectHorizon(entries, 'tomorrow', TIMEZONE, { now });
+
+  // Local Thursday 13:00, 16:00, 19:00 and 22:00
+  assert.deepEqual(datetimes(selected), ['2024-10-17 03:00:00', '2024-10-17 06:00:00', '2024-10-17 09:00:00', '2024-10-17 12:00:00']);
+
+  // The summary covers all eight slots of the local day
+  const [day] = summarizeDays(entries, selected, TIMEZONE);
+  assert.equal(day.date, '2024-10-17');
+  assert.equal(day.minTemp, 15);
+  assert.equal(day.maxTemp, 22);
+  assert.equal(day.precipitation, 3);
+});
+
+test('the weekend is the coming local Saturday and Sunday', () => {
+  const { now, entries } = WEDNESDAY;
+  const selected = selectHorizon(entries, 'weekend', TIMEZONE, { now });
+
+  // From local Saturday 13:00 to Sunday 22:00
+  assert.equal(selected.length, 12);
+  assert.equal(selected[0].datetime, '2024-10-19 03:00:00');
+  assert.equal(selected.at(-1).datetime, '2024-10-20 12:00:00');
+  assert.deepEqual(summarizeDays(entries, selected, TIMEZONE).map(day => day.date), ['2024-10-19', '2024-10-20']);
+});
+
+test('on a local Sunday the weekend is what is left of it', () => {
+  // Still Saturday in UTC, Sunday 09:00 local
+  const now = Date.parse('2024-10-19T23:00:00Z');
+  const entries = forecast('2024-10-19T21:00:00Z');
+  const selected = selectHorizon(entries, 'weekend', TIMEZONE, { now });
+
+  assert.deepEqual(datetimes(selected), ['2024-10-20 03:00:00', '2024-10-20 06:00:00', '2024-10-20 09:00:00', '2024-10-20 12:00:00']);
+});
+
+test('a forecast that ends on Saturday morning shows its last slot', () => {
+  // Local Monday 08:00; the forecast ends on Saturday 04:00 local
+  const now = Date.parse('2024-10-13T22:00:00Z');
+  const entries = forecast('2024-10-13T21:00:00Z');
+  const selected = selectHorizon(entries, 'weekend', TIMEZONE, { now });
+
+  assert.deepEqual(datetimes(selected), ['2024-10-18 18:00:00']);
+  assert.deepEqual(summarizeDays(entries, selected, TIMEZONE).map(day => day.date), ['2024-10-19']);
+});
+
+test('a forecast that ends before the weekend is refused', () => {
+  // Local Monday 02:00; the forecast ends on Friday 22:00 local
+  const now = Date.parse('2024-10-13T16:00:00Z');
+  const entries = forecast('2024-10-13T15:00:00Z');
+
+  assert.throws(() => selectHorizon(entries, 'weekend', TIMEZONE, { now }), error => {
+    assert.equal(error.code, 'INVALID_INPUT');
+    assert.equal(error.message, "The forecast has no entries for 'weekend', it ends on 2024-10-18");
+    return true;
+  });
+});
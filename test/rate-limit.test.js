@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { enforceRateLimit, chargeGenerations, refundGenerations, getRateLimit, RATE_LIMITS } from '../src/rate-limit.js';
+import { errorResponse } from '../src/errors.js';
+
+// A counter store of its own per test, keeping the TTLs it was given
+function memoryStore() {
+  const entries = new Map();
+  return {
+    entries,
+    async getJSON(key) { return entries.get(key)?.value ?? null; },
+    async putJSON(key, value, { ttl } = {}) { entries.set(key, { value, ttl }); },
+  };
+}
+
+const client = { ip: '192.0.2.1', key: null, browser: null };
+const start = Date.parse('2024-10-15T12:00:00Z');
+
+function rejection(code, check = () => {}) {
+  return error => {
+    assert.equal(error.code, code);
+    check(error);
+    return true;
+  };
+}
+
+test('a bucket runs dry, answers with Retry-After and refills over time', async () => {
+  const store = memoryStore();
+  const env = { RATE_LIMIT_GENERATE: '2/minute' };
+  const take = (now, who = client) => enforceRateLimit(env, 'generate', who, { store, now });
+
+  await take(start);
+  await take(start + 1000);
+  await assert.rejects(take(start + 1000), rejection('RATE_LIMITED', error => {
+    // 2 per minute is a token every 30 seconds, one second of which has passed
+    assert.ok(Math.abs(error.retryAfter - 29) < 1e-9);
+    assert.equal(errorResponse(error).headers.get('Retry-After'), '29');
+  }));
+
+  // Another client has a bucket of its own
+  await take(start + 1000, { ...client, ip: '192.0.2.2' });
+
+  await take(start + 31000);
+  await assert.rejects(take(start + 31000), rejection('RATE_LIMITED'));
+  // A bucket never holds more than its size
+  await take(start + 3600 * 1000);
+  await take(start + 3600 * 1000);
+  await assert.rejects(take(start + 3600 * 1000), rejection('RATE_LIMITED'));
+  assert.equal(store.entries.get(`bucket/generate/ip:${client.ip}`).ttl, 60);
+});
+
+test('callers with an API key are counted per key', async () => {
+  const store = memoryStore();
+  const env = { RATE_LIMIT_WEATHER: '1/hour' };
+
+  await enforceRateLimit(env, 'weather', { ...client, key: 'k1' }, { store, now: start });
+  await enforceRateLimit(env, 'weather', { ...client, key: 'k2' }, { store, now: start });
+  await assert.rejects(enforceRateLimit(env, 'weather', { ...client, key: 'k1', ip: '192.0.2.9' }, { store, now: start }), rejection('RATE_LIMITED'));
+});
+
+test('the daily quota runs out and resets at midnight UTC', async () => {
+  const store = memoryStore();
+  const env = { DAILY_GENERATION_QUOTA: '3' };
+
+  await chargeGenerations(env, client, 2, { store, now: start });
+  await assert.rejects(chargeGenerations(env, client, 2, { store, now: start }), rejection('QUOTA_EXCEEDED', error => {
+    assert.deepEqual(error.details, { quota: 3, used: 2 });
+    assert.equal(error.retryAfter, 12 * 3600);
+  }));
+  await chargeGenerations(env, client, 1, { store, now: start });
+  await assert.rejects(chargeGenerations(env, client, 1, { store, now: start }), rejection('QUOTA_EXCEEDED'));
+
+  await chargeGenerations(env, client, 3, { store, now: start + 12 * 3600 * 1000 });
+});
+
+test('refunds give generations back but never go below zero', async () => {
+  const store = memoryStore();
+  const env = { DAILY_GENERATION_QUOTA: '2' };
+  const key = `quota/2024-10-15/ip:${client.ip}`;
+
+  await chargeGenerations(env, client, 2, { store, now: start });
+  await refundGenerations(env, client, 1, { store, now: start });
+  assert.equal(store.entries.get(key).value.count, 1);
+  await chargeGenerations(env, client, 1, { store, now: start });
+
+  await refundGenerations(env, client, 5, { store, now: start });
+  assert.equal(store.entries.get(key).value.count, 0);
+  await refundGenerations(env, client, 1, { store, now: start + 3600 * 1000 });
+  assert.equal(store.entries.get(key).value.count, 0);
+  await chargeGenerations(env, client, 2, { store, now: start });
+});
+
+test('"off" and a quota of 0 disable the limits without touching the store', async () => {
+  const store = memoryStore();
+  const env = { RATE_LIMIT_GENERATE: 'off', DAILY_GENERATION_QUOTA: '0' };
+
+  for (let index = 0; index < 100; index++) {
+    await enforceRateLimit(env, 'generate', client, { store, now: start });
+    await chargeGenerations(env, client, 1, { store, now: start });
+  }
+  await refundGenerations(env, client, 1, { store, now: start });
+  assert.equal(store.entries.size, 0);
+});
+
+test('RATE_LIMIT_* settings are parsed or refused', () => {
+  assert.deepEqual(getRateLimit('read', {}), RATE_LIMITS.read);
+  assert.deepEqual(getRateLimit('weather', { RATE_LIMIT_WEATHER: ' 10 / second ' }), { requests: 10, seconds: 1 });
+  assert.deepEqual(getRateLimit('generate', { RATE_LIMIT_GENERATE: '100/day' }), { requests: 100, seconds: 86400 });
+  assert.equal(getRateLimit('read', { RATE_LIMIT_READ: 'off' }), null);
+
+  for (const setting of ['10', '10/week', '0/minute', 'ten/minute', '-1/hour', 'OFF']) {
+    assert.throws(() => getRateLimit('weather', { RATE_LIMIT_WEATHER: setting }), /RATE_LIMIT_WEATHER must look like "30\/minute" or be "off"/, setting);
+  }
+});
+
+test('a malformed setting fails the request instead of dropping the limit', async () => {
+  await assert.rejects(enforceRateLimit({ RATE_LIMIT_GENERATE: '5 per minute' }, 'generate', client, { store: memoryStore(), now: start }), /RATE_LIMIT_GENERATE/);
+});
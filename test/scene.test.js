@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildScene, buildSceneModel, describeScene } from '../src/scene.js';
+
+const PARIS = { lat: 48.85, lon: 2.35 };
+
+function entry(fields = {}) {
+  return {
+    datetime: '2024-10-15 12:00:00',
+    temperature: 14,
+    humidity: 60,
+    description: 'scattered clouds',
+    main: 'Clouds',
+    windSpeed: 4,
+    windDirection: 225,
+    clouds: 40,
+    ...fields,
+  };
+}
+
+test('precipitation type and intensity follow the condition', () => {
+  const cases = [
+    [{ main: 'Rain', description: 'light rain' }, 'rain', 'light'],
+    [{ main: 'Rain', description: 'heavy intensity rain' }, 'rain', 'heavy'],
+    [{ main: 'Rain', description: 'freezing rain' }, 'freezing rain', 'moderate'],
+    [{ main: 'Snow', description: 'light rain and snow' }, 'sleet', 'light'],
+    [{ main: 'Snow', description: 'snow' }, 'snow', 'moderate'],
+    [{ main: 'Drizzle', description: 'drizzle' }, 'drizzle', 'light'],
+    [{ main: 'Thunderstorm', description: 'thunderstorm with heavy rain' }, 'thunderstorm', 'heavy'],
+    [{ main: 'Clear', description: 'clear sky' }, 'none', 'none'],
+  ];
+
+  for (const [fields, type, intensity] of cases) {
+    const { precipitation } = buildScene(entry(fields), PARIS, 7200);
+    assert.equal(precipitation.type, type, fields.description);
+    assert.equal(precipitation.intensity, intensity, fields.description);
+  }
+});
+
+test('sky cover, fog and wind are graded', () => {
+  assert.equal(buildScene(entry({ clouds: 95 }), PARIS).sky.cover, 'overcast');
+  assert.equal(buildScene(entry({ clouds: 5 }), PARIS).sky.cover, 'clear');
+  assert.equal(buildScene(entry({ main: 'Fog' }), PARIS).fog.density, 'fog');
+  assert.equal(buildScene(entry({ humidity: 92 }), PARIS).fog.density, 'mist');
+  assert.equal(buildScene(entry({ humidity: 50 }), PARIS).fog.density, 'none');
+
+  const wind = buildScene(entry({ windSpeed: 15, windDirection: 270 }), PARIS).wind;
+  assert.equal(wind.strength, 'gale');
+  assert.equal(wind.direction, 'west');
+  assert.equal(buildScene(entry({ windSpeed: 0.2 }), PARIS).wind.strength, 'calm');
+});
+
+test('temperature feel', () => {
+  const feel = temperature => buildScene(entry({ temperature }), PARIS).temperature.feel;
+  assert.equal(feel(-10), 'bitterly cold');
+  assert.equal(feel(0), 'freezing');
+  assert.equal(feel(5), 'cold');
+  assert.equal(feel(15), 'mild');
+  assert.equal(feel(25), 'warm');
+  assert.equal(feel(32), 'hot');
+});
+
+test('season depends on the hemisphere and latitude', () => {
+  assert.equal(buildScene(entry(), PARIS).season.season, 'autumn');
+  assert.equal(buildScene(entry(), { lat: -33.87, lon: 151.21 }).season.season, 'spring');
+  assert.equal(buildScene(entry(), { lat: 1.35, lon: 103.82 }).season.season, 'tropical');
+});
+
+test('lighting follows the local time of day', () => {
+  assert.equal(buildScene(entry({ datetime: '2024-10-15 12:00:00' }), PARIS, 7200).lighting.localTime, '2024-10-15 14:00');
+  assert.equal(buildScene(entry({ datetime: '2024-10-15 23:00:00', clouds: 0 }), PARIS, 7200).lighting.period, 'night');
+});
+
+test('season and lighting are left out without coordinates', () => {
+  const scene = buildScene(entry(), undefined, 7200);
+  assert.equal(scene.season, null);
+  assert.equal(scene.lighting.period, null);
+  assert.equal(scene.lighting.localTime, '2024-10-15 14:00');
+
+  const phrases = describeScene(scene).join(', ');
+  assert.doesNotMatch(phrases, /tropical|autumn|daylight|sunlight/);
+  assert.match(phrases, /partly cloudy sky/);
+});
+
+test('describeScene puts lighting first and adds precipitation', () => {
+  const phrases = describeScene(buildScene(entry({ main: 'Rain', description: 'moderate rain', clouds: 90 }), PARIS, 7200));
+  assert.match(phrases[0], /daylight|light/);
+  assert.ok(phrases.some(phrase => phrase.startsWith('moderate rain falling')));
+  assert.ok(phrases.includes('autumn landscape with orange and golden foliage'));
+});
+
+test('alerts in effect shape the scene, the most severe kind first', () => {
+  const alerts = [
+    { event: 'Heat warning', kind: 'heat', start: '2024-10-15T00:00:00.000Z', end: '2024-10-16T00:00:00.000Z' },
+    { event: 'Flood warning', kind: 'flood', start: '2024-10-15T06:00:00.000Z', end: '2024-10-15T18:00:00.000Z' },
+  ];
+  const model = buildSceneModel({
+    coordinates: PARIS,
+    timezone: 7200,
+    alerts,
+    forecast: [entry(), entry({ datetime: '2024-10-15 21:00:00' }), entry({ datetime: '2024-10-16 03:00:00' })],
+  });
+
+  assert.deepEqual(model.entries.map(scene => scene.alert.kind), ['flood', 'heat', 'none']);
+  assert.deepEqual(model.primary.alert.events, ['Heat warning', 'Flood warning']);
+  assert.equal(describeScene(model.primary)[1], model.primary.alert.phrase);
+});
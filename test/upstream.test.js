@@ -0,0 +1,84 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { fetchUpstream } from '../src/upstream.js';
+
+// A local upstream: /stall sends its headers and never finishes the body,
+// /slow answers after 300 ms, /flaky fails once per pair of requests
+let server;
+let origin;
+let flaky = 0;
+
+before(async () => {
+  server = createServer((request, response) => {
+    if (request.url === '/stall') {
+      response.writeHead(200, { 'Content-Type': 'application/json' });
+      response.write('{"partial":');
+      return;
+    }
+    if (request.url === '/slow') {
+      setTimeout(() => response.end('{"ok":true}'), 300);
+      return;
+    }
+    if (request.url === '/flaky') {
+      flaky += 1;
+      response.writeHead(flaky % 2 ? 503 : 200, { 'Content-Type': 'application/json' });
+      response.end(flaky % 2 ? '{}' : '{"ok":true}');
+      return;
+    }
+    if (request.url === '/empty') {
+      response.writeHead(204);
+      response.end();
+      return;
+    }
+    response.writeHead(200, { 'Content-Type': 'application/json', 'X-Test': 'yes' });
+    response.end('{"ok":true}');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const noSleep = async () => {};
+
+test('the response keeps its status, headers and body', async () => {
+  const response = await fetchUpstream('test', `${origin}/`);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get('X-Test'), 'yes');
+  assert.deepEqual(await response.json(), { ok: true });
+});
+
+test('a body that stalls after the headers times out', async () => {
+  await assert.rejects(
+    fetchUpstream('test', `${origin}/stall`, {}, { timeoutMs: 100, retries: 1, sleep: noSleep }),
+    error => error.code === 'UPSTREAM_TIMEOUT'
+  );
+});
+
+test('slow answers time out, quick ones within the timeout pass', async () => {
+  await assert.rejects(
+    fetchUpstream('test', `${origin}/slow`, {}, { timeoutMs: 100, retries: 0 }),
+    error => error.code === 'UPSTREAM_TIMEOUT'
+  );
+  const response = await fetchUpstream('test', `${origin}/slow`, {}, { timeoutMs: 2000, retries: 0 });
+  assert.deepEqual(await response.json(), { ok: true });
+});
+
+test('server errors are retried', async () => {
+  flaky = 0;
+  const response = await fetchUpstream('test', `${origin}/flaky`, {}, { sleep: noSleep });
+
+  assert.equal(response.status, 200);
+  assert.equal(flaky, 2);
+});
+
+test('responses without a body are passed on', async () => {
+  const response = await fetchUpstream('test', `${origin}/empty`);
+
+  assert.equal(response.status, 204);
+});
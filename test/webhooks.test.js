@@ -0,0 +1,171 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { createSubscription, deliverWebhook, formatPayload, sign } from '../src/webhooks.js';
+
+// A local receiver that answers each POST with the next scripted reply and
+// records what it was sent
+let server;
+let origin;
+let replies = [];
+const received = [];
+
+before(async () => {
+  server = createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      received.push({ headers: request.headers, body });
+      const reply = replies.shift() || { status: 200 };
+      if (reply.hang) return;
+      response.writeHead(reply.status, reply.headers);
+      response.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const env = {};
+
+const payload = {
+  event: 'generation.created',
+  id: '0123456789abcdef',
+  createdAt: '2024-10-15T12:00:00.000Z',
+  location: 'Paris, FR',
+  imageUrl: 'https://example.com/i/0123456789abcdef',
+  shareUrl: 'https://example.com/s/0123456789abcdef',
+  prompt: 'A misty valley at dawn',
+  style: 'watercolor',
+  weather: {
+    localTime: '2024-10-15 14:00',
+    temperature: 14,
+    description: 'light rain',
+    humidity: 80,
+    windSpeed: 5,
+    summary: '14°C, light rain, 80% humidity, 5 m/s wind',
+  },
+};
+
+async function deliver(script, options = {}) {
+  replies = script;
+  received.length = 0;
+  const delays = [];
+  const subscription = await createSubscription(env, { url: `${origin}/hook`, format: options.format });
+  const result = await deliverWebhook(env, subscription, payload, {
+    sleep: async ms => { delays.push(ms); },
+    timeoutMs: options.timeoutMs,
+  });
+  return { subscription, result, delays };
+}
+
+test('sign is the hex HMAC-SHA256 of the message', async () => {
+  // RFC 4231, test case 2
+  assert.equal(
+    await sign('Jefe', 'what do ya want for nothing?'),
+    '5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843'
+  );
+});
+
+test('a delivery is signed over the timestamp and the body', async () => {
+  const { subscription, result } = await deliver([{ status: 204 }]);
+
+  assert.equal(result.ok, true);
+  assert.equal(result.attempts, 1);
+  const [{ headers, body }] = received;
+  assert.equal(headers['x-webhook-event'], 'generation.created');
+  assert.equal(headers['x-webhook-id'], subscription.id);
+  assert.match(headers['x-webhook-timestamp'], /^\d+$/);
+  assert.ok(Math.abs(Number(headers['x-webhook-timestamp']) - Date.now() / 1000) < 60);
+  assert.equal(headers['x-webhook-signature'], `sha256=${await sign(subscription.secret, `${headers['x-webhook-timestamp']}.${body}`)}`);
+  assert.deepEqual(JSON.parse(body), payload);
+});
+
+test('server errors are retried with growing delays', async () => {
+  const { result, delays } = await deliver([{ status: 500 }, { status: 503 }, { status: 200 }]);
+
+  assert.equal(result.ok, true);
+  assert.equal(result.attempts, 3);
+  assert.equal(received.length, 3);
+  assert.equal(delays.length, 2);
+  assert.ok(delays[0] >= 1000 && delays[0] <= 1500);
+  assert.ok(delays[1] >= 2000 && delays[1] <= 3000);
+});
+
+test('Retry-After of a 429 is waited out', async () => {
+  const { result, delays } = await deliver([{ status: 429, headers: { 'Retry-After': '7' } }, { status: 200 }]);
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(delays, [7000]);
+});
+
+test('a client error is final', async () => {
+  const { result, delays } = await deliver([{ status: 410 }]);
+
+  assert.equal(result.ok, false);
+  assert.equal(result.status, 410);
+  assert.equal(result.attempts, 1);
+  assert.equal(result.error, 'HTTP 410');
+  assert.deepEqual(delays, []);
+});
+
+test('deliveries give up after four attempts', async () => {
+  const { result, delays } = await deliver([{ status: 500 }, { status: 500 }, { status: 500 }, { status: 500 }]);
+
+  assert.equal(result.ok, false);
+  assert.equal(result.attempts, 4);
+  assert.equal(received.length, 4);
+  assert.equal(delays.length, 3);
+});
+
+test('a receiver that does not answer times out and is retried', async () => {
+  const { result } = await deliver([{ hang: true }, { status: 200 }], { timeoutMs: 100 });
+
+  assert.equal(result.ok, true);
+  assert.equal(result.attempts, 2);
+});
+
+test('formatPayload builds a Slack message', () => {
+  const message = formatPayload('slack', payload);
+
+  assert.equal(message.text, 'Paris, FR - 2024-10-15 14:00: 14°C, light rain, 80% humidity, 5 m/s wind');
+  assert.deepEqual(message.blocks.map(block => block.type), ['header', 'section', 'image', 'context']);
+  assert.equal(message.blocks[0].text.text, 'Paris, FR - 2024-10-15 14:00');
+  assert.equal(message.blocks[2].image_url, payload.imageUrl);
+  assert.equal(message.blocks[2].alt_text, payload.prompt);
+  assert.match(message.blocks[3].elements[0].text, /<https:\/\/example\.com\/s\/0123456789abcdef\|Open the landscape> · watercolor style/);
+});
+
+test('formatPayload builds a Discord embed', () => {
+  const [embed] = formatPayload('discord', payload).embeds;
+
+  assert.equal(embed.title, 'Paris, FR');
+  assert.equal(embed.url, payload.shareUrl);
+  assert.equal(embed.description, payload.prompt);
+  assert.deepEqual(embed.image, { url: payload.imageUrl });
+  assert.deepEqual(embed.fields.map(field => field.value), ['14°C, light rain', '80%', '5 m/s']);
+  assert.equal(embed.footer.text, '2024-10-15 14:00 local time');
+});
+
+test('formats without weather and with long text stay within the limits', () => {
+  const bare = { ...payload, weather: null, prompt: 'x'.repeat(5000) };
+
+  const slack = formatPayload('slack', bare);
+  assert.equal(slack.text, 'Paris, FR');
+  assert.deepEqual(slack.blocks.map(block => block.type), ['header', 'image', 'context']);
+  assert.equal(slack.blocks[1].alt_text.length, 2000);
+
+  const [embed] = formatPayload('discord', bare).embeds;
+  assert.deepEqual(embed.fields, []);
+  assert.equal(embed.description.length, 4096);
+  assert.ok(embed.description.endsWith('…'));
+});
+
+test('json subscriptions get the payload as is', () => {
+  assert.equal(formatPayload('json', payload), payload);
+});